@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Dashboard from './components/Dashboard';
 import TestTrading from './components/TestTrading';
+import SignalExplorer from './components/SignalExplorer';
+import SessionClock from './components/SessionClock';
 import Login from './components/Login';
 import { useWebSocket } from './hooks/useWebSocket';
 import { api } from './services/api';
@@ -15,7 +17,7 @@ function App() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
-  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard' or 'test-trading'
+  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard', 'signals' or 'test-trading'
 
   // Check authentication status on app start
   useEffect(() => {
@@ -258,6 +260,16 @@ function App() {
               >
                 Dashboard
               </button>
+              <button
+                onClick={() => setCurrentView('signals')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  currentView === 'signals'
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-300 hover:text-white hover:bg-gray-700'
+                }`}
+              >
+                Signals
+              </button>
               <button
                 onClick={() => setCurrentView('test-trading')}
                 className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
@@ -272,6 +284,9 @@ function App() {
           </div>
 
           <div className="flex items-center space-x-4">
+            {/* CME Session Countdown */}
+            <SessionClock />
+
             {/* Account Selector */}
             {accounts.length > 0 && (
               <select
@@ -359,6 +374,8 @@ function App() {
               }
             }}
           />
+        ) : currentView === 'signals' ? (
+          <SignalExplorer />
         ) : (
           <TestTrading socket={socket} />
         )}
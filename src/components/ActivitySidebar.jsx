@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'webhook', label: 'Webhooks' },
+  { value: 'trading', label: 'Trading' },
+  { value: 'system', label: 'System' },
+  { value: 'error', label: 'Errors' }
+];
+
+// Activity types grouped under each filter
+const FILTER_TYPES = {
+  webhook: ['webhook', 'webhook_blocked', 'signal'],
+  trading: ['order', 'position', 'trade', 'position_sizing', 'margin_settings', 'kill_switch'],
+  system: ['system', 'stdout', 'sync', 'service'],
+  error: ['stderr', 'error']
+};
+
+const TYPE_STYLES = {
+  webhook: 'border-blue-500',
+  stderr: 'border-red-500',
+  error: 'border-red-500',
+  system: 'border-gray-500',
+  position_sizing: 'border-purple-500',
+  margin_settings: 'border-green-500'
+};
+
+const formatActivity = (activity) => {
+  const data = activity.message || activity.data;
+  return {
+    ...activity,
+    data: typeof data === 'string' ? data : JSON.stringify(data)
+  };
+};
+
+const entryKey = (entry) => `${entry.timestamp}|${entry.type}|${entry.data}`;
+
+const matchesFilter = (entry, filter, search) => {
+  if (filter !== 'all' && !(FILTER_TYPES[filter] || [filter]).includes(entry.type)) {
+    return false;
+  }
+  if (search && !String(entry.data || '').toLowerCase().includes(search.toLowerCase())) {
+    return false;
+  }
+  return true;
+};
+
+// Merge entries from several sources, newest first, without duplicates
+const mergeEntries = (...lists) => {
+  const seen = new Set();
+  return lists.flat()
+    .filter(entry => {
+      const key = entryKey(entry);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+};
+
+const ActivitySidebar = ({ logs = [], socket, filter = 'all', onFilterChange, onSelectEntry, onClose }) => {
+  const [search, setSearch] = useState('');
+  const [history, setHistory] = useState([]);
+  const [serverResults, setServerResults] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const isFiltered = filter !== 'all' || search.trim() !== '';
+
+  // The socket object is rebuilt on every parent render - a ref keeps it from restarting the debounce
+  const socketRef = useRef(socket);
+  socketRef.current = socket;
+
+  // Server-filtered views arrive as filtered_activity events
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+
+    const handleFilteredActivity = (activities) => {
+      setServerResults((activities || []).map(formatActivity));
+    };
+
+    return socket.subscribe('filtered_activity', handleFilteredActivity);
+  }, [socket]);
+
+  // Ask the server for a filtered view, debounced while typing
+  useEffect(() => {
+    if (!isFiltered) {
+      setServerResults(null);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      socketRef.current?.emit?.('filter_activity', {
+        filter,
+        types: FILTER_TYPES[filter] || null,
+        search: search.trim(),
+        limit: PAGE_SIZE * 2
+      });
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [filter, search, isFiltered]);
+
+  // Reset paging whenever the view changes
+  useEffect(() => {
+    setHistory([]);
+    setHasMore(true);
+    setLoadError(null);
+  }, [filter, search]);
+
+  const entries = mergeEntries(logs, serverResults || [], history)
+    .filter(entry => matchesFilter(entry, filter, search.trim()));
+
+  const loadOlder = async () => {
+    if (isLoadingMore || !hasMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const oldest = entries[entries.length - 1];
+      const response = await api.getActivity(PAGE_SIZE, {
+        before: oldest?.timestamp,
+        types: FILTER_TYPES[filter]?.join(','),
+        search: search.trim() || undefined
+      });
+      const page = (Array.isArray(response) ? response : response.activities || []).map(formatActivity);
+      const known = new Set(entries.map(entryKey));
+      const fresh = page.filter(entry => !known.has(entryKey(entry)));
+
+      setHistory(prev => [...prev, ...fresh]);
+      setHasMore(fresh.length > 0 && page.length >= PAGE_SIZE);
+    } catch (error) {
+      console.error('Failed to load activity history:', error);
+      setLoadError(error.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.target;
+    if (scrollHeight - scrollTop - clientHeight < 100) {
+      loadOlder();
+    }
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full sm:w-96 bg-gray-800 border-l border-gray-700 shadow-xl z-40 flex flex-col">
+      <div className="flex justify-between items-center p-4 border-b border-gray-700">
+        <h3 className="text-lg font-semibold text-white">📜 Activity</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3 border-b border-gray-700">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search activity..."
+          className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2 text-sm"
+        />
+        <div className="flex flex-wrap gap-1">
+          {FILTERS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => onFilterChange(option.value)}
+              className={`px-2 py-1 text-xs rounded transition-colors ${
+                filter === option.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {isFiltered && (
+          <div className="text-xs text-gray-400">
+            {serverResults ? `${entries.length} matching entries` : '⏳ Filtering on server...'}
+          </div>
+        )}
+      </div>
+
+      <div onScroll={handleScroll} className="flex-1 overflow-y-auto p-2 space-y-1">
+        {entries.map(entry => (
+          <div
+            key={entryKey(entry)}
+            onClick={() => onSelectEntry(entry)}
+            className={`bg-gray-900 hover:bg-gray-700 rounded p-2 border-l-2 cursor-pointer ${TYPE_STYLES[entry.type] || 'border-gray-600'}`}
+          >
+            <div className="flex justify-between text-xs text-gray-400 mb-1">
+              <span>{entry.type}</span>
+              <span>{new Date(entry.timestamp).toLocaleTimeString()}</span>
+            </div>
+            <div className="text-sm text-gray-200 break-words">{entry.data}</div>
+          </div>
+        ))}
+
+        {entries.length === 0 && !isLoadingMore && (
+          <div className="text-center text-gray-400 text-sm py-8">No activity</div>
+        )}
+
+        {isLoadingMore && (
+          <div className="text-center text-gray-400 text-xs py-2">⏳ Loading older activity...</div>
+        )}
+        {loadError && (
+          <div className="text-center text-xs py-2">
+            <span className="text-red-400">Failed to load history: {loadError}</span>
+            <button onClick={() => { setLoadError(null); loadOlder(); }} className="ml-2 text-blue-400 hover:text-blue-300">
+              Retry
+            </button>
+          </div>
+        )}
+        {!hasMore && entries.length > 0 && (
+          <div className="text-center text-gray-500 text-xs py-2">Beginning of history</div>
+        )}
+        {hasMore && !isLoadingMore && !loadError && entries.length > 0 && (
+          <button
+            onClick={loadOlder}
+            className="w-full text-center text-blue-400 hover:text-blue-300 text-xs py-2"
+          >
+            Load older
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivitySidebar;
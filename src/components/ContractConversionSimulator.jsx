@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { api, apiUtils } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { marginUtils } from '../utils/margins';
+import { positionSizingUtils } from '../utils/positionSizing';
+
+const ContractConversionSimulator = ({ account, onClose }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [marginConfig, setMarginConfig] = useState(null);
+  const [signal, setSignal] = useState({
+    accountId: account?.id || '',
+    symbol: 'NQ',
+    action: 'Buy',
+    quantity: 1,
+    stopPoints: positionSizingUtils.DEFAULT_STOP_POINTS
+  });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const response = await api.getAccounts();
+        setAccounts(Array.isArray(response) ? response : response.accounts || []);
+      } catch (error) {
+        console.error('Failed to load accounts for simulator:', error);
+      }
+
+      try {
+        setMarginConfig(await api.getMarginSettings());
+      } catch (error) {
+        console.log('Margin settings not available, simulating with defaults:', error.message);
+        setMarginConfig(marginUtils.getDefaults());
+      }
+    };
+    loadData();
+  }, []);
+
+  const handleSimulate = async () => {
+    if (!signal.accountId) {
+      setError('Select an account');
+      return;
+    }
+
+    setIsSimulating(true);
+    setError(null);
+    try {
+      const selection = await api.getOptimalContract(signal.symbol, null, {
+        accountId: signal.accountId,
+        quantity: signal.quantity,
+        marginConfig
+      });
+      setResult({
+        ...selection,
+        action: signal.action,
+        stopPoints: signal.stopPoints,
+        riskAmount: contractUtils.pointsToDollars(signal.stopPoints, selection.finalSymbol, selection.finalQuantity)
+      });
+    } catch (error) {
+      console.error('Contract simulation failed:', error);
+      setError(error.message);
+      setResult(null);
+    } finally {
+      setIsSimulating(false);
+    }
+  };
+
+  const updateSignal = (field, value) => {
+    setSignal(prev => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">🔮 Contract Conversion Simulator</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="text-sm text-gray-300 mb-4">
+          Predict how an incoming signal would be sized against the account's margin before a live signal arrives.
+        </div>
+
+        <div className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Account</label>
+            <select
+              value={signal.accountId}
+              onChange={(e) => updateSignal('accountId', e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+            >
+              <option value="">Select account...</option>
+              {accounts.map(acc => (
+                <option key={acc.id} value={acc.id}>
+                  {acc.name} ({acc.id})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Action</label>
+              <select
+                value={signal.action}
+                onChange={(e) => updateSignal('action', e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+              >
+                <option value="Buy">Buy</option>
+                <option value="Sell">Sell</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Symbol</label>
+              <select
+                value={signal.symbol}
+                onChange={(e) => updateSignal('symbol', e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+              >
+                {contractUtils.getSupportedSymbols().map(symbol => (
+                  <option key={symbol} value={symbol}>{symbol}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Quantity</label>
+              <input
+                type="number"
+                min="1"
+                value={signal.quantity}
+                onChange={(e) => updateSignal('quantity', parseInt(e.target.value) || 1)}
+                className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Stop (points)</label>
+              <input
+                type="number"
+                min="0"
+                step={contractUtils.getTickSize(signal.symbol)}
+                value={signal.stopPoints}
+                onChange={(e) => updateSignal('stopPoints', parseFloat(e.target.value) || 0)}
+                className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+              />
+            </div>
+          </div>
+
+          {marginConfig && (
+            <div className="text-xs text-gray-400">
+              Margin checks {marginConfig.enabled ? 'on' : 'off'} • {marginConfig.marginUtilization}% utilization •
+              Full → Micro {marginConfig.conversionRules.convertToMicro ? 'on' : 'off'} •
+              Micro → Full {marginConfig.conversionRules.convertToFull ? 'on' : 'off'}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-700 rounded p-2 text-sm text-red-300">{error}</div>
+          )}
+
+          {result && (
+            <div className={`p-4 rounded border ${
+              !result.sufficient
+                ? 'bg-red-900/20 border-red-700'
+                : result.converted
+                  ? 'bg-yellow-900/20 border-yellow-700'
+                  : 'bg-green-900/20 border-green-700'
+            }`}>
+              <div className="font-semibold text-white mb-2">
+                {!result.sufficient
+                  ? '🚫 Insufficient margin'
+                  : result.converted
+                    ? `🔄 ${result.action.toUpperCase()} ${result.finalQuantity} ${result.finalSymbol} (CONVERTED from ${result.originalQuantity} ${result.originalSymbol})`
+                    : `✅ ${result.action.toUpperCase()} ${result.finalQuantity} ${result.finalSymbol} (no conversion)`}
+              </div>
+              <div className="text-sm text-gray-300 mb-3">{result.reason}</div>
+              <div className="grid grid-cols-2 gap-2 text-xs">
+                <div className="text-gray-400">Account balance:</div>
+                <div className="text-white text-right">{apiUtils.formatCurrency(result.accountBalance)}</div>
+                <div className="text-gray-400">Available margin:</div>
+                <div className="text-white text-right">{apiUtils.formatCurrency(result.availableMargin)}</div>
+                <div className="text-gray-400">Margin used:</div>
+                <div className="text-white text-right">
+                  {result.marginUsed !== null ? apiUtils.formatCurrency(result.marginUsed) : 'N/A'}
+                </div>
+                <div className="text-gray-400">Risk at {result.stopPoints} pt stop:</div>
+                <div className="text-white text-right">
+                  {result.riskAmount !== null ? apiUtils.formatCurrency(result.riskAmount) : 'N/A'}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSimulate}
+            disabled={isSimulating || !marginConfig}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white py-2 px-4 rounded transition-colors"
+          >
+            {isSimulating ? 'Simulating...' : 'Simulate'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContractConversionSimulator;
@@ -1,11 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import AccountInfo from './AccountInfo';
 import TradesList from './TradesList';
 import SignalsList from './SignalsList';
+import SignalLatencyPanel from './SignalLatencyPanel';
+import StrategyControlPanel from './StrategyControlPanel';
 import QuotesPanel from './QuotesPanel';
+import PnLChart from './PnLChart';
 import NewsPanel from './NewsPanel';
 import EnhancedTradingStatus from './EnhancedTradingStatus';
-import { api } from '../services/api';
+import OrderTicket from './OrderTicket';
+import PanicButton from './PanicButton';
+import MarginSettingsEditor from './MarginSettingsEditor';
+import ContractConversionSimulator from './ContractConversionSimulator';
+import SyncPreviewModal from './SyncPreviewModal';
+import ActivitySidebar from './ActivitySidebar';
+import KillSwitchDialog from './KillSwitchDialog';
+import KillSwitchHistory from './KillSwitchHistory';
+import PayloadPreview from './PayloadPreview';
+import { api, apiUtils } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { positionSizingUtils } from '../utils/positionSizing';
+import { marginUtils } from '../utils/margins';
+import { killSwitchUtils } from '../utils/killSwitch';
+import { tradingSession } from '../utils/tradingSession';
+import { signalSchemas } from '../utils/signalSchemas';
+import { useStrategyHeartbeats } from '../hooks/useStrategyHeartbeats';
 
 const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   const [accountSummary, setAccountSummary] = useState(null);
@@ -33,6 +52,10 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   const [activityFilter, setActivityFilter] = useState('all');
   const [tradingEnabled, setTradingEnabled] = useState(false);
   const [isKillSwitchLoading, setIsKillSwitchLoading] = useState(false);
+  const [killSwitchDialog, setKillSwitchDialog] = useState(null); // { enabling }
+  const [killSwitchSchedule, setKillSwitchSchedule] = useState(() => killSwitchUtils.getSchedule());
+  const [killSwitchEvents, setKillSwitchEvents] = useState([]);
+  const [showKillSwitchHistory, setShowKillSwitchHistory] = useState(false);
   const [positionSizingSettings, setPositionSizingSettings] = useState({
     method: 'fixed',
     fixedQuantity: 1,
@@ -42,12 +65,19 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   });
   const [showPositionSizingModal, setShowPositionSizingModal] = useState(false);
   const [positionSizingLoading, setPositionSizingLoading] = useState(false);
+  const [sizingPreviewInputs, setSizingPreviewInputs] = useState({
+    symbol: 'MNQ',
+    stopPoints: positionSizingUtils.DEFAULT_STOP_POINTS
+  });
   const [showJsonModal, setShowJsonModal] = useState(false);
   const [selectedJsonData, setSelectedJsonData] = useState(null);
-  const [marginSettings, setMarginSettings] = useState({});
+  const [marginConfig, setMarginConfig] = useState(() => marginUtils.getDefaults());
   const [showMarginModal, setShowMarginModal] = useState(false);
-  const [marginLoading, setMarginLoading] = useState(false);
+  const [showConversionSimulator, setShowConversionSimulator] = useState(false);
   const [showActivitySidebar, setShowActivitySidebar] = useState(false);
+  const { heartbeats, silent: silentStrategies, setWindow: setHeartbeatWindow } = useStrategyHeartbeats(signals);
+  const [dismissedHeartbeats, setDismissedHeartbeats] = useState({}); // strategy id -> lastSignalAt when dismissed
+  const loggedSilentRef = useRef(new Set());
 
   // Microservice health state
   const [microserviceHealth, setMicroserviceHealth] = useState({});
@@ -59,6 +89,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   const [criticalStatusInterval, setCriticalStatusInterval] = useState(null);
   const [isReSyncing, setIsReSyncing] = useState(false);
   const [isFullSyncing, setIsFullSyncing] = useState(false);
+  const [showSyncPreview, setShowSyncPreview] = useState(false);
 
   // Check microservice health via monitoring service API
   const checkMicroserviceHealth = async () => {
@@ -103,6 +134,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
       loadKillSwitchStatus(),
       loadPositionSizingSettings(),
       loadMarginSettings(),
+      api.getContractSpecs(),
       loadAccountsIfNeeded(),
       loadCriticalStatus(),
       checkMicroserviceHealth()
@@ -136,29 +168,36 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
     }
   };
 
-  const handleKillSwitchToggle = async () => {
-    const newState = !tradingEnabled;
+  // Toggling always goes through the dialog so every change has a reason
+  const handleKillSwitchToggle = () => {
+    setKillSwitchDialog({ enabling: !tradingEnabled });
+  };
 
-    // Confirmation for enabling trading
-    if (newState) {
-      if (!window.confirm('⚠️ Are you sure you want to ENABLE live trading?\n\nThis will allow the system to execute real trades.')) {
-        return;
-      }
-    }
+  const handleKillSwitchConfirm = async ({ reason, disableUntil }) => {
+    const newState = killSwitchDialog.enabling;
 
     setIsKillSwitchLoading(true);
     try {
-      const response = await api.setKillSwitch(newState);
+      const response = await api.setKillSwitch(newState, reason, { disableUntil });
       setTradingEnabled(response.tradingEnabled);
 
+      if (disableUntil) {
+        setKillSwitchSchedule(killSwitchUtils.setSchedule(disableUntil, reason));
+      } else {
+        killSwitchUtils.clearSchedule();
+        setKillSwitchSchedule(null);
+      }
+
       // Add to activity log
-      setRelayLogs(prev => [...prev, {
-        timestamp: new Date().toISOString(),
+      addActivityLog({
         type: 'kill_switch',
-        data: newState
+        data: (newState
           ? '🟢 Trading ENABLED'
-          : '🔴 Trading DISABLED (Kill Switch Active)'
-      }].slice(0, 100));
+          : '🔴 Trading DISABLED (Kill Switch Active)') +
+          (reason ? ` - ${reason}` : '') +
+          (disableUntil ? ` until ${new Date(disableUntil).toLocaleString()}` : '')
+      });
+      setKillSwitchDialog(null);
     } catch (error) {
       console.error('Failed to toggle kill switch:', error);
       alert(`Failed to ${newState ? 'enable' : 'disable'} trading: ${error.message}`);
@@ -167,6 +206,39 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
     }
   };
 
+  // Scheduled re-enable - ask before turning trading back on
+  useEffect(() => {
+    if (!killSwitchSchedule) return;
+
+    const runSchedule = async () => {
+      const confirmed = window.confirm(
+        `⏰ Trading was disabled until ${new Date(killSwitchSchedule.reenableAt).toLocaleString()}` +
+        `${killSwitchSchedule.reason ? ` (${killSwitchSchedule.reason})` : ''}.\n\n` +
+        'Re-enable live trading now?'
+      );
+      killSwitchUtils.clearSchedule();
+      setKillSwitchSchedule(null);
+
+      if (!confirmed) {
+        addActivityLog({ type: 'kill_switch', data: '⏰ Scheduled re-enable declined - trading stays DISABLED' });
+        return;
+      }
+
+      try {
+        const response = await api.setKillSwitch(true, 'Scheduled re-enable', { source: 'dashboard_schedule' });
+        setTradingEnabled(response.tradingEnabled);
+        addActivityLog({ type: 'kill_switch', data: '🟢 Trading ENABLED - scheduled re-enable' });
+      } catch (error) {
+        console.error('Scheduled re-enable failed:', error);
+        alert(`Scheduled re-enable failed: ${error.message}`);
+      }
+    };
+
+    const delay = Math.max(new Date(killSwitchSchedule.reenableAt).getTime() - Date.now(), 0);
+    const timeout = setTimeout(runSchedule, delay);
+    return () => clearTimeout(timeout);
+  }, [killSwitchSchedule]);
+
   // Position sizing functions
   const loadPositionSizingSettings = async () => {
     try {
@@ -212,6 +284,35 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
     await handlePositionSizingUpdate(positionSizingSettings);
   };
 
+  // Log each strategy once when it goes quiet, and again only after it has been heard from
+  // The silent list is rebuilt every render, so the effect keys on the ids and reads the list through a ref
+  const silentStrategiesRef = useRef(silentStrategies);
+  silentStrategiesRef.current = silentStrategies;
+  const silentStrategyIds = silentStrategies.map(heartbeat => heartbeat.strategyId).join(',');
+  useEffect(() => {
+    const silent = silentStrategiesRef.current;
+    const silentIds = new Set(silent.map(heartbeat => heartbeat.strategyId));
+    silent
+      .filter(heartbeat => !loggedSilentRef.current.has(heartbeat.strategyId))
+      .forEach(heartbeat => addActivityLog({
+        type: 'strategy',
+        data: `🔕 ${heartbeat.strategyId} silent for ${tradingSession.formatDuration(heartbeat.silentMs)} of market time (expected within ${heartbeat.windowMinutes}m)`
+      }));
+    loggedSilentRef.current = silentIds;
+  }, [silentStrategyIds]);
+
+  const visibleSilentStrategies = silentStrategies.filter(heartbeat =>
+    !(heartbeat.strategyId in dismissedHeartbeats) || dismissedHeartbeats[heartbeat.strategyId] !== heartbeat.lastSignalAt
+  );
+
+  // Append an entry to the activity log (newest last, capped at 100)
+  const addActivityLog = (entry) => {
+    setRelayLogs(prev => [...prev, {
+      timestamp: new Date().toISOString(),
+      ...entry
+    }].slice(-100));
+  };
+
   const handleShowJsonData = (log) => {
     setSelectedJsonData(log);
     setShowJsonModal(true);
@@ -220,41 +321,21 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   // Margin settings functions
   const loadMarginSettings = async () => {
     try {
-      const response = await api.getMarginSettings();
-      setMarginSettings(response.marginSettings || response || {});
+      const config = await api.getMarginSettings();
+      setMarginConfig(config);
     } catch (error) {
       console.error('Failed to load margin settings:', error);
-      // Set default values when loading fails
-      setMarginSettings({
-        enabled: false
-      });
+      // Keep the local defaults so sizing previews still have margins
+      setMarginConfig(marginUtils.getDefaults());
     }
   };
 
-  const handleMarginUpdate = async (newMarginSettings) => {
-    setMarginLoading(true);
-    try {
-      const response = await api.setMarginSettings(newMarginSettings);
-      setMarginSettings(response.marginSettings);
-
-      // Add to activity log
-      setRelayLogs(prev => [{
-        timestamp: new Date().toISOString(),
-        type: 'margin_settings',
-        data: '💰 Margin requirements updated'
-      }].slice(0, 100));
-
-      setShowMarginModal(false);
-    } catch (error) {
-      console.error('Failed to update margin settings:', error);
-      alert(`Failed to update margin settings: ${error.message}`);
-    } finally {
-      setMarginLoading(false);
-    }
-  };
-
-  const handleSaveMarginSettings = async () => {
-    await handleMarginUpdate(marginSettings);
+  const handleMarginSaved = (config, changes) => {
+    setMarginConfig(config);
+    addActivityLog({
+      type: 'margin_settings',
+      data: `💰 Margin requirements updated (${changes.length} change${changes.length === 1 ? '' : 's'})`
+    });
   };
 
   // Handle socket connection state changes - refresh data on reconnection
@@ -435,17 +516,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
         setRelayLogs(prev => [...formattedLogs, ...prev].slice(0, 100));
       };
 
-      const handleFilteredActivity = (activities) => {
-        const formattedLogs = activities.map(activity => ({
-          timestamp: activity.timestamp,
-          type: activity.type,
-          data: activity.message || activity.data
-        }));
-        setRelayLogs(formattedLogs.slice(0, 100));
-      };
-
       socket.socket.on('initial_activity', handleInitialActivity);
-      socket.socket.on('filtered_activity', handleFilteredActivity);
 
       // Handle initial state when service reconnects
       const handleInitialState = (data) => {
@@ -495,27 +566,39 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
       // Handle kill switch changes
       const handleKillSwitchChanged = (data) => {
         setTradingEnabled(data.enabled);
+        setKillSwitchEvents(prev => [killSwitchUtils.normalizeEvent(data), ...prev].slice(0, 100));
         setRelayLogs(prev => [...prev, {
           timestamp: data.timestamp,
           type: 'kill_switch',
-          data: data.enabled
+          data: (data.enabled
             ? '🟢 Trading ENABLED'
-            : '🔴 Trading DISABLED (Kill Switch Active)'
+            : '🔴 Trading DISABLED (Kill Switch Active)') +
+            (data.reason ? ` - ${data.reason}` : ''),
+          rawData: data
         }].slice(0, 100));
+
+        // Someone else re-enabled trading - drop our pending schedule
+        if (data.enabled) {
+          killSwitchUtils.clearSchedule();
+          setKillSwitchSchedule(null);
+        }
       };
 
+      // Global kill switch blocks arrive as webhook_blocked, per-strategy blocks as strategy_blocked
       const handleWebhookBlocked = (data) => {
+        const strategy = data.strategy || data.signal?.strategy;
         setRelayLogs(prev => [...prev, {
           timestamp: data.timestamp,
           type: 'webhook',
-          data: `🚫 BLOCKED: ${data.signal.action} ${data.signal.quantity} ${data.signal.symbol} (${data.reason})`,
+          data: `🚫 BLOCKED: ${strategy ? `[${strategy}] ` : ''}${data.signal.action} ${data.signal.quantity} ${data.signal.symbol} (${data.reason})`,
           rawData: data.rawData,
           result: { blocked: true, reason: data.reason }
-        }].slice(0, 100));
+        }].slice(-100));
       };
 
       socket.socket.on('kill_switch_changed', handleKillSwitchChanged);
       socket.socket.on('webhook_blocked', handleWebhookBlocked);
+      socket.socket.on('strategy_blocked', handleWebhookBlocked);
 
       // Data collector real-time updates
       const handleDataCollectorInitialized = (data) => {
@@ -632,10 +715,10 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
         socket.socket.off('market_data', handleMarketData);
         socket.socket.off('critical_status_update', handleCriticalStatusUpdate);
         socket.socket.off('initial_activity', handleInitialActivity);
-        socket.socket.off('filtered_activity', handleFilteredActivity);
         socket.socket.off('initial_state', handleInitialState);
         socket.socket.off('kill_switch_changed', handleKillSwitchChanged);
         socket.socket.off('webhook_blocked', handleWebhookBlocked);
+        socket.socket.off('strategy_blocked', handleWebhookBlocked);
         socket.socket.off('data_collector_initialized', handleDataCollectorInitialized);
         socket.socket.off('account_data_updated', handleAccountDataUpdated);
         socket.socket.off('polling_mode_changed', handlePollingModeChanged);
@@ -664,6 +747,11 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
     if (pollingEnabled && account?.id && tradovateStatus === 'connected' && !hasRecentCachedData) {
       console.log('Setting up polling for dashboard data...');
       const intervalId = setInterval(() => {
+        // Balances and positions don't move while CME is closed
+        if (!tradingSession.isOpen()) {
+          console.log('CME session closed - skipping dashboard poll');
+          return;
+        }
         console.log('Polling for dashboard data...');
         loadDashboardData();
         setLastPollingUpdate(new Date());
@@ -1040,6 +1128,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
           }, 1500); // Slightly longer delay for full sync
         }
       }
+      return response;
     } catch (error) {
       console.error('Full sync failed:', error);
       setRelayLogs(prev => [...prev, {
@@ -1047,6 +1136,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
         type: 'stderr',
         data: `❌ Full Tradovate sync failed: ${error.message}`
       }].slice(0, 100));
+      return { success: false, error: error.message };
     } finally {
       setIsFullSyncing(false);
     }
@@ -1181,6 +1271,20 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
   };
 
 
+  // Live preview of what the current sizing settings would trade
+  const sizingPreview = positionSizingUtils.calculate({
+    symbol: sizingPreviewInputs.symbol,
+    accountBalance: accountSummary?.balance ?? null,
+    stopPoints: sizingPreviewInputs.stopPoints,
+    settings: positionSizingSettings,
+    marginSettings: marginConfig.enabled ? marginConfig.marginSettings : {},
+    marginUtilization: marginConfig.marginUtilization / 100
+  });
+
+  // Incoming signals in the JSON modal are checked against the same schemas TestTrading uses
+  const modalPayload = selectedJsonData ? signalSchemas.extractPayload(selectedJsonData) : null;
+  const modalValidation = modalPayload ? signalSchemas.validate(modalPayload) : null;
+
   // Only show loading spinner if we have no account and we're actually loading
   if (isLoading && !account && !accountSummary) {
     return (
@@ -1200,6 +1304,26 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
       <div className="flex-[2] overflow-y-auto">
         <div className="p-3 sm:p-6 space-y-4 sm:space-y-6">
 
+          {/* Silent strategy alerts */}
+          {visibleSilentStrategies.length > 0 && (
+            <div className="bg-orange-900/40 border border-orange-500/50 rounded-lg p-4 space-y-2">
+              {visibleSilentStrategies.map(heartbeat => (
+                <div key={heartbeat.strategyId} className="flex justify-between items-center text-sm text-orange-200">
+                  <span>
+                    🔕 <strong>{heartbeat.strategyId}</strong> has not sent a signal for {tradingSession.formatDuration(heartbeat.silentMs)} of market time
+                    (expected within {heartbeat.windowMinutes}m) - check the TradingView alert
+                  </span>
+                  <button
+                    onClick={() => setDismissedHeartbeats(prev => ({ ...prev, [heartbeat.strategyId]: heartbeat.lastSignalAt }))}
+                    className="ml-4 text-gray-400 hover:text-white"
+                    title="Dismiss until the next signal"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
 
           {/* Enhanced Trading Status Panel */}
           <EnhancedTradingStatus
@@ -1207,8 +1331,16 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
             onPositionClosed={loadAccountSummary}
           />
 
+          {/* Manual Order Entry */}
+          <OrderTicket
+            account={account}
+            socket={socket}
+            quotes={quotes}
+            onActivity={addActivityLog}
+          />
+
 
-          {/* Account Overview and Live Quotes side by side */}
+          {/* Account Overview and Intraday P&L side by side */}
           {account && (
             <>
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -1217,12 +1349,20 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                   summary={accountSummary}
                   isLoading={isLoading && !accountSummary}
                 />
-                <QuotesPanel
-                  quotes={quotes}
-                  isLoading={false}
+                <PnLChart
+                  account={account}
+                  socket={socket}
+                  summary={accountSummary}
                 />
               </div>
 
+              {/* Live Quotes - Full Width */}
+              <QuotesPanel
+                quotes={quotes}
+                isLoading={false}
+                socket={socket}
+              />
+
               {/* Platform Status - Full Width */}
               <div>
                 {/* Platform Status */}
@@ -1232,6 +1372,19 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                     <div className="flex justify-between items-center mb-3">
                       <h3 className="text-lg font-semibold text-white">📡 Platform Status</h3>
                       <div className="flex items-center space-x-2 flex-shrink-0">
+                        <PanicButton
+                          onActivity={addActivityLog}
+                          onTradingDisabled={() => {
+                            setTradingEnabled(false);
+                            // A panic stop should never be undone by an earlier schedule
+                            killSwitchUtils.clearSchedule();
+                            setKillSwitchSchedule(null);
+                          }}
+                          onComplete={() => {
+                            loadCriticalStatus();
+                            loadAccountSummary();
+                          }}
+                        />
                         <span className="text-sm text-gray-300">Trading:</span>
                         <button
                           onClick={handleKillSwitchToggle}
@@ -1261,24 +1414,70 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                             'OFF'
                           )}
                         </span>
+                        <button
+                          onClick={() => setShowKillSwitchHistory(true)}
+                          className="text-gray-400 hover:text-white text-sm"
+                          title="Kill switch history"
+                        >
+                          🕘
+                        </button>
                       </div>
                     </div>
+                    {killSwitchSchedule && !tradingEnabled && (
+                      <div className="flex justify-end items-center gap-2 text-xs text-yellow-400 mb-3">
+                        <span>⏰ Re-enable scheduled for {new Date(killSwitchSchedule.reenableAt).toLocaleString()}</span>
+                        <button
+                          onClick={() => {
+                            killSwitchUtils.clearSchedule();
+                            setKillSwitchSchedule(null);
+                          }}
+                          className="text-gray-400 hover:text-white underline"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    )}
 
                     {/* Second line: Margins, Position Sizing, and Full Sync buttons aligned right */}
                     <div className="flex justify-end">
                       <div className="flex gap-2">
+                        <button
+                          onClick={() => setShowActivitySidebar(prev => !prev)}
+                          className="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 text-sm rounded transition-colors flex-shrink-0"
+                        >
+                          📜 Activity
+                        </button>
                         <button
                           onClick={() => setShowMarginModal(true)}
                           className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 text-sm rounded transition-colors flex-shrink-0"
                         >
                           💰 Margins
                         </button>
+                        <button
+                          onClick={() => setShowConversionSimulator(true)}
+                          className="bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 text-sm rounded transition-colors flex-shrink-0"
+                          title="Predict margin-based contract conversion for a signal"
+                        >
+                          🔮 Simulate
+                        </button>
                         <button
                           onClick={() => setShowPositionSizingModal(true)}
                           className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 text-sm rounded transition-colors flex-shrink-0"
                         >
                           ⚙️ Position Sizing
                         </button>
+                        <button
+                          onClick={() => setShowSyncPreview(true)}
+                          disabled={isFullSyncing || tradovateStatus !== 'connected'}
+                          className={`px-3 py-1 text-sm rounded transition-colors flex-shrink-0 ${
+                            isFullSyncing || tradovateStatus !== 'connected'
+                              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+                              : 'bg-gray-600 hover:bg-gray-500 text-white'
+                          }`}
+                          title={tradovateStatus !== 'connected' ? 'Tradovate must be connected' : 'Dry run a full sync and review the changes'}
+                        >
+                          🔍 Preview Sync
+                        </button>
                         <button
                           onClick={() => handleFullSync(false)}
                           disabled={isFullSyncing || tradovateStatus !== 'connected'}
@@ -1396,6 +1595,19 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
             showAll={false}
           />
 
+          {/* Per-strategy enable/disable and contract caps */}
+          <StrategyControlPanel
+            socket={socket}
+            signals={signals}
+            tradingEnabled={tradingEnabled}
+            heartbeats={heartbeats}
+            onHeartbeatWindowChange={setHeartbeatWindow}
+            onActivity={addActivityLog}
+          />
+
+          {/* Signal pipeline latency and slippage */}
+          <SignalLatencyPanel socket={socket} />
+
           {/* Market News Panel */}
           <NewsPanel
             socket={socket}
@@ -1528,44 +1740,67 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                 </p>
               </div>
 
-              {/* Risk-Based Preview */}
-              {positionSizingSettings.method === 'risk_based' && (
-                <div className="bg-gray-700 p-3 rounded">
-                  <h4 className="text-sm font-medium text-gray-300 mb-2">Risk Preview (MNQ)</h4>
-                  <div className="space-y-1 text-xs">
-                    <div className="flex justify-between">
-                      <span className="text-gray-400">$1,000 account:</span>
-                      <span className="text-white">
-                        {Math.min(
-                          Math.floor((1000 * positionSizingSettings.riskPercentage) / 100 / 104),
-                          positionSizingSettings.maxContracts
-                        )} contracts
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-400">$5,000 account:</span>
-                      <span className="text-white">
-                        {Math.min(
-                          Math.floor((5000 * positionSizingSettings.riskPercentage) / 100 / 104),
-                          positionSizingSettings.maxContracts
-                        )} contracts
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-400">$25,000 account:</span>
-                      <span className="text-white">
-                        {Math.min(
-                          Math.floor((25000 * positionSizingSettings.riskPercentage) / 100 / 104),
-                          positionSizingSettings.maxContracts
-                        )} contracts
-                      </span>
-                    </div>
+              {/* Sizing Preview */}
+              <div className="bg-gray-700 p-3 rounded">
+                <h4 className="text-sm font-medium text-gray-300 mb-2">Sizing Preview</h4>
+                <div className="grid grid-cols-2 gap-2 mb-2">
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Symbol</label>
+                    <select
+                      value={sizingPreviewInputs.symbol}
+                      onChange={(e) => setSizingPreviewInputs(prev => ({ ...prev, symbol: e.target.value }))}
+                      className="w-full bg-gray-600 border border-gray-500 text-white rounded px-2 py-1 text-sm"
+                    >
+                      {contractUtils.getSupportedSymbols().map(symbol => (
+                        <option key={symbol} value={symbol}>{symbol}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Stop (points)</label>
+                    <input
+                      type="number"
+                      min="0.25"
+                      step={contractUtils.getTickSize(sizingPreviewInputs.symbol)}
+                      value={sizingPreviewInputs.stopPoints}
+                      onChange={(e) => setSizingPreviewInputs(prev => ({ ...prev, stopPoints: parseFloat(e.target.value) || 0 }))}
+                      className="w-full bg-gray-600 border border-gray-500 text-white rounded px-2 py-1 text-sm"
+                    />
+                  </div>
+                </div>
+                <div className="space-y-1 text-xs">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Account balance:</span>
+                    <span className="text-white">
+                      {accountSummary?.balance !== undefined ? apiUtils.formatCurrency(accountSummary.balance) : 'Unknown'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Risk per contract:</span>
+                    <span className="text-white">
+                      {sizingPreview.riskPerContract !== null ? apiUtils.formatCurrency(sizingPreview.riskPerContract) : 'N/A'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Position size:</span>
+                    <span className="text-white font-semibold">
+                      {sizingPreview.quantity} {sizingPreview.symbol}
+                    </span>
                   </div>
-                  <div className="mt-2 text-xs text-gray-400">
-                    Max loss per contract: $104 (52 points × $2/point)
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Total risk:</span>
+                    <span className="text-white">{apiUtils.formatCurrency(sizingPreview.riskAmount)}</span>
                   </div>
                 </div>
-              )}
+                <div className={`mt-2 text-xs ${sizingPreview.quantity > 0 ? 'text-gray-400' : 'text-yellow-400'}`}>
+                  {sizingPreview.explanation}
+                </div>
+                {!tradingSession.isOpen() && (
+                  <div className="mt-1 text-xs text-yellow-400">
+                    CME is closed - balance may change at settlement before the next session
+                  </div>
+                )}
+              </div>
             </div>
 
             <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3 mt-6">
@@ -1587,106 +1822,58 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
         </div>
       )}
 
-      {/* Margin Settings Modal */}
-      {showMarginModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
-            <div className="flex justify-between items-center mb-4">
-              <h3 className="text-lg font-semibold text-white">💰 Day Margin Requirements</h3>
-              <button
-                onClick={() => setShowMarginModal(false)}
-                className="text-gray-400 hover:text-white"
-              >
-                ✕
-              </button>
-            </div>
+      {/* Kill Switch Dialog */}
+      {killSwitchDialog && (
+        <KillSwitchDialog
+          enabling={killSwitchDialog.enabling}
+          isLoading={isKillSwitchLoading}
+          onConfirm={handleKillSwitchConfirm}
+          onCancel={() => setKillSwitchDialog(null)}
+        />
+      )}
 
-            <div className="space-y-4">
-              <div className="text-sm text-gray-300 mb-4">
-                Configure day trading margin requirements for each contract type. These values determine contract selection in intelligent sizing mode.
-              </div>
+      {/* Kill Switch History Modal */}
+      {showKillSwitchHistory && (
+        <KillSwitchHistory
+          liveEvents={killSwitchEvents}
+          onClose={() => setShowKillSwitchHistory(false)}
+        />
+      )}
 
-              {Object.keys(marginSettings).length > 0 ? (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {Object.entries(marginSettings).map(([symbol, settings]) => (
-                    <div key={symbol} className="bg-gray-700 p-4 rounded">
-                      <h4 className="font-semibold text-white mb-2">
-                        {symbol} {settings.contractType === 'micro' ? '(Micro)' : '(Full)'}
-                      </h4>
-                      <p className="text-xs text-gray-300 mb-3">{settings.description}</p>
-
-                      <div className="space-y-3">
-                        <div>
-                          <label className="block text-xs font-medium text-gray-400 mb-1">
-                            Day Margin Requirement
-                          </label>
-                          <div className="relative">
-                            <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400">$</span>
-                            <input
-                              type="number"
-                              value={settings.dayMargin}
-                              onChange={(e) => setMarginSettings(prev => ({
-                                ...prev,
-                                [symbol]: {
-                                  ...prev[symbol],
-                                  dayMargin: parseInt(e.target.value) || 0
-                                }
-                              }))}
-                              className="w-full bg-gray-600 border border-gray-500 text-white pl-8 pr-3 py-2 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
-                              placeholder="Enter margin amount"
-                            />
-                          </div>
-                        </div>
-
-                        <div className="text-xs text-gray-400 space-y-1">
-                          <div className="flex justify-between">
-                            <span>Point Value:</span>
-                            <span className="text-white">${settings.pointValue}</span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span>Max Loss (52 pts):</span>
-                            <span className="text-white">${(52 * settings.pointValue).toFixed(0)}</span>
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <div className="text-center text-gray-400 py-8">
-                  <div className="text-4xl mb-2">⏳</div>
-                  <div>Loading margin settings...</div>
-                </div>
-              )}
+      {/* Activity Sidebar */}
+      {showActivitySidebar && (
+        <ActivitySidebar
+          logs={relayLogs}
+          socket={socket}
+          filter={activityFilter}
+          onFilterChange={setActivityFilter}
+          onSelectEntry={handleShowJsonData}
+          onClose={() => setShowActivitySidebar(false)}
+        />
+      )}
 
-              <div className="bg-gray-700 p-4 rounded">
-                <h4 className="font-semibold text-white mb-2">💡 How It Works</h4>
-                <div className="text-sm text-gray-300 space-y-2">
-                  <p>• When intelligent contract selection is enabled, the system uses these margin requirements to determine if your account can afford the requested contract</p>
-                  <p>• If you request NQ but only have $1,000 in available capital, it will automatically convert to MNQ</p>
-                  <p>• Available capital = Account Balance × Margin Utilization (default 50%)</p>
-                  <p>• These values should match your broker's day trading margin requirements</p>
-                </div>
-              </div>
-            </div>
+      {/* Full Sync Preview Modal */}
+      {showSyncPreview && (
+        <SyncPreviewModal
+          onRunSync={handleFullSync}
+          onClose={() => setShowSyncPreview(false)}
+        />
+      )}
 
-            <div className="flex justify-end gap-3 mt-6">
-              <button
-                onClick={() => setShowMarginModal(false)}
-                className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleSaveMarginSettings}
-                disabled={marginLoading}
-                className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white py-2 px-4 rounded transition-colors"
-              >
-                {marginLoading ? 'Saving...' : 'Save Margin Settings'}
-              </button>
-            </div>
-          </div>
-        </div>
+      {/* Contract Conversion Simulator Modal */}
+      {showConversionSimulator && (
+        <ContractConversionSimulator
+          account={account}
+          onClose={() => setShowConversionSimulator(false)}
+        />
+      )}
+
+      {/* Margin Settings Modal */}
+      {showMarginModal && (
+        <MarginSettingsEditor
+          onClose={() => setShowMarginModal(false)}
+          onSaved={handleMarginSaved}
+        />
       )}
 
       {/* JSON Data Modal */}
@@ -1717,12 +1904,34 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                   </div>
                 </div>
 
+                {modalValidation && (
+                  <div className={`mb-4 p-2 rounded text-xs ${
+                    modalValidation.valid ? 'bg-green-900/30 text-green-300' : 'bg-red-900/30 text-red-300'
+                  }`}>
+                    {modalValidation.valid
+                      ? `✓ Matches the ${modalPayload.action} schema`
+                      : `✕ ${modalValidation.errors.length} schema mismatch${modalValidation.errors.length !== 1 ? 'es' : ''} for ${modalPayload.action}`}
+                    {modalValidation.warnings.length > 0 && ` • ${modalValidation.warnings.length} warning${modalValidation.warnings.length !== 1 ? 's' : ''}`}
+                  </div>
+                )}
+
                 {selectedJsonData.rawData && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-300 mb-2">Raw Webhook Payload</h4>
-                    <pre className="text-xs text-green-300 font-mono whitespace-pre-wrap break-words">
-                      {JSON.stringify(selectedJsonData.rawData, null, 2)}
-                    </pre>
+                    {modalPayload === selectedJsonData.rawData ? (
+                      <PayloadPreview payload={modalPayload} validation={modalValidation} />
+                    ) : (
+                      <pre className="text-xs text-green-300 font-mono whitespace-pre-wrap break-words">
+                        {JSON.stringify(selectedJsonData.rawData, null, 2)}
+                      </pre>
+                    )}
+                  </div>
+                )}
+
+                {modalPayload && modalPayload !== selectedJsonData.rawData && (
+                  <div className="mt-4">
+                    <h4 className="text-sm font-medium text-gray-300 mb-2">Signal Payload</h4>
+                    <PayloadPreview payload={modalPayload} validation={modalValidation} />
                   </div>
                 )}
 
@@ -1736,7 +1945,7 @@ const Dashboard = ({ account, socket, onRefresh, onAccountsLoaded }) => {
                 )}
 
                 {/* Show full log data if no specific fields available */}
-                {!selectedJsonData.rawData && !selectedJsonData.result && (
+                {!selectedJsonData.rawData && !selectedJsonData.result && modalPayload !== selectedJsonData && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-300 mb-2">Log Data</h4>
                     <pre className="text-xs text-yellow-300 font-mono whitespace-pre-wrap break-words">
@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { useMarketBars } from '../hooks/useMarketBars';
+import PositionCard, { getPositionPriceTimestamp } from './PositionCard';
+import OrderCard from './OrderCard';
+import { quoteFreshness } from '../utils/quoteFreshness';
+import { useNow } from '../hooks/useNow';
 
 const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
   const [tradingData, setTradingData] = useState(null);
@@ -8,8 +14,14 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
   const [lastUpdate, setLastUpdate] = useState(null);
   const [previousPositionCount, setPreviousPositionCount] = useState(0);
   const [lastValidPrices, setLastValidPrices] = useState({});
+  const [pendingActions, setPendingActions] = useState({}); // key -> action currently in flight
+  const [actionError, setActionError] = useState(null);
+  const [expandedCharts, setExpandedCharts] = useState({}); // position key -> chart open
+  const marketBars = useMarketBars(socket);
+  const now = useNow(5000);
 
   // Update price cache when valid prices are available
+  // The cached timestamp keeps the fallback price honest about its age - null when the order has none
   useEffect(() => {
     if (tradingData?.pendingOrders) {
       const newValidPrices = {};
@@ -19,8 +31,11 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
         const priceKey = order.baseSymbol || order.symbol;
         const rawCurrentPrice = order.marketData?.currentPrice || order.currentMarketData?.close;
 
-        if (rawCurrentPrice && !isNaN(rawCurrentPrice) && rawCurrentPrice !== lastValidPrices[priceKey]) {
-          newValidPrices[priceKey] = rawCurrentPrice;
+        if (rawCurrentPrice && !isNaN(rawCurrentPrice) && rawCurrentPrice !== lastValidPrices[priceKey]?.price) {
+          newValidPrices[priceKey] = {
+            price: rawCurrentPrice,
+            timestamp: order.marketData?.timestamp || order.lastUpdate || null
+          };
           hasUpdates = true;
         }
       });
@@ -113,6 +128,147 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
     setLastUpdate(new Date());
   };
 
+  const toggleChart = (key) => {
+    setExpandedCharts(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const getPositionKey = (position) => position.positionId || `${position.accountId}-${position.symbol}`;
+  const getOrderKey = (order) => String(order.orderId);
+
+  // Optimistically update one item in a list; returns a function that undoes only the fields the
+  // updater changed, on the current item, so realtime updates received meanwhile survive a rollback
+  const applyOptimisticUpdate = (listName, getKey, original, updater) => {
+    const key = getKey(original);
+    const replaceItem = (replacement) => {
+      setTradingData(prevData => {
+        if (!prevData || !prevData[listName]) return prevData;
+        return {
+          ...prevData,
+          [listName]: prevData[listName].map(item => getKey(item) === key ? replacement(item) : item)
+        };
+      });
+    };
+
+    const optimistic = updater(original);
+    const changedFields = Object.keys(optimistic).filter(field => optimistic[field] !== original[field]);
+
+    replaceItem(updater);
+    return () => replaceItem(item => ({
+      ...item,
+      ...Object.fromEntries(changedFields
+        .filter(field => item[field] === optimistic[field])
+        .map(field => [field, original[field]]))
+    }));
+  };
+
+  const removeItem = (listName, getKey, key) => {
+    setTradingData(prevData => {
+      if (!prevData || !prevData[listName]) return prevData;
+      return {
+        ...prevData,
+        [listName]: prevData[listName].filter(item => getKey(item) !== key)
+      };
+    });
+  };
+
+  // Run a confirmed position/order action with in-flight state and rollback on rejection
+  const runAction = async (key, action, optimistic, request, onSuccess) => {
+    setPendingActions(prev => ({ ...prev, [key]: action }));
+    setActionError(null);
+    const rollback = optimistic();
+
+    try {
+      await request();
+      onSuccess?.();
+    } catch (error) {
+      console.error(`❌ ${action} failed:`, error);
+      rollback();
+      setActionError(`${action} failed: ${error.message}`);
+    } finally {
+      setPendingActions(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    }
+  };
+
+  const handleFlatten = (position, quantity) => {
+    if (!window.confirm(`⚠️ Flatten ${position.side?.toUpperCase()} ${quantity} ${position.symbol}?\n\nThis will close the position at market.`)) {
+      return;
+    }
+
+    const key = getPositionKey(position);
+    runAction(
+      key,
+      'Flatten',
+      () => applyOptimisticUpdate('openPositions', getPositionKey, position, pos => ({ ...pos, optimisticStatus: 'Flattening' })),
+      () => api.flattenPosition(position),
+      // Removing the position lets the position count monitor refresh the balance
+      () => removeItem('openPositions', getPositionKey, key)
+    );
+  };
+
+  const handleReverse = (position, quantity) => {
+    const isLong = position.side?.toLowerCase() === 'long';
+    if (!window.confirm(`⚠️ Reverse ${position.side?.toUpperCase()} ${quantity} ${position.symbol} to ${isLong ? 'SHORT' : 'LONG'}?\n\nThis will close the position and open the opposite side at market.`)) {
+      return;
+    }
+
+    const key = getPositionKey(position);
+    runAction(
+      key,
+      'Reverse',
+      () => applyOptimisticUpdate('openPositions', getPositionKey, position, pos => ({
+        ...pos,
+        side: isLong ? 'short' : 'long',
+        optimisticStatus: 'Reversing'
+      })),
+      () => api.reversePosition(position),
+      () => applyOptimisticUpdate('openPositions', getPositionKey, position, pos => ({ ...pos, optimisticStatus: null }))
+    );
+  };
+
+  const handleCancelOrder = (order) => {
+    if (!window.confirm(`⚠️ Cancel order ${order.orderId}?\n\n${order.action?.toUpperCase()} ${order.quantity} ${order.symbol} @ ${order.price}`)) {
+      return;
+    }
+
+    const key = getOrderKey(order);
+    runAction(
+      key,
+      'Cancel',
+      () => applyOptimisticUpdate('pendingOrders', getOrderKey, order, o => ({ ...o, optimisticStatus: 'Cancelling' })),
+      () => api.cancelOrder(order.orderId),
+      () => removeItem('pendingOrders', getOrderKey, key)
+    );
+  };
+
+  const handleModifyPrice = (order) => {
+    const input = window.prompt(`New price for order ${order.orderId} (${order.symbol}):`, order.price);
+    if (input === null) return;
+
+    const rawPrice = parseFloat(input);
+    if (isNaN(rawPrice) || rawPrice <= 0) {
+      setActionError(`Invalid price: ${input}`);
+      return;
+    }
+
+    const newPrice = contractUtils.roundToTick(rawPrice, order.symbol);
+    if (!window.confirm(`Move order ${order.orderId} from ${order.price} to ${newPrice}?`)) {
+      return;
+    }
+
+    const key = getOrderKey(order);
+    runAction(
+      key,
+      'Modify',
+      () => applyOptimisticUpdate('pendingOrders', getOrderKey, order, o => ({ ...o, price: newPrice, optimisticStatus: 'Modifying' })),
+      () => api.modifyOrder(order.orderId, { price: newPrice }),
+      () => applyOptimisticUpdate('pendingOrders', getOrderKey, order, o => ({ ...o, price: newPrice, optimisticStatus: null }))
+    );
+  };
+
   // Load data on mount and set up WebSocket listeners
   useEffect(() => {
     // Load initial data
@@ -157,23 +313,6 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
     setPreviousPositionCount(currentPositionCount);
   }, [tradingData?.openPositions?.length, previousPositionCount, onPositionClosed]);
 
-  // Format currency
-  const formatCurrency = (amount) => {
-    if (amount === null || amount === undefined) return 'N/A';
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
-  };
-
-  // Format percentage
-  const formatPercentage = (value) => {
-    if (value === null || value === undefined) return 'N/A';
-    return `${value.toFixed(2)}%`;
-  };
-
   // Format date/time
   const formatDateTime = (timestamp) => {
     if (!timestamp) return 'N/A';
@@ -188,21 +327,6 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
     });
   };
 
-  // Get distance color based on proximity to market
-  const getDistanceColor = (distancePercent) => {
-    if (!distancePercent) return 'text-gray-400';
-    if (distancePercent < 0.5) return 'text-green-400';
-    if (distancePercent < 1.0) return 'text-yellow-400';
-    return 'text-red-400';
-  };
-
-  // Get P&L color
-  const getPnLColor = (pnl) => {
-    if (pnl > 0) return 'text-green-400';
-    if (pnl < 0) return 'text-red-400';
-    return 'text-gray-400';
-  };
-
   if (isLoading && !tradingData) {
     return (
       <div className="bg-gray-800 rounded-lg p-6">
@@ -236,8 +360,31 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
   const hasOpenPositions = tradingData?.openPositions?.length > 0;
   const hasActiveItems = hasPendingOrders || hasOpenPositions;
 
+  const unreliablePositions = (tradingData?.openPositions || []).filter(position =>
+    !quoteFreshness.getState(getPositionPriceTimestamp(position), now).isReliable
+  );
+
   return (
     <div className="bg-gray-800 rounded-lg p-6">
+      {/* Action Error */}
+      {actionError && (
+        <div className="mb-4 p-3 bg-red-900/30 border border-red-500/30 rounded flex justify-between items-center text-sm text-red-300">
+          <span>❌ {actionError}</span>
+          <button onClick={() => setActionError(null)} className="text-gray-400 hover:text-white">✕</button>
+        </div>
+      )}
+
+      {/* Stale price warning - P&L and trailing distances below depend on these prices */}
+      {unreliablePositions.length > 0 && (
+        <div className="mb-4 p-3 bg-yellow-900/30 border border-yellow-500/30 rounded text-sm text-yellow-300">
+          ⚠️ {unreliablePositions.length} position{unreliablePositions.length !== 1 ? 's' : ''} priced from {
+            quoteFreshness.getStyle(quoteFreshness.getWorst(unreliablePositions.map(position =>
+              quoteFreshness.getState(getPositionPriceTimestamp(position), now).state
+            ))).label.toLowerCase()
+          } quotes ({unreliablePositions.map(position => position.symbol).join(', ')}) - unrealized P&L and trailing distances may be out of date
+        </div>
+      )}
+
       {/* Trading Status Summary */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 p-3 bg-gray-700 rounded">
         <div className="text-center">
@@ -283,130 +430,20 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
               // Debug logging to see available fields
               console.log(`🔍 Position ${idx} data:`, position);
 
-              const side = position.side?.toLowerCase();
-              const isLong = side === 'long';
-              const quantity = Math.abs(position.netPos || position.quantity || position.signalContext?.quantity || 0);
-              const currentPrice = position.currentPrice;
-              const entryPrice = position.entryPrice;
-              const isAboveEntry = currentPrice && entryPrice && (
-                (isLong && currentPrice > entryPrice) ||
-                (!isLong && currentPrice < entryPrice)
-              );
-
-              // Format trailing stop display from separate values or legacy fields
-              const trailingOffset = position.signalContext?.trailingOffset;
-              const trailingTrigger = position.signalContext?.trailingTrigger;
-              const legacyTrailing = position.signalContext?.trailingStop || position.trailingStopPrice;
-
-              let trailingDisplay = null;
-              let trailingActivationDistance = null;
-
-              if (trailingOffset && trailingTrigger && currentPrice && entryPrice) {
-                // Calculate actual activation level
-                const activationLevel = isLong ?
-                  entryPrice + trailingTrigger :
-                  entryPrice - trailingTrigger;
-
-                // Calculate how far price needs to move to activate trailing stop
-                const pointsToActivation = isLong ?
-                  Math.max(0, activationLevel - currentPrice) :
-                  Math.max(0, currentPrice - activationLevel);
-
-                trailingDisplay = `${trailingOffset}pt / ${trailingTrigger}pt`;
-                if (pointsToActivation > 0) {
-                  // Round to nearest tick (0.25)
-                  const ticksToActivation = Math.round(pointsToActivation / 0.25) * 0.25;
-                  trailingActivationDistance = `${ticksToActivation}pt to ${formatCurrency(activationLevel)}`;
-                } else {
-                  trailingActivationDistance = `Active`;
-                }
-              } else if (legacyTrailing) {
-                trailingDisplay = typeof legacyTrailing === 'string' ? legacyTrailing : `${legacyTrailing}pt`;
-              }
+              const positionKey = getPositionKey(position);
 
               return (
-                <div key={idx} className="bg-gray-800 border border-gray-600 rounded-lg overflow-hidden">
-                  {/* Header Row */}
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between px-4 py-3 bg-gray-700 border-b border-gray-600 gap-2">
-                    <div className="flex items-center gap-2 sm:gap-3">
-                      <div className={`flex items-center gap-1 sm:gap-2 font-semibold text-sm ${
-                        isLong ? 'text-green-400' : 'text-red-400'
-                      }`}>
-                        <span className={`w-2 h-2 rounded-full ${
-                          isLong ? 'bg-green-400' : 'bg-red-400'
-                        }`}></span>
-                        {isLong ? 'LONG' : 'SHORT'}
-                      </div>
-                      <span className="font-bold text-white text-lg">{position.symbol}</span>
-                      <span className="text-gray-400 text-sm">×{quantity}</span>
-                    </div>
-                    <div className={`font-semibold text-lg ${getPnLColor(position.unrealizedPnL)} sm:text-right`}>
-                      {formatCurrency(position.unrealizedPnL)}
-                    </div>
-                  </div>
-
-                  {/* Price Grid - Responsive: 2 cols on mobile, 5 on larger screens */}
-                  <div className="grid grid-cols-2 md:grid-cols-5 gap-2 px-4 py-3">
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Entry</span>
-                      <span className="text-sm font-medium text-gray-100">
-                        {formatCurrency(position.entryPrice)}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Current</span>
-                      <span className={`text-sm font-medium ${
-                        isAboveEntry ? 'text-green-400' : 'text-red-400'
-                      }`}>
-                        {formatCurrency(position.currentPrice)}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Target</span>
-                      <span className={`text-sm font-medium ${
-                        (position.targetPrice || position.signalContext?.takeProfit) ? 'text-blue-400' : 'text-gray-500'
-                      }`}>
-                        {position.targetPrice ? formatCurrency(position.targetPrice) :
-                         position.signalContext?.takeProfit ? formatCurrency(position.signalContext.takeProfit) : '—'}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Stop Loss</span>
-                      <span className={`text-sm font-medium ${
-                        (position.stopPrice || position.signalContext?.stopLoss || position.signalContext?.stopPrice) ? 'text-orange-400' : 'text-gray-500'
-                      }`}>
-                        {position.stopPrice ? formatCurrency(position.stopPrice) :
-                         position.signalContext?.stopLoss ? formatCurrency(position.signalContext.stopLoss) :
-                         position.signalContext?.stopPrice ? formatCurrency(position.signalContext.stopPrice) : '—'}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Trailing</span>
-                      <span className={`text-sm font-medium ${
-                        trailingDisplay ? 'text-purple-300' : 'text-gray-500'
-                      }`}>
-                        {trailingDisplay || '—'}
-                      </span>
-                      {trailingActivationDistance && (
-                        <span className={`text-xs ${
-                          trailingActivationDistance === 'Active' ? 'text-green-400' : 'text-yellow-400'
-                        }`}>
-                          {trailingActivationDistance}
-                        </span>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Footer */}
-                  <div className="px-4 py-2 border-t border-gray-600 text-xs text-gray-400">
-                    Opened {position.signalContext?.timestamp ?
-                      new Date(position.signalContext.timestamp).toLocaleDateString('en-US', {
-                        month: 'short', day: 'numeric'
-                      }) + ', ' + new Date(position.signalContext.timestamp).toLocaleTimeString('en-US', {
-                        hour: 'numeric', minute: '2-digit', hour12: true
-                      }) : 'Unknown'}
-                  </div>
-                </div>
+                <PositionCard
+                  key={idx}
+                  position={position}
+                  now={now}
+                  pendingAction={pendingActions[positionKey]}
+                  onFlatten={handleFlatten}
+                  onReverse={handleReverse}
+                  chartOpen={!!expandedCharts[positionKey]}
+                  onToggleChart={() => toggleChart(positionKey)}
+                  bars={marketBars[contractUtils.getBaseSymbol(position.symbol)] || []}
+                />
               );
             })}
           </div>
@@ -422,127 +459,27 @@ const EnhancedTradingStatus = ({ socket, onPositionClosed }) => {
           </h4>
           <div className="space-y-2">
             {tradingData.pendingOrders.map((order, idx) => {
-              const action = order.action?.toLowerCase();
-              const isLong = action === 'long' || action === 'buy';
-              const quantity = order.quantity || 0;
-              const orderPrice = order.price;
               // Use marketData.currentPrice if available, fallback to cached price to prevent flickering
               const rawCurrentPrice = order.marketData?.currentPrice || order.currentMarketData?.close;
               const priceKey = order.baseSymbol || order.symbol;
 
               // Use cached price as fallback to prevent "No Data" flickering
-              const currentPrice = (rawCurrentPrice && !isNaN(rawCurrentPrice))
-                ? rawCurrentPrice
-                : (lastValidPrices[priceKey] || null);
-              const marketDistance = order.marketDistance;
-
-              // Format trailing stop display from separate values
-              const trailingOffset = order.signalContext?.trailingOffset;
-              const trailingTrigger = order.signalContext?.trailingTrigger;
-              const legacyTrailing = order.signalContext?.trailingStop;
-
-              let trailingDisplay = null;
-              let trailingActivationDistance = null;
-
-              if (trailingOffset && trailingTrigger) {
-                trailingDisplay = `${trailingOffset}pt / ${trailingTrigger}pt`;
-                // For pending orders, can't calculate activation distance without entry price
-                // Will show activation distance once order is filled and becomes a position
-              } else if (legacyTrailing) {
-                trailingDisplay = typeof legacyTrailing === 'string' ? legacyTrailing : `${legacyTrailing}pt`;
-              }
+              const hasLivePrice = rawCurrentPrice && !isNaN(rawCurrentPrice);
+              const orderKey = getOrderKey(order);
 
               return (
-                <div key={idx} className="bg-gray-800 border border-yellow-500/30 rounded-lg overflow-hidden">
-                  {/* Header Row */}
-                  <div className="flex items-center justify-between px-4 py-3 bg-gray-700 border-b border-gray-600">
-                    <div className="flex items-center gap-3">
-                      <div className={`flex items-center gap-2 font-semibold text-sm ${
-                        isLong ? 'text-green-400' : 'text-red-400'
-                      }`}>
-                        <span className={`w-2 h-2 rounded-full ${
-                          isLong ? 'bg-green-400' : 'bg-red-400'
-                        }`}></span>
-                        {isLong ? 'LONG' : 'SHORT'}
-                      </div>
-                      <span className="font-bold text-white text-lg">{order.symbol}</span>
-                      <span className="text-gray-400 text-sm">×{quantity}</span>
-                    </div>
-                    <div className="text-right">
-                      <div className="text-sm text-yellow-400 font-medium">{order.orderStatus}</div>
-                      <div className="text-xs text-gray-500">ID: {order.orderId}</div>
-                    </div>
-                  </div>
-
-                  {/* Price Grid - Responsive: 2 cols on mobile, 5 on larger screens */}
-                  <div className="grid grid-cols-2 md:grid-cols-5 gap-2 px-4 py-3">
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Order Price</span>
-                      <span className="text-sm font-medium text-gray-100">
-                        {formatCurrency(orderPrice)}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Current</span>
-                      <span className={`text-sm font-medium ${
-                        currentPrice ? 'text-white' : 'text-gray-500'
-                      }`}>
-                        {currentPrice ? formatCurrency(currentPrice) : 'No Data'}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Target</span>
-                      <span className={`text-sm font-medium ${
-                        order.signalContext?.takeProfit ? 'text-blue-400' : 'text-gray-500'
-                      }`}>
-                        {order.signalContext?.takeProfit ? formatCurrency(order.signalContext.takeProfit) : '—'}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Stop Loss</span>
-                      <span className={`text-sm font-medium ${
-                        order.signalContext?.stopLoss ? 'text-orange-400' : 'text-gray-500'
-                      }`}>
-                        {order.signalContext?.stopLoss ? formatCurrency(order.signalContext.stopLoss) : '—'}
-                      </span>
-                    </div>
-                    <div className="flex flex-col gap-1">
-                      <span className="text-xs text-gray-400 uppercase tracking-wide">Trailing</span>
-                      <span className={`text-sm font-medium ${
-                        trailingDisplay ? 'text-purple-300' : 'text-gray-500'
-                      }`}>
-                        {trailingDisplay || 'None'}
-                      </span>
-                      {trailingDisplay && (
-                        <span className="text-xs text-blue-400">
-                          On fill
-                        </span>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Market Distance Info (if available) */}
-                  {marketDistance && currentPrice && (
-                    <div className="px-4 py-2 bg-gray-900 border-t border-gray-600">
-                      <div className="flex justify-between items-center text-xs">
-                        <span className="text-gray-400">Market Distance:</span>
-                        <span className={`font-medium ${getDistanceColor(marketDistance.percentage)}`}>
-                          {marketDistance.points?.toFixed(2)} pts ({formatPercentage(marketDistance.percentage)})
-                        </span>
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Footer */}
-                  <div className="px-4 py-2 border-t border-gray-600 text-xs text-gray-400">
-                    Placed {order.createdAt || order.timestamp ?
-                      new Date(order.createdAt || order.timestamp).toLocaleDateString('en-US', {
-                        month: 'short', day: 'numeric'
-                      }) + ', ' + new Date(order.createdAt || order.timestamp).toLocaleTimeString('en-US', {
-                        hour: 'numeric', minute: '2-digit', hour12: true
-                      }) : 'Unknown'}
-                  </div>
-                </div>
+                <OrderCard
+                  key={idx}
+                  order={order}
+                  currentPrice={hasLivePrice ? rawCurrentPrice : (lastValidPrices[priceKey]?.price || null)}
+                  priceTimestamp={hasLivePrice
+                    ? (order.marketData?.timestamp || order.lastUpdate)
+                    : lastValidPrices[priceKey]?.timestamp}
+                  now={now}
+                  pendingAction={pendingActions[orderKey]}
+                  onModify={handleModifyPrice}
+                  onCancel={handleCancelOrder}
+                />
               );
             })}
           </div>
@@ -0,0 +1,28 @@
+import React from 'react';
+import { useNow } from '../hooks/useNow';
+import { quoteFreshness } from '../utils/quoteFreshness';
+
+/**
+ * Live / delayed / stale / market closed marker for a price timestamp
+ * compact renders only the colored dot (label in the tooltip)
+ */
+const FreshnessBadge = ({ timestamp, compact = false }) => {
+  const now = useNow(5000);
+  const { state, ageMs, label } = quoteFreshness.getState(timestamp, now);
+  const style = quoteFreshness.getStyle(state);
+  const title = `${label}${ageMs !== null ? ` • updated ${quoteFreshness.formatAge(ageMs)}` : ''}`;
+
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs ${style.text}`} title={title}>
+      <span className={`w-2 h-2 rounded-full ${style.dot} ${state === 'live' ? 'animate-pulse' : ''}`}></span>
+      {!compact && (
+        <span>
+          {label}
+          {(state === 'delayed' || state === 'stale') && ` (${quoteFreshness.formatAge(ageMs)})`}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default FreshnessBadge;
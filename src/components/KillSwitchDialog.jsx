@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { KILL_SWITCH_REASONS } from '../utils/killSwitch';
+
+// datetime-local wants local time without seconds or zone
+const toLocalInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const KillSwitchDialog = ({ enabling, isLoading, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState(enabling ? '' : KILL_SWITCH_REASONS[0]);
+  const [customReason, setCustomReason] = useState('');
+  const [useSchedule, setUseSchedule] = useState(false);
+  const [disableUntil, setDisableUntil] = useState(() => toLocalInputValue(new Date(Date.now() + 60 * 60 * 1000)));
+  const [error, setError] = useState(null);
+
+  const handleConfirm = () => {
+    const finalReason = reason === 'other' ? customReason.trim() : reason;
+    if (!enabling && !finalReason) {
+      setError('A reason is required when disabling trading');
+      return;
+    }
+
+    let until = null;
+    if (!enabling && useSchedule) {
+      const date = new Date(disableUntil);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        setError('Re-enable time must be in the future');
+        return;
+      }
+      until = date.toISOString();
+    }
+
+    onConfirm({ reason: finalReason || null, disableUntil: until });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">
+            {enabling ? '🟢 Enable Live Trading' : '🔴 Disable Trading'}
+          </h3>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-white"
+          >
+            ✕
+          </button>
+        </div>
+
+        {enabling && (
+          <div className="bg-yellow-900/30 border border-yellow-700 rounded p-3 text-sm text-yellow-300 mb-4">
+            ⚠️ This will allow the system to execute real trades.
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Reason {enabling && <span className="text-gray-500">(optional)</span>}
+            </label>
+            <select
+              value={reason}
+              onChange={(e) => { setReason(e.target.value); setError(null); }}
+              className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2"
+            >
+              {enabling && <option value="">No reason</option>}
+              {!enabling && KILL_SWITCH_REASONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+              <option value="other">Other...</option>
+            </select>
+            {reason === 'other' && (
+              <input
+                type="text"
+                value={customReason}
+                onChange={(e) => { setCustomReason(e.target.value); setError(null); }}
+                placeholder="Describe why"
+                autoFocus
+                className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2 mt-2"
+              />
+            )}
+          </div>
+
+          {!enabling && (
+            <div>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={useSchedule}
+                  onChange={(e) => { setUseSchedule(e.target.checked); setError(null); }}
+                />
+                Disable until
+              </label>
+              {useSchedule && (
+                <>
+                  <input
+                    type="datetime-local"
+                    value={disableUntil}
+                    onChange={(e) => { setDisableUntil(e.target.value); setError(null); }}
+                    className="w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2 mt-2"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    You'll be asked to confirm before trading is re-enabled. The dashboard must be open at that time.
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="text-sm text-red-400">{error}</div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className={`text-white py-2 px-4 rounded transition-colors disabled:opacity-50 ${
+              enabling ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+            }`}
+          >
+            {isLoading ? 'Saving...' : enabling ? 'Enable Trading' : 'Disable Trading'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KillSwitchDialog;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+const KillSwitchHistory = ({ liveEvents = [], onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setHistory(await api.getKillSwitchHistory(100));
+      } catch (error) {
+        console.error('Failed to load kill switch history:', error);
+        setError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadHistory();
+  }, []);
+
+  // Events received this session may not be in the loaded history yet
+  const seen = new Set();
+  const events = [...liveEvents, ...history]
+    .filter(event => {
+      const key = `${event.timestamp}|${event.enabled}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">🕘 Kill Switch History</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {error && (
+            <div className="text-sm text-red-400 mb-2">Failed to load history: {error}</div>
+          )}
+          {isLoading && events.length === 0 ? (
+            <div className="text-center text-gray-400 py-8">⏳ Loading history...</div>
+          ) : events.length === 0 ? (
+            <div className="text-center text-gray-400 py-8">No kill switch changes recorded</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-2">When</th>
+                  <th className="py-2 pr-2">State</th>
+                  <th className="py-2 pr-2">Who</th>
+                  <th className="py-2">Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr key={`${event.timestamp}|${event.enabled}`} className="border-b border-gray-700/50 align-top">
+                    <td className="py-2 pr-2 text-gray-300 whitespace-nowrap">
+                      {new Date(event.timestamp).toLocaleString()}
+                    </td>
+                    <td className={`py-2 pr-2 font-medium ${event.enabled ? 'text-green-400' : 'text-red-400'}`}>
+                      {event.enabled ? '🟢 Enabled' : '🔴 Disabled'}
+                    </td>
+                    <td className="py-2 pr-2 text-gray-300">{event.source}</td>
+                    <td className="py-2 text-gray-300">
+                      {event.reason || <span className="text-gray-500">No reason given</span>}
+                      {event.disableUntil && (
+                        <div className="text-xs text-gray-400">
+                          Until {new Date(event.disableUntil).toLocaleString()}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={onClose}
+            className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KillSwitchHistory;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../services/api';
+import { marginUtils } from '../utils/margins';
+import { positionSizingUtils } from '../utils/positionSizing';
+import { contractUtils } from '../utils/contracts';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  return value.toString();
+};
+
+const MarginSettingsEditor = ({ onClose, onSaved }) => {
+  const [original, setOriginal] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isReviewing, setIsReviewing] = useState(false);
+
+  const loadSettings = async () => {
+    setLoadError(null);
+    try {
+      const config = await api.getMarginSettings();
+      setOriginal(config);
+      setDraft(config);
+    } catch (error) {
+      console.error('Failed to load margin settings:', error);
+      setLoadError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  // Start editing from the local defaults when the backend has nothing to offer
+  const handleUseDefaults = () => {
+    setOriginal({ marginSettings: {}, conversionRules: {} });
+    setDraft(marginUtils.getDefaults());
+    setLoadError(null);
+  };
+
+  const handleRestoreDefaults = async () => {
+    if (!window.confirm('Replace all margin values with broker defaults? You can review the changes before saving.')) {
+      return;
+    }
+    const defaults = await api.getMarginDefaults();
+    setDraft(defaults);
+  };
+
+  const updateContract = (symbol, dayMargin) => {
+    setDraft(prev => ({
+      ...prev,
+      marginSettings: {
+        ...prev.marginSettings,
+        [symbol]: { ...prev.marginSettings[symbol], dayMargin }
+      }
+    }));
+  };
+
+  const updateRule = (rule, value) => {
+    setDraft(prev => ({
+      ...prev,
+      conversionRules: { ...prev.conversionRules, [rule]: value }
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await api.setMarginSettings(draft);
+      onSaved?.(saved, changes);
+      onClose();
+    } catch (error) {
+      console.error('Failed to update margin settings:', error);
+      alert(`Failed to update margin settings: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const errors = draft ? marginUtils.validate(draft) : [];
+  const changes = original && draft ? marginUtils.diff(original, draft) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">💰 Day Margin Requirements</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white"
+          >
+            ✕
+          </button>
+        </div>
+
+        {loadError ? (
+          <div className="text-center py-8">
+            <div className="text-4xl mb-2">⚠️</div>
+            <div className="text-red-400 mb-4">Failed to load margin settings: {loadError}</div>
+            <div className="flex justify-center gap-3">
+              <button
+                onClick={loadSettings}
+                className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded transition-colors"
+              >
+                Retry
+              </button>
+              <button
+                onClick={handleUseDefaults}
+                className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+              >
+                Start From Defaults
+              </button>
+            </div>
+          </div>
+        ) : !draft ? (
+          <div className="text-center text-gray-400 py-8">
+            <div className="text-4xl mb-2">⏳</div>
+            <div>Loading margin settings...</div>
+          </div>
+        ) : isReviewing ? (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-300">Review changes before saving:</div>
+            {changes.length > 0 ? (
+              <div className="bg-gray-700 rounded divide-y divide-gray-600">
+                {changes.map(change => (
+                  <div key={change.label} className="flex justify-between p-2 text-sm">
+                    <span className="text-gray-300">{change.label}</span>
+                    <span className="font-mono">
+                      <span className="text-red-300 line-through mr-2">{formatValue(change.from)}</span>
+                      <span className="text-green-300">{formatValue(change.to)}</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-gray-400 text-sm">No changes</div>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-300">
+              Configure day trading margin requirements for each contract type. These values determine contract selection in intelligent sizing mode.
+            </div>
+
+            <div className="bg-gray-700 p-4 rounded space-y-3">
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={draft.enabled}
+                  onChange={(e) => setDraft(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Apply margin limits to position sizing
+              </label>
+
+              <div>
+                <label className="block text-xs font-medium text-gray-400 mb-1">
+                  Margin Utilization (%)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={draft.marginUtilization}
+                  onChange={(e) => setDraft(prev => ({ ...prev, marginUtilization: parseFloat(e.target.value) || 0 }))}
+                  className="w-full bg-gray-600 border border-gray-500 text-white px-3 py-2 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={draft.conversionRules.convertToMicro}
+                    onChange={(e) => updateRule('convertToMicro', e.target.checked)}
+                  />
+                  Full → Micro when short on margin
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={draft.conversionRules.convertToFull}
+                    onChange={(e) => updateRule('convertToFull', e.target.checked)}
+                  />
+                  Micro → Full when margin allows
+                </label>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Micros per full contract</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.conversionRules.microRatio}
+                    onChange={(e) => updateRule('microRatio', parseInt(e.target.value) || 0)}
+                    className="w-full bg-gray-600 border border-gray-500 text-white px-3 py-1 rounded"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.entries(draft.marginSettings).map(([symbol, settings]) => {
+                const pointValue = settings.pointValue || contractUtils.getPointValue(symbol);
+                return (
+                  <div key={symbol} className="bg-gray-700 p-4 rounded">
+                    <h4 className="font-semibold text-white mb-2">
+                      {symbol} {settings.contractType === 'micro' ? '(Micro)' : '(Full)'}
+                    </h4>
+                    <p className="text-xs text-gray-300 mb-3">{settings.description}</p>
+
+                    <div className="space-y-3">
+                      <div>
+                        <label className="block text-xs font-medium text-gray-400 mb-1">
+                          Day Margin Requirement
+                        </label>
+                        <div className="relative">
+                          <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400">$</span>
+                          <input
+                            type="number"
+                            min="0"
+                            value={settings.dayMargin}
+                            onChange={(e) => updateContract(symbol, parseInt(e.target.value) || 0)}
+                            className="w-full bg-gray-600 border border-gray-500 text-white pl-8 pr-3 py-2 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                            placeholder="Enter margin amount"
+                          />
+                        </div>
+                      </div>
+
+                      <div className="text-xs text-gray-400 space-y-1">
+                        <div className="flex justify-between">
+                          <span>Point Value:</span>
+                          <span className="text-white">${pointValue}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Max Loss ({positionSizingUtils.DEFAULT_STOP_POINTS} pts):</span>
+                          <span className="text-white">${(positionSizingUtils.DEFAULT_STOP_POINTS * pointValue).toFixed(0)}</span>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {errors.length > 0 && (
+              <div className="bg-red-900/30 border border-red-700 rounded p-3 text-sm text-red-300 space-y-1">
+                {errors.map(error => <div key={error}>• {error}</div>)}
+              </div>
+            )}
+
+            <div className="bg-gray-700 p-4 rounded">
+              <h4 className="font-semibold text-white mb-2">💡 How It Works</h4>
+              <div className="text-sm text-gray-300 space-y-2">
+                <p>• When intelligent contract selection is enabled, the system uses these margin requirements to determine if your account can afford the requested contract</p>
+                <p>• If you request NQ but only have $1,000 in available capital, it will automatically convert to MNQ</p>
+                <p>• Available capital = Account Balance × Margin Utilization ({draft.marginUtilization}%)</p>
+                <p>• These values should match your broker's day trading margin requirements</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {draft && !loadError && (
+          <div className="flex flex-col sm:flex-row justify-between gap-3 mt-6">
+            <button
+              onClick={handleRestoreDefaults}
+              disabled={isReviewing}
+              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-300 py-2 px-4 rounded transition-colors"
+            >
+              Restore Broker Defaults
+            </button>
+            <div className="flex gap-3">
+              <button
+                onClick={isReviewing ? () => setIsReviewing(false) : onClose}
+                className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+              >
+                {isReviewing ? 'Back' : 'Cancel'}
+              </button>
+              {isReviewing ? (
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving || changes.length === 0}
+                  className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white py-2 px-4 rounded transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save Margin Settings'}
+                </button>
+              ) : (
+                <button
+                  onClick={() => setIsReviewing(true)}
+                  disabled={errors.length > 0 || changes.length === 0}
+                  className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 disabled:opacity-50 text-white py-2 px-4 rounded transition-colors"
+                >
+                  Review Changes ({changes.length})
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarginSettingsEditor;
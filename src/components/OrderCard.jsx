@@ -0,0 +1,165 @@
+import React from 'react';
+import { apiUtils } from '../services/api';
+import { quoteFreshness } from '../utils/quoteFreshness';
+import FreshnessBadge from './FreshnessBadge';
+
+// Format percentage
+const formatPercentage = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  return `${value.toFixed(2)}%`;
+};
+
+// Get distance color based on proximity to market
+const getDistanceColor = (distancePercent) => {
+  if (!distancePercent) return 'text-gray-400';
+  if (distancePercent < 0.5) return 'text-green-400';
+  if (distancePercent < 1.0) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+/**
+ * Working order card shared by live and paper trading views
+ * currentPrice/priceTimestamp come from the caller, which may fall back to a cached price
+ */
+const OrderCard = ({ order, currentPrice, priceTimestamp, now, pendingAction, onModify, onCancel }) => {
+  const action = order.action?.toLowerCase();
+  const isLong = action === 'long' || action === 'buy';
+  const quantity = order.quantity || 0;
+  const orderPrice = order.price;
+  const priceFreshness = quoteFreshness.getState(priceTimestamp, now);
+  const marketDistance = order.marketDistance;
+
+  // Format trailing stop display from separate values
+  const trailingOffset = order.signalContext?.trailingOffset;
+  const trailingTrigger = order.signalContext?.trailingTrigger;
+  const legacyTrailing = order.signalContext?.trailingStop;
+
+  let trailingDisplay = null;
+
+  // Activation distance needs an entry price, so it only shows once the order becomes a position
+  if (trailingOffset && trailingTrigger) {
+    trailingDisplay = `${trailingOffset}pt / ${trailingTrigger}pt`;
+  } else if (legacyTrailing) {
+    trailingDisplay = typeof legacyTrailing === 'string' ? legacyTrailing : `${legacyTrailing}pt`;
+  }
+
+  return (
+    <div className={`bg-gray-800 border border-yellow-500/30 rounded-lg overflow-hidden ${
+      order.optimisticStatus ? 'opacity-60' : ''
+    }`}>
+      {/* Header Row */}
+      <div className="flex items-center justify-between px-4 py-3 bg-gray-700 border-b border-gray-600">
+        <div className="flex items-center gap-3">
+          <div className={`flex items-center gap-2 font-semibold text-sm ${
+            isLong ? 'text-green-400' : 'text-red-400'
+          }`}>
+            <span className={`w-2 h-2 rounded-full ${
+              isLong ? 'bg-green-400' : 'bg-red-400'
+            }`}></span>
+            {isLong ? 'LONG' : 'SHORT'}
+          </div>
+          <span className="font-bold text-white text-lg">{order.symbol}</span>
+          <span className="text-gray-400 text-sm">×{quantity}</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="text-right">
+            <div className="text-sm text-yellow-400 font-medium">
+              {order.optimisticStatus ? `${order.optimisticStatus}...` : order.orderStatus}
+            </div>
+            <div className="text-xs text-gray-500">ID: {order.orderId}</div>
+          </div>
+          <button
+            onClick={() => onModify(order)}
+            disabled={!!pendingAction}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-2 py-1 text-xs rounded"
+          >
+            {pendingAction === 'Modify' ? '⏳' : 'Modify'}
+          </button>
+          <button
+            onClick={() => onCancel(order)}
+            disabled={!!pendingAction}
+            className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-2 py-1 text-xs rounded"
+          >
+            {pendingAction === 'Cancel' ? '⏳' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+
+      {/* Price Grid - Responsive: 2 cols on mobile, 5 on larger screens */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 px-4 py-3">
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Order Price</span>
+          <span className="text-sm font-medium text-gray-100">
+            {orderPrice != null ? apiUtils.formatCurrency(orderPrice) : 'N/A'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide flex items-center gap-1">
+            Current {currentPrice && <FreshnessBadge timestamp={priceTimestamp} compact />}
+          </span>
+          <span className={`text-sm font-medium ${
+            currentPrice ? 'text-white' : 'text-gray-500'
+          }`}>
+            {currentPrice ? apiUtils.formatCurrency(currentPrice) : 'No Data'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Target</span>
+          <span className={`text-sm font-medium ${
+            order.signalContext?.takeProfit ? 'text-blue-400' : 'text-gray-500'
+          }`}>
+            {order.signalContext?.takeProfit ? apiUtils.formatCurrency(order.signalContext.takeProfit) : '—'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Stop Loss</span>
+          <span className={`text-sm font-medium ${
+            order.signalContext?.stopLoss ? 'text-orange-400' : 'text-gray-500'
+          }`}>
+            {order.signalContext?.stopLoss ? apiUtils.formatCurrency(order.signalContext.stopLoss) : '—'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Trailing</span>
+          <span className={`text-sm font-medium ${
+            trailingDisplay ? 'text-purple-300' : 'text-gray-500'
+          }`}>
+            {trailingDisplay || 'None'}
+          </span>
+          {trailingDisplay && (
+            <span className="text-xs text-blue-400">
+              On fill
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Market Distance Info (if available) */}
+      {marketDistance && currentPrice && (
+        <div className="px-4 py-2 bg-gray-900 border-t border-gray-600">
+          <div className="flex justify-between items-center text-xs">
+            <span className="text-gray-400">Market Distance:</span>
+            <span className={`font-medium ${getDistanceColor(marketDistance.percentage)}`}>
+              {!priceFreshness.isReliable && (
+                <span className="text-yellow-400 mr-2">⚠️ {priceFreshness.label} price</span>
+              )}
+              {marketDistance.points?.toFixed(2)} pts ({formatPercentage(marketDistance.percentage)})
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="px-4 py-2 border-t border-gray-600 text-xs text-gray-400">
+        Placed {order.createdAt || order.timestamp ?
+          new Date(order.createdAt || order.timestamp).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric'
+          }) + ', ' + new Date(order.createdAt || order.timestamp).toLocaleTimeString('en-US', {
+            hour: 'numeric', minute: '2-digit', hour12: true
+          }) : 'Unknown'}
+      </div>
+    </div>
+  );
+};
+
+export default OrderCard;
@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import { api, apiUtils } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { tradingSession } from '../utils/tradingSession';
+
+const createInitialOrder = (accountId = '') => ({
+  accountId,
+  symbol: 'MNQ',
+  action: 'Buy',
+  orderType: 'Limit',
+  quantity: 1,
+  price: '',
+  stopPrice: '',
+  useBracket: false,
+  stopLoss: '',
+  takeProfit: ''
+});
+
+const OrderTicket = ({ account, socket, quotes = {}, onActivity }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [order, setOrder] = useState(() => createInitialOrder(account?.id));
+  const [errors, setErrors] = useState([]);
+  const [pendingOrder, setPendingOrder] = useState(null); // Order awaiting confirmation
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [trackedOrders, setTrackedOrders] = useState([]);
+  const [cancellingOrderId, setCancellingOrderId] = useState(null);
+
+  // Load accounts so orders can target any account, not just the selected one
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        const response = await api.getAccounts();
+        setAccounts(Array.isArray(response) ? response : response.accounts || []);
+      } catch (error) {
+        console.error('Failed to load accounts for order ticket:', error);
+      }
+    };
+    loadAccounts();
+  }, []);
+
+  // Default to the dashboard's selected account
+  useEffect(() => {
+    if (!account?.id) return;
+    setOrder(prev => prev.accountId ? prev : { ...prev, accountId: account.id });
+  }, [account?.id]);
+
+  // Follow submitted orders through the order lifecycle events
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+
+    const matchesTrackedOrder = (tracked, data) =>
+      (data.clientOrderId && data.clientOrderId === tracked.clientOrderId) ||
+      (data.orderId && tracked.orderId && String(data.orderId) === String(tracked.orderId));
+
+    const handleOrderPlaced = (data) => {
+      setTrackedOrders(prev => prev.map(tracked => matchesTrackedOrder(tracked, data) ? {
+        ...tracked,
+        orderId: data.orderId || tracked.orderId,
+        status: data.status || 'Placed',
+        events: [...tracked.events, { type: 'order_placed', status: data.status || 'Placed', timestamp: data.timestamp || new Date().toISOString() }]
+      } : tracked));
+    };
+
+    const handleOrderUpdate = (data) => {
+      const status = data.status || data.ordStatus || 'Updated';
+      setTrackedOrders(prev => prev.map(tracked => matchesTrackedOrder(tracked, data) ? {
+        ...tracked,
+        orderId: data.orderId || tracked.orderId,
+        status,
+        fillPrice: data.fillPrice || data.avgPrice || tracked.fillPrice,
+        events: [...tracked.events, { type: 'order_update', status, timestamp: data.timestamp || new Date().toISOString() }]
+      } : tracked));
+    };
+
+    const unsubscribePlaced = socket.subscribe('order_placed', handleOrderPlaced);
+    const unsubscribeUpdate = socket.subscribe('order_update', handleOrderUpdate);
+
+    return () => {
+      unsubscribePlaced();
+      unsubscribeUpdate();
+    };
+  }, [socket]);
+
+  const handleChange = (field, value) => {
+    setOrder(prev => ({ ...prev, [field]: value }));
+    setErrors([]);
+  };
+
+  // Convert form state into the payload expected by the order endpoint
+  const buildOrderData = () => {
+    const toNumber = (value) => (value === '' || value === null ? null : contractUtils.roundToTick(parseFloat(value), order.symbol));
+
+    return {
+      accountId: order.accountId,
+      symbol: order.symbol,
+      action: order.action,
+      orderType: order.orderType,
+      quantity: parseInt(order.quantity) || 0,
+      price: order.orderType === 'Limit' ? toNumber(order.price) : null,
+      stopPrice: order.orderType === 'Stop' ? toNumber(order.stopPrice) : null,
+      referencePrice: quotes[order.symbol]?.close || null,
+      bracket: order.useBracket ? {
+        stopLoss: toNumber(order.stopLoss),
+        takeProfit: toNumber(order.takeProfit)
+      } : null,
+      clientOrderId: `dash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      source: 'dashboard-order-ticket'
+    };
+  };
+
+  const handleReview = () => {
+    const orderData = buildOrderData();
+    const validationErrors = apiUtils.validateOrderData(orderData);
+
+    if (order.useBracket && !orderData.bracket.stopLoss && !orderData.bracket.takeProfit) {
+      validationErrors.push('Bracket requires a stop or a target price');
+    }
+
+    setErrors(validationErrors);
+    if (validationErrors.length === 0) {
+      setPendingOrder(orderData);
+    }
+  };
+
+  const describeOrder = (orderData) => {
+    const priceText = orderData.orderType === 'Limit' ? ` @ ${orderData.price}`
+      : orderData.orderType === 'Stop' ? ` stop ${orderData.stopPrice}`
+      : ' @ MKT';
+    return `${orderData.action.toUpperCase()} ${orderData.quantity} ${orderData.symbol}${priceText}`;
+  };
+
+  const handleSubmit = async () => {
+    if (!pendingOrder) return;
+
+    setIsSubmitting(true);
+    const summary = describeOrder(pendingOrder);
+    const { clientOrderId } = pendingOrder;
+
+    // Track before posting - lifecycle events can arrive ahead of the HTTP response
+    setTrackedOrders(prev => [{
+      clientOrderId,
+      orderId: null,
+      accountId: pendingOrder.accountId,
+      summary,
+      status: 'Submitted',
+      fillPrice: null,
+      events: [{ type: 'submitted', status: 'Submitted', timestamp: new Date().toISOString() }]
+    }, ...prev.slice(0, 9)]);
+
+    try {
+      const response = await api.placeOrder(pendingOrder);
+
+      // Events may already have moved the status on - only fill in what is still missing
+      setTrackedOrders(prev => prev.map(tracked => tracked.clientOrderId === clientOrderId ? {
+        ...tracked,
+        orderId: tracked.orderId || response?.orderId || null,
+        status: tracked.status === 'Submitted' && response?.status ? response.status : tracked.status
+      } : tracked));
+
+      onActivity?.({
+        type: 'order',
+        data: `📝 Order submitted: ${summary} (account ${pendingOrder.accountId})`,
+        rawData: pendingOrder,
+        result: response
+      });
+
+      setPendingOrder(null);
+      setOrder(createInitialOrder(order.accountId));
+    } catch (error) {
+      console.error('Failed to place order:', error);
+      setErrors([error.message]);
+      setTrackedOrders(prev => prev.map(tracked => tracked.clientOrderId === clientOrderId ? {
+        ...tracked,
+        status: 'Failed',
+        events: [...tracked.events, { type: 'error', status: 'Failed', timestamp: new Date().toISOString() }]
+      } : tracked));
+      setPendingOrder(null);
+      onActivity?.({
+        type: 'stderr',
+        data: `❌ Order rejected: ${summary} - ${error.message}`
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (tracked) => {
+    if (!tracked.orderId) return;
+    if (!window.confirm(`Cancel order ${tracked.orderId}?\n\n${tracked.summary}`)) {
+      return;
+    }
+
+    setCancellingOrderId(tracked.orderId);
+    try {
+      await api.cancelOrder(tracked.orderId);
+      setTrackedOrders(prev => prev.map(o => o.orderId === tracked.orderId ? { ...o, status: 'Cancel Requested' } : o));
+      onActivity?.({
+        type: 'order',
+        data: `🚫 Cancel requested for order ${tracked.orderId} (${tracked.summary})`
+      });
+    } catch (error) {
+      console.error('Failed to cancel order:', error);
+      alert(`Failed to cancel order: ${error.message}`);
+    } finally {
+      setCancellingOrderId(null);
+    }
+  };
+
+  const isWorking = (status) => !['filled', 'cancelled', 'canceled', 'rejected', 'expired', 'failed'].includes(status?.toLowerCase());
+
+  const inputClass = 'w-full bg-gray-700 border border-gray-600 text-white rounded px-3 py-2';
+  const marketPrice = quotes[order.symbol]?.close;
+  const tickSize = contractUtils.getTickSize(order.symbol);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-white">📝 Order Ticket</h3>
+        {marketPrice && (
+          <span className="text-xs text-blue-400">
+            {order.symbol} market: {marketPrice.toFixed(2)}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-400 mb-1">Account</label>
+          <select
+            value={order.accountId || ''}
+            onChange={(e) => handleChange('accountId', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Select account</option>
+            {accounts.map(acc => (
+              <option key={acc.id} value={acc.id}>{acc.name} ({acc.id})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Symbol</label>
+          <select
+            value={order.symbol}
+            onChange={(e) => handleChange('symbol', e.target.value)}
+            className={inputClass}
+          >
+            {contractUtils.getSupportedSymbols().map(symbol => (
+              <option key={symbol} value={symbol}>{symbol}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Quantity</label>
+          <input
+            type="number"
+            min="1"
+            value={order.quantity}
+            onChange={(e) => handleChange('quantity', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Side</label>
+          <div className="grid grid-cols-2 gap-1">
+            {['Buy', 'Sell'].map(side => (
+              <button
+                key={side}
+                type="button"
+                onClick={() => handleChange('action', side)}
+                className={`py-2 rounded text-sm font-medium transition-colors ${
+                  order.action === side
+                    ? side === 'Buy' ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
+                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {side}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Type</label>
+          <select
+            value={order.orderType}
+            onChange={(e) => handleChange('orderType', e.target.value)}
+            className={inputClass}
+          >
+            <option value="Market">Market</option>
+            <option value="Limit">Limit</option>
+            <option value="Stop">Stop</option>
+          </select>
+        </div>
+        {order.orderType === 'Limit' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-400 mb-1">Limit Price</label>
+            <input
+              type="number"
+              step={tickSize}
+              value={order.price}
+              onChange={(e) => handleChange('price', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        )}
+        {order.orderType === 'Stop' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-400 mb-1">Stop Price</label>
+            <input
+              type="number"
+              step={tickSize}
+              value={order.stopPrice}
+              onChange={(e) => handleChange('stopPrice', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Bracket */}
+      <div className="mt-4 bg-gray-700 rounded p-3">
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={order.useBracket}
+            onChange={(e) => handleChange('useBracket', e.target.checked)}
+          />
+          Attach bracket (stop loss / take profit)
+        </label>
+        {order.useBracket && (
+          <div className="grid grid-cols-2 gap-3 mt-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1">Stop Loss Price</label>
+              <input
+                type="number"
+                step={tickSize}
+                value={order.stopLoss}
+                onChange={(e) => handleChange('stopLoss', e.target.value)}
+                className="w-full bg-gray-600 border border-gray-500 text-white rounded px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1">Take Profit Price</label>
+              <input
+                type="number"
+                step={tickSize}
+                value={order.takeProfit}
+                onChange={(e) => handleChange('takeProfit', e.target.value)}
+                className="w-full bg-gray-600 border border-gray-500 text-white rounded px-3 py-2"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-3 bg-red-900/30 border border-red-500/30 rounded p-3 text-sm text-red-300 space-y-1">
+          {errors.map((err, idx) => (
+            <div key={idx}>• {err}</div>
+          ))}
+        </div>
+      )}
+
+      {/* Confirmation summary */}
+      {pendingOrder ? (
+        <div className="mt-4 bg-yellow-900/20 border border-yellow-500/40 rounded p-3">
+          <h4 className="text-sm font-semibold text-yellow-300 mb-2">Confirm Order</h4>
+          <div className="text-sm text-white font-mono">{describeOrder(pendingOrder)}</div>
+          <div className="text-xs text-gray-400 mt-1 space-y-1">
+            <div>Account: {pendingOrder.accountId}</div>
+            {pendingOrder.bracket?.stopLoss && <div>Stop loss: {pendingOrder.bracket.stopLoss}</div>}
+            {pendingOrder.bracket?.takeProfit && <div>Take profit: {pendingOrder.bracket.takeProfit}</div>}
+          </div>
+          {!apiUtils.isTradingSessionActive() && (
+            <div className="text-xs text-yellow-400 mt-2">
+              ⚠️ CME is closed - opens in {tradingSession.formatDuration(tradingSession.timeUntilOpen())}. The order may be rejected or held until the open.
+            </div>
+          )}
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => setPendingOrder(null)}
+              disabled={isSubmitting}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 rounded text-sm transition-colors"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={isSubmitting}
+              className={`flex-1 text-white py-2 rounded text-sm font-semibold transition-colors disabled:opacity-50 ${
+                pendingOrder.action === 'Buy' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+              }`}
+            >
+              {isSubmitting ? '⏳ Sending...' : `Send ${pendingOrder.action} Order`}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-4 flex justify-end">
+          <button
+            onClick={handleReview}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm transition-colors"
+          >
+            Review Order
+          </button>
+        </div>
+      )}
+
+      {/* Submitted orders and their lifecycle */}
+      {trackedOrders.length > 0 && (
+        <div className="mt-4 border-t border-gray-700 pt-4">
+          <h4 className="text-sm font-semibold text-gray-300 mb-2">Submitted Orders</h4>
+          <div className="space-y-2">
+            {trackedOrders.map(tracked => (
+              <div key={tracked.clientOrderId} className="bg-gray-700 rounded p-3 text-xs">
+                <div className="flex justify-between items-center">
+                  <span className="text-white font-mono">{tracked.summary}</span>
+                  <div className="flex items-center gap-2">
+                    <span className={apiUtils.getOrderStatusColor(tracked.status)}>{tracked.status}</span>
+                    {tracked.orderId && isWorking(tracked.status) && (
+                      <button
+                        onClick={() => handleCancel(tracked)}
+                        disabled={cancellingOrderId === tracked.orderId}
+                        className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-2 py-0.5 rounded"
+                      >
+                        {cancellingOrderId === tracked.orderId ? '⏳' : 'Cancel'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="text-gray-400 mt-1">
+                  {tracked.orderId ? `ID: ${tracked.orderId}` : 'Awaiting order ID'}
+                  {tracked.fillPrice && <span className="ml-2 text-green-400">Filled @ {tracked.fillPrice}</span>}
+                </div>
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {tracked.events.map((event, idx) => (
+                    <span key={idx} className="bg-gray-800 text-gray-300 px-2 py-0.5 rounded">
+                      {new Date(event.timestamp).toLocaleTimeString()} {event.status}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderTicket;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { api } from '../services/api';
+
+const describeOrder = (order) => {
+  const price = order.price || order.stopPrice || order.limitPrice;
+  return `${(order.action || order.side || '').toUpperCase()} ${order.quantity || ''} ${order.symbol}${price ? ` @ ${price}` : ''} (ID: ${order.orderId || order.id})`;
+};
+
+const describePosition = (position) => {
+  const quantity = Math.abs(position.netPos || position.quantity || 0);
+  return `${(position.side || (position.netPos > 0 ? 'long' : 'short')).toUpperCase()} ${quantity} ${position.symbol}`;
+};
+
+const PanicButton = ({ onActivity, onTradingDisabled, onComplete }) => {
+  const [isRunning, setIsRunning] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const recordResult = (result) => {
+    setResults(prev => ({ ...prev, items: [...(prev?.items || []), result] }));
+    onActivity?.({
+      type: result.success ? 'system' : 'stderr',
+      data: result.success
+        ? `🚨 PANIC: ${result.step} ${result.label} - done`
+        : `🚨 PANIC: ${result.step} ${result.label} - ${result.kept ? '' : 'FAILED: '}${result.error}`
+    });
+  };
+
+  // Run one step per item in parallel and record each outcome
+  const runStep = async (step, items, describe, request) => {
+    const outcomes = await Promise.allSettled(items.map(item => request(item)));
+    outcomes.forEach((outcome, idx) => {
+      recordResult({
+        step,
+        label: describe(items[idx]),
+        success: outcome.status === 'fulfilled',
+        error: outcome.status === 'rejected' ? outcome.reason?.message : null
+      });
+    });
+    return outcomes;
+  };
+
+  const handlePanic = async () => {
+    const confirmed = window.confirm(
+      '🚨 EMERGENCY STOP 🚨\n\n' +
+      'This will:\n' +
+      '• Disable trading (kill switch)\n' +
+      '• Cancel ALL working entry orders\n' +
+      '• Flatten ALL open positions at market\n' +
+      '• Cancel the stop and target orders left behind\n\n' +
+      'Are you absolutely sure?'
+    );
+    if (!confirmed) return;
+
+    setIsRunning(true);
+    setResults({ startedAt: new Date().toISOString(), items: [] });
+    onActivity?.({ type: 'system', data: '🚨 PANIC: Emergency stop initiated from dashboard' });
+
+    try {
+      // 1. Stop new signals first so nothing re-enters while we unwind
+      try {
+        await api.setKillSwitch(false, 'Emergency stop (panic button)', { source: 'panic_button' });
+        onTradingDisabled?.();
+        recordResult({ step: 'Disable', label: 'trading', success: true });
+      } catch (error) {
+        recordResult({ step: 'Disable', label: 'trading', success: false, error: error.message });
+      }
+
+      // 2. Snapshot everything that is still working
+      const status = await api.getActiveTradingStatus();
+      const entryOrders = status.pendingEntryOrders || [];
+      const stopOrders = status.stopOrders || [];
+      const targetOrders = status.targetOrders || [];
+      const positions = status.positions || [];
+
+      onActivity?.({
+        type: 'system',
+        data: `🚨 PANIC: Found ${entryOrders.length} entry, ${stopOrders.length} stop, ${targetOrders.length} target orders and ${positions.length} positions`
+      });
+
+      // 3. Cancel entries so nothing new fills mid-unwind
+      const cancelOrder = (order) => api.cancelOrder(order.orderId || order.id);
+      await runStep('Cancel entry', entryOrders, describeOrder, cancelOrder);
+
+      // 4. Flatten while the brackets still protect each position
+      const flattenOutcomes = await runStep('Flatten', positions, describePosition, (position) => api.flattenPosition(position));
+      const stillOpen = positions.filter((position, idx) => flattenOutcomes[idx].status === 'rejected');
+
+      // 5. Cancel leftover brackets - a position that failed to flatten keeps its stop and target
+      const protectsOpenPosition = (order) => stillOpen.find(position =>
+        (order.positionId && order.positionId === position.positionId) || order.symbol === position.symbol
+      );
+      [['stop', stopOrders], ['target', targetOrders]].forEach(([kind, orders]) => {
+        orders.forEach(order => {
+          const position = protectsOpenPosition(order);
+          if (!position) return;
+          recordResult({
+            step: `Keep ${kind}`,
+            label: describeOrder(order),
+            success: false,
+            kept: true,
+            error: `Left in place - flatten failed for ${describePosition(position)}`
+          });
+        });
+      });
+      await runStep('Cancel stop', stopOrders.filter(order => !protectsOpenPosition(order)), describeOrder, cancelOrder);
+      await runStep('Cancel target', targetOrders.filter(order => !protectsOpenPosition(order)), describeOrder, cancelOrder);
+    } catch (error) {
+      console.error('Panic sequence failed:', error);
+      recordResult({ step: 'Load', label: 'active trading status', success: false, error: error.message });
+    } finally {
+      setResults(prev => ({ ...prev, completedAt: new Date().toISOString() }));
+      onActivity?.({ type: 'system', data: '🚨 PANIC: Emergency stop sequence finished' });
+      setIsRunning(false);
+      onComplete?.();
+    }
+  };
+
+  const failedCount = results?.items.filter(item => !item.success).length || 0;
+
+  return (
+    <>
+      <button
+        onClick={handlePanic}
+        disabled={isRunning}
+        className="bg-red-700 hover:bg-red-800 disabled:opacity-50 text-white px-3 py-1 text-sm font-bold rounded border border-red-400 transition-colors flex-shrink-0"
+        title="Disable trading, cancel all orders and flatten all positions"
+      >
+        {isRunning ? '⏳ Stopping...' : '🚨 PANIC'}
+      </button>
+
+      {/* Panic Results Modal */}
+      {results && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-white">🚨 Emergency Stop</h3>
+              {!isRunning && (
+                <button
+                  onClick={() => setResults(null)}
+                  className="text-gray-400 hover:text-white"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+
+            <div className="text-sm mb-3">
+              {isRunning ? (
+                <span className="text-yellow-400">⏳ Running emergency stop...</span>
+              ) : failedCount > 0 ? (
+                <span className="text-red-400">⚠️ Finished with {failedCount} failed step(s) - check positions manually</span>
+              ) : (
+                <span className="text-green-400">✅ All steps completed</span>
+              )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto space-y-1">
+              {results.items.map((item, idx) => (
+                <div
+                  key={idx}
+                  className={`flex justify-between items-start p-2 rounded text-sm ${
+                    item.success ? 'bg-green-900/20' : item.kept ? 'bg-yellow-900/30' : 'bg-red-900/30'
+                  }`}
+                >
+                  <div>
+                    <span className="text-gray-400 mr-2">{item.step}</span>
+                    <span className="text-white font-mono">{item.label}</span>
+                    {item.error && <div className={`text-xs mt-1 ${item.kept ? 'text-yellow-300' : 'text-red-300'}`}>{item.error}</div>}
+                  </div>
+                  <span>{item.success ? '✅' : item.kept ? '🛡️' : '❌'}</span>
+                </div>
+              ))}
+              {!isRunning && results.items.length === 0 && (
+                <div className="text-gray-400 text-sm">Nothing to do</div>
+              )}
+            </div>
+
+            <div className="flex justify-end mt-4">
+              <button
+                onClick={() => setResults(null)}
+                disabled={isRunning}
+                className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white py-2 px-4 rounded transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PanicButton;
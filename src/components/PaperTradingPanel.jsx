@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { apiUtils } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { useMarketBars } from '../hooks/useMarketBars';
+import { useNow } from '../hooks/useNow';
+import PositionCard from './PositionCard';
+import OrderCard from './OrderCard';
+
+/**
+ * Simulated positions and orders from usePaperTrading, in the EnhancedTradingStatus card layout
+ */
+const PaperTradingPanel = ({ paper, socket }) => {
+  const [expandedCharts, setExpandedCharts] = useState({}); // position id -> chart open
+  const marketBars = useMarketBars(socket);
+  const now = useNow(5000);
+  const { stats } = paper;
+
+  const handleFlatten = (position, quantity) => {
+    if (!window.confirm(`Flatten paper ${position.side.toUpperCase()} ${quantity} ${position.symbol} at the last price?`)) return;
+    paper.flatten(position.positionId);
+  };
+
+  const handleModify = (order) => {
+    const input = window.prompt(`New price for paper order ${order.orderId} (${order.symbol}):`, order.price);
+    if (input === null) return;
+
+    const rawPrice = parseFloat(input);
+    if (isNaN(rawPrice) || rawPrice <= 0) {
+      alert(`Invalid price: ${input}`);
+      return;
+    }
+    paper.modifyOrder(order.orderId, contractUtils.roundToTick(rawPrice, order.symbol));
+  };
+
+  const handleCancel = (order) => {
+    if (!window.confirm(`Cancel paper order ${order.orderId}?`)) return;
+    paper.cancelOrder(order.orderId);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset the paper account? All simulated orders, positions and trades will be cleared.')) return;
+    paper.reset();
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          🧪 Paper Trading
+        </h2>
+        <button
+          onClick={handleReset}
+          className="text-sm text-red-400 hover:text-red-300"
+        >
+          Reset Account
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 p-3 bg-gray-700 rounded">
+        <div className="text-center">
+          <div className="text-xs text-gray-400">Open Positions</div>
+          <div className="font-bold text-blue-400 text-lg">{stats.totalPositions}</div>
+        </div>
+        <div className="text-center">
+          <div className="text-xs text-gray-400">Working Orders</div>
+          <div className="font-bold text-yellow-400 text-lg">{stats.totalWorkingOrders}</div>
+        </div>
+        <div className="text-center">
+          <div className="text-xs text-gray-400">Unrealized P&L</div>
+          <div className={`font-bold text-lg ${apiUtils.getPnLColor(stats.unrealizedPnL)}`}>
+            {apiUtils.formatCurrency(stats.unrealizedPnL)}
+          </div>
+        </div>
+        <div className="text-center">
+          <div className="text-xs text-gray-400">Realized P&L</div>
+          <div className={`font-bold text-lg ${apiUtils.getPnLColor(stats.realizedPnL)}`}>
+            {apiUtils.formatCurrency(stats.realizedPnL)}
+          </div>
+        </div>
+      </div>
+
+      {paper.positions.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-blue-400 mb-3 flex items-center gap-2">
+            <span>📊</span>
+            Paper Positions ({paper.positions.length})
+          </h4>
+          <div className="space-y-2">
+            {paper.positions.map(position => (
+              <PositionCard
+                key={position.positionId}
+                position={position}
+                now={now}
+                onFlatten={handleFlatten}
+                chartOpen={!!expandedCharts[position.positionId]}
+                onToggleChart={() => setExpandedCharts(prev => ({ ...prev, [position.positionId]: !prev[position.positionId] }))}
+                bars={marketBars[position.baseSymbol] || []}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {paper.orders.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-yellow-400 mb-3 flex items-center gap-2">
+            <span>⏳</span>
+            Paper Orders ({paper.orders.length})
+          </h4>
+          <div className="space-y-2">
+            {paper.orders.map(order => {
+              const quote = paper.getPrice(order.symbol);
+              return (
+                <OrderCard
+                  key={order.orderId}
+                  order={order}
+                  currentPrice={quote?.price}
+                  priceTimestamp={quote?.timestamp}
+                  now={now}
+                  onModify={handleModify}
+                  onCancel={handleCancel}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {paper.positions.length === 0 && paper.orders.length === 0 && (
+        <div className="text-center text-gray-500 py-6 text-sm">
+          No simulated orders or positions - send a signal with Paper selected
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-4">
+        <div>
+          <h4 className="text-sm font-semibold text-gray-300 mb-2">Closed Trades</h4>
+          {paper.trades.length === 0 ? (
+            <div className="text-xs text-gray-500">No closed trades yet</div>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody>
+                {paper.trades.slice(-10).reverse().map(trade => (
+                  <tr key={trade.id} className="border-b border-gray-700">
+                    <td className={`py-1 ${trade.side === 'long' ? 'text-green-400' : 'text-red-400'}`}>
+                      {trade.side.toUpperCase()} {trade.quantity} {trade.symbol}
+                    </td>
+                    <td className="py-1 text-gray-300">{trade.entryPrice} → {trade.exitPrice}</td>
+                    <td className="py-1 text-gray-400">{trade.reason}</td>
+                    <td className={`py-1 text-right font-medium ${apiUtils.getPnLColor(trade.pnl)}`}>
+                      {apiUtils.formatCurrency(trade.pnl)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div>
+          <h4 className="text-sm font-semibold text-gray-300 mb-2">Engine Log</h4>
+          <div className="space-y-1 max-h-48 overflow-y-auto text-xs font-mono">
+            {paper.log.slice().reverse().map(entry => (
+              <div key={entry.id} className="text-gray-300">
+                <span className="text-gray-500 mr-2">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+                {entry.message}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaperTradingPanel;
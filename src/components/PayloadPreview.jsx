@@ -0,0 +1,47 @@
+import React from 'react';
+import { signalSchemas } from '../utils/signalSchemas';
+
+const LEVEL_STYLES = {
+  error: 'bg-red-900/40 text-red-300',
+  warning: 'bg-yellow-900/30 text-yellow-300'
+};
+
+// Top-level keys of a 2-space JSON.stringify are the lines indented by exactly two spaces
+const TOP_LEVEL_KEY = /^ {2}"([^"]+)":/;
+
+/**
+ * Read-only JSON view of a signal payload with schema mismatches highlighted
+ * validation defaults to signalSchemas.validate(payload)
+ */
+const PayloadPreview = ({ payload, validation = signalSchemas.validate(payload), className = 'text-green-300' }) => {
+  const issues = signalSchemas.byField(validation);
+  const lines = JSON.stringify(payload, null, 2).split('\n');
+  const missing = validation.errors.filter(error => error.field && !(error.field in payload));
+
+  return (
+    <div>
+      <pre className={`text-xs font-mono whitespace-pre-wrap break-words ${className}`}>
+        {lines.map((line, index) => {
+          const field = line.match(TOP_LEVEL_KEY)?.[1];
+          const issue = field && issues[field];
+          return (
+            <div key={index} className={issue ? `${LEVEL_STYLES[issue.level]} rounded` : ''} title={issue?.message}>
+              {line}
+              {issue && <span className="ml-3 italic opacity-80">← {issue.message}</span>}
+            </div>
+          );
+        })}
+      </pre>
+
+      {(missing.length > 0 || validation.errors.some(error => !error.field)) && (
+        <div className="mt-2 space-y-1 text-xs">
+          {validation.errors.filter(error => !error.field || missing.includes(error)).map((error, index) => (
+            <div key={index} className={`px-2 py-1 rounded ${LEVEL_STYLES.error}`}>✕ {error.message}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PayloadPreview;
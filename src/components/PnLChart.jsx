@@ -1,103 +1,245 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { api, apiUtils } from '../services/api';
+import { tradingSession } from '../utils/tradingSession';
+import { killSwitchUtils } from '../utils/killSwitch';
 
-const PnLChart = ({ data, accountId }) => {
-  // For now, we'll show a placeholder chart
-  // TODO: Implement Chart.js integration when chart data is available
+ChartJS.register(LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+// Keep a full session of frequent updates without growing forever
+const MAX_POINTS = 2000;
+
+const toPnLPoint = (data) => ({
+  x: new Date(data.timestamp || Date.now()).getTime(),
+  y: data.dayPnL ?? data.totalPnL ?? ((data.realizedPnL || 0) + (data.unrealizedPnL || 0)),
+  realized: data.realizedPnL || 0,
+  unrealized: data.unrealizedPnL || 0
+});
+
+const isToday = (timestamp, tradeDate) => tradingSession.getTradeDate(new Date(timestamp)) === tradeDate;
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+// Marker y position: the P&L closest in time to the event
+const pnlAt = (points, time) => {
+  const before = points.filter(point => point.x <= time);
+  return before.length > 0 ? before[before.length - 1].y : points[0]?.y ?? 0;
+};
+
+const PnLChart = ({ account, socket, summary }) => {
+  const [points, setPoints] = useState([]);
+  const [fills, setFills] = useState([]);
+  const [killSwitchEvents, setKillSwitchEvents] = useState([]);
+  const [tradeDate, setTradeDate] = useState(() => tradingSession.getTradeDate());
+  const [isLoading, setIsLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+
+  // Seed from history whenever the account or trade date changes
+  useEffect(() => {
+    if (!account?.id) return;
+
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setHistoryError(null);
+      setPoints([]);
+      setFills([]);
+      try {
+        const response = await api.getPnLHistory(account.id, tradeDate);
+        const history = Array.isArray(response) ? response : response.points || response.history || [];
+        setPoints(history.map(toPnLPoint).sort((a, b) => a.x - b.x));
+        setFills((response.fills || []).map(fill => ({
+          x: new Date(fill.timestamp).getTime(),
+          label: `${(fill.action || fill.side || '').toUpperCase()} ${fill.quantity} ${fill.symbol} @ ${fill.price}`
+        })));
+      } catch (error) {
+        console.log('P&L history not available, charting live updates only:', error.message);
+        setHistoryError(error.message);
+      }
+
+      try {
+        const events = await api.getKillSwitchHistory(50);
+        setKillSwitchEvents(events.filter(event => isToday(event.timestamp, tradeDate)));
+      } catch (error) {
+        console.log('Kill switch history not available for P&L chart:', error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [account?.id, tradeDate]);
+
+  // Roll over to a fresh curve at the 18:00 ET session open
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const current = tradingSession.getTradeDate();
+      setTradeDate(prev => prev === current ? prev : current);
+    }, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Live updates
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function' || !account?.id) return;
+
+    const forAccount = (data) => !data.accountId || String(data.accountId) === String(account.id);
+
+    const handlePnLUpdate = (data) => {
+      // account_update also carries balance-only changes
+      const hasPnL = ['dayPnL', 'totalPnL', 'realizedPnL', 'unrealizedPnL'].some(key => data[key] !== undefined);
+      if (!forAccount(data) || !hasPnL) return;
+      setPoints(prev => [...prev, toPnLPoint(data)].slice(-MAX_POINTS));
+    };
+
+    const handleOrderUpdate = (data) => {
+      const status = data.status || data.ordStatus;
+      if (!forAccount(data) || status !== 'Filled') return;
+      setFills(prev => [...prev, {
+        x: new Date(data.timestamp || Date.now()).getTime(),
+        label: `${(data.action || data.side || '').toUpperCase()} ${data.quantity || data.filledQuantity || ''} ${data.symbol} @ ${data.fillPrice || data.avgPrice || data.price}`
+      }]);
+    };
+
+    const handleKillSwitchChanged = (data) => {
+      setKillSwitchEvents(prev => [...prev, killSwitchUtils.normalizeEvent({ ...data, timestamp: data.timestamp || new Date().toISOString() })]);
+    };
+
+    const unsubscribers = [
+      socket.subscribe('pnl_update', handlePnLUpdate),
+      socket.subscribe('account_update', handlePnLUpdate),
+      socket.subscribe('order_update', handleOrderUpdate),
+      socket.subscribe('order_realtime_update', handleOrderUpdate),
+      socket.subscribe('kill_switch_changed', handleKillSwitchChanged)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [socket, account?.id]);
+
+  const latest = points[points.length - 1];
+  const currentPnL = latest?.y ?? summary?.dayPnL ?? 0;
+  const lineColor = currentPnL >= 0 ? 'rgb(74, 222, 128)' : 'rgb(248, 113, 113)';
+
+  const chartData = {
+    datasets: [
+      {
+        label: 'Day P&L',
+        data: points,
+        borderColor: lineColor,
+        backgroundColor: currentPnL >= 0 ? 'rgba(74, 222, 128, 0.15)' : 'rgba(248, 113, 113, 0.15)',
+        fill: 'origin',
+        pointRadius: 0,
+        borderWidth: 2,
+        tension: 0.1
+      },
+      {
+        label: 'Fills',
+        data: fills.map(fill => ({ x: fill.x, y: pnlAt(points, fill.x), label: fill.label })),
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        borderColor: 'rgb(96, 165, 250)',
+        backgroundColor: 'rgb(96, 165, 250)'
+      },
+      {
+        label: 'Kill Switch',
+        data: killSwitchEvents.map(event => ({
+          x: new Date(event.timestamp).getTime(),
+          y: pnlAt(points, new Date(event.timestamp).getTime()),
+          label: `Trading ${event.enabled ? 'ENABLED' : 'DISABLED'}${event.reason ? ` - ${event.reason}` : ''}`
+        })),
+        showLine: false,
+        pointStyle: 'rectRot',
+        pointRadius: 7,
+        borderColor: 'rgb(250, 204, 21)',
+        backgroundColor: 'rgb(250, 204, 21)'
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    parsing: false,
+    interaction: { mode: 'nearest', intersect: false },
+    scales: {
+      x: {
+        type: 'linear',
+        ticks: { color: '#9CA3AF', callback: formatTime, maxTicksLimit: 8 },
+        grid: { color: 'rgba(75, 85, 99, 0.3)' }
+      },
+      y: {
+        ticks: { color: '#9CA3AF', callback: (value) => apiUtils.formatCurrency(value) },
+        grid: { color: 'rgba(75, 85, 99, 0.3)' }
+      }
+    },
+    plugins: {
+      legend: { labels: { color: '#D1D5DB', boxWidth: 12 } },
+      tooltip: {
+        callbacks: {
+          title: (items) => formatTime(items[0].parsed.x),
+          label: (item) => item.raw.label
+            ? item.raw.label
+            : `P&L ${apiUtils.formatCurrency(item.raw.y)} (realized ${apiUtils.formatCurrency(item.raw.realized)}, unrealized ${apiUtils.formatCurrency(item.raw.unrealized)})`
+        }
+      }
+    }
+  };
 
   return (
     <div className="bg-gray-800 rounded-lg p-6">
       <h3 className="text-lg font-semibold text-white mb-4 flex items-center justify-between">
         <div className="flex items-center">
           <span className="mr-2">📈</span>
-          Daily P&L Chart
+          Intraday P&L
         </div>
-        {data?.cached && (
-          <span className="text-xs text-blue-400 bg-blue-900/30 px-2 py-1 rounded">
-            Cached
-          </span>
-        )}
+        <span className={`text-xl font-bold ${apiUtils.getPnLColor(currentPnL)}`}>
+          {currentPnL >= 0 ? '+' : ''}{apiUtils.formatCurrency(currentPnL)}
+        </span>
       </h3>
 
-      {data ? (
-        <div className="space-y-4">
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="text-center">
-              <div className={`text-2xl font-bold ${data.totalDayPnL >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                {data.totalDayPnL >= 0 ? '+' : ''}${data.totalDayPnL?.toFixed(2) || '0.00'}
-              </div>
-              <div className="text-sm text-gray-400">Total Day P&L</div>
-            </div>
-
-            <div className="text-center">
-              <div className="text-xl font-semibold text-blue-400">
-                {data.accountPnL?.length || 0}
-              </div>
-              <div className="text-sm text-gray-400">Accounts</div>
-            </div>
-
-            <div className="text-center">
-              <div className="text-xl font-semibold text-yellow-400">
-                ${data.accountPnL?.reduce((sum, acc) => sum + (acc.equity || 0), 0).toFixed(0) || '0'}
-              </div>
-              <div className="text-sm text-gray-400">Total Equity</div>
-            </div>
-
-            <div className="text-center">
-              <div className="text-xl font-semibold text-purple-400">
-                ${data.accountPnL?.reduce((sum, acc) => sum + (acc.balance || 0), 0).toFixed(0) || '0'}
-              </div>
-              <div className="text-sm text-gray-400">Total Balance</div>
-            </div>
-          </div>
-
-          {/* Chart placeholder */}
-          <div className="h-48 bg-gray-700 rounded-lg flex items-center justify-center">
-            <div className="text-center text-gray-400">
-              <div className="text-4xl mb-2">📊</div>
-              <p>P&L Chart Coming Soon</p>
-              <p className="text-sm">Real-time charting with Chart.js</p>
-            </div>
-          </div>
+      <div className="flex justify-between text-xs text-gray-400 mb-2">
+        <span>Trade date {tradeDate}</span>
+        {latest && (
+          <span>
+            Realized {apiUtils.formatCurrency(latest.realized)} • Unrealized {apiUtils.formatCurrency(latest.unrealized)}
+          </span>
+        )}
+      </div>
 
-          {/* Current Account Details */}
-          {data.accountPnL && data.accountPnL.length > 0 && (
-            <div className="space-y-2">
-              <h4 className="font-semibold text-white">Current Account</h4>
-              {data.accountPnL.map((account, index) => (
-                <div key={index} className="p-3 bg-gray-700 rounded-lg">
-                  <div className="flex justify-between items-center mb-2">
-                    <span className="text-blue-300 font-semibold">
-                      {account.accountName || account.accountId}
-                    </span>
-                    <span className={`font-bold text-lg ${account.dayPnL >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                      {account.dayPnL >= 0 ? '+' : ''}${account.dayPnL?.toFixed(2) || '0.00'}
-                    </span>
-                  </div>
-                  <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div>
-                      <span className="text-gray-400">Balance: </span>
-                      <span className="text-white">${(account.balance || 0).toFixed(2)}</span>
-                    </div>
-                    <div>
-                      <span className="text-gray-400">Equity: </span>
-                      <span className="text-white">${(account.equity || 0).toFixed(2)}</span>
-                    </div>
-                  </div>
-                </div>
-              ))}
+      <div className="h-48">
+        {points.length > 0 ? (
+          <Line data={chartData} options={chartOptions} />
+        ) : (
+          <div className="h-full bg-gray-700 rounded-lg flex items-center justify-center">
+            <div className="text-center text-gray-400 text-sm">
+              {isLoading ? (
+                <>
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-2"></div>
+                  <p>Loading P&L history...</p>
+                </>
+              ) : (
+                <>
+                  <div className="text-3xl mb-2">📊</div>
+                  <p>Waiting for P&L updates</p>
+                  {historyError && <p className="text-xs mt-1">History unavailable - showing live updates only</p>}
+                </>
+              )}
             </div>
-          )}
-        </div>
-      ) : (
-        <div className="h-48 bg-gray-700 rounded-lg flex items-center justify-center">
-          <div className="text-center text-gray-400">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-2"></div>
-            <p>Loading P&L data...</p>
           </div>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 };
 
-export default PnLChart;
\ No newline at end of file
+export default PnLChart;
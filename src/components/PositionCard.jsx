@@ -0,0 +1,201 @@
+import React from 'react';
+import { apiUtils } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { quoteFreshness } from '../utils/quoteFreshness';
+import PositionPriceChart from './PositionPriceChart';
+import FreshnessBadge from './FreshnessBadge';
+
+export const getPositionPriceTimestamp = (position) => position.marketData?.timestamp || position.lastUpdate;
+
+/**
+ * Open position card shared by live and paper trading views
+ * onReverse is optional - the button is hidden without it
+ */
+const PositionCard = ({ position, now, pendingAction, onFlatten, onReverse, chartOpen, onToggleChart, bars = [] }) => {
+  const side = position.side?.toLowerCase();
+  const isLong = side === 'long';
+  const quantity = Math.abs(position.netPos || position.quantity || position.signalContext?.quantity || 0);
+  const currentPrice = position.currentPrice;
+  const entryPrice = position.entryPrice;
+  const isAboveEntry = currentPrice && entryPrice && (
+    (isLong && currentPrice > entryPrice) ||
+    (!isLong && currentPrice < entryPrice)
+  );
+
+  // Format trailing stop display from separate values or legacy fields
+  const trailingOffset = position.signalContext?.trailingOffset;
+  const trailingTrigger = position.signalContext?.trailingTrigger;
+  const legacyTrailing = position.signalContext?.trailingStop || position.trailingStopPrice;
+
+  let trailingDisplay = null;
+  let trailingActivationDistance = null;
+  let activationLevel = null;
+
+  if (trailingOffset && trailingTrigger && currentPrice && entryPrice) {
+    // Calculate actual activation level
+    activationLevel = isLong ?
+      entryPrice + trailingTrigger :
+      entryPrice - trailingTrigger;
+
+    // Calculate how far price needs to move to activate trailing stop
+    const pointsToActivation = isLong ?
+      Math.max(0, activationLevel - currentPrice) :
+      Math.max(0, currentPrice - activationLevel);
+
+    trailingDisplay = `${trailingOffset}pt / ${trailingTrigger}pt`;
+    if (pointsToActivation > 0) {
+      // Round to nearest tick for this contract
+      const ticksToActivation = contractUtils.roundToTick(pointsToActivation, position.symbol);
+      trailingActivationDistance = `${ticksToActivation}pt to ${apiUtils.formatCurrency(activationLevel)}`;
+    } else {
+      trailingActivationDistance = `Active`;
+    }
+  } else if (legacyTrailing) {
+    trailingDisplay = typeof legacyTrailing === 'string' ? legacyTrailing : `${legacyTrailing}pt`;
+  }
+
+  const priceFreshness = quoteFreshness.getState(getPositionPriceTimestamp(position), now);
+  const targetPrice = position.targetPrice || position.signalContext?.takeProfit;
+  const stopPrice = position.stopPrice || position.signalContext?.stopLoss || position.signalContext?.stopPrice;
+
+  return (
+    <div className={`bg-gray-800 border border-gray-600 rounded-lg overflow-hidden ${
+      position.optimisticStatus ? 'opacity-60' : ''
+    }`}>
+      {/* Header Row */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between px-4 py-3 bg-gray-700 border-b border-gray-600 gap-2">
+        <div className="flex items-center gap-2 sm:gap-3">
+          <div className={`flex items-center gap-1 sm:gap-2 font-semibold text-sm ${
+            isLong ? 'text-green-400' : 'text-red-400'
+          }`}>
+            <span className={`w-2 h-2 rounded-full ${
+              isLong ? 'bg-green-400' : 'bg-red-400'
+            }`}></span>
+            {isLong ? 'LONG' : 'SHORT'}
+          </div>
+          <span className="font-bold text-white text-lg">{position.symbol}</span>
+          <span className="text-gray-400 text-sm">×{quantity}</span>
+          {position.optimisticStatus && (
+            <span className="text-xs text-yellow-400 animate-pulse">{position.optimisticStatus}...</span>
+          )}
+        </div>
+        <div className="flex items-center gap-3 sm:justify-end">
+          <div className={`font-semibold text-lg ${apiUtils.getPnLColor(position.unrealizedPnL)} sm:text-right ${
+            priceFreshness.isReliable ? '' : 'opacity-60'
+          }`} title={priceFreshness.isReliable ? undefined : `Based on ${priceFreshness.label.toLowerCase()} price`}>
+            {!priceFreshness.isReliable && '⚠️ '}{position.unrealizedPnL != null ? apiUtils.formatCurrency(position.unrealizedPnL) : 'N/A'}
+          </div>
+          <button
+            onClick={() => onFlatten(position, quantity)}
+            disabled={!!pendingAction}
+            className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-2 py-1 text-xs rounded"
+          >
+            {pendingAction === 'Flatten' ? '⏳' : 'Flatten'}
+          </button>
+          {onReverse && (
+            <button
+              onClick={() => onReverse(position, quantity)}
+              disabled={!!pendingAction}
+              className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white px-2 py-1 text-xs rounded"
+            >
+              {pendingAction === 'Reverse' ? '⏳' : 'Reverse'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Price Grid - Responsive: 2 cols on mobile, 5 on larger screens */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 px-4 py-3">
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Entry</span>
+          <span className="text-sm font-medium text-gray-100">
+            {position.entryPrice != null ? apiUtils.formatCurrency(position.entryPrice) : 'N/A'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide flex items-center gap-1">
+            Current <FreshnessBadge timestamp={getPositionPriceTimestamp(position)} compact />
+          </span>
+          <span className={`text-sm font-medium ${
+            isAboveEntry ? 'text-green-400' : 'text-red-400'
+          }`}>
+            {position.currentPrice != null ? apiUtils.formatCurrency(position.currentPrice) : 'N/A'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Target</span>
+          <span className={`text-sm font-medium ${
+            (position.targetPrice || position.signalContext?.takeProfit) ? 'text-blue-400' : 'text-gray-500'
+          }`}>
+            {position.targetPrice ? apiUtils.formatCurrency(position.targetPrice) :
+             position.signalContext?.takeProfit ? apiUtils.formatCurrency(position.signalContext.takeProfit) : '—'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Stop Loss</span>
+          <span className={`text-sm font-medium ${
+            (position.stopPrice || position.signalContext?.stopLoss || position.signalContext?.stopPrice) ? 'text-orange-400' : 'text-gray-500'
+          }`}>
+            {position.stopPrice ? apiUtils.formatCurrency(position.stopPrice) :
+             position.signalContext?.stopLoss ? apiUtils.formatCurrency(position.signalContext.stopLoss) :
+             position.signalContext?.stopPrice ? apiUtils.formatCurrency(position.signalContext.stopPrice) : '—'}
+          </span>
+        </div>
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400 uppercase tracking-wide">Trailing</span>
+          <span className={`text-sm font-medium ${
+            trailingDisplay ? 'text-purple-300' : 'text-gray-500'
+          }`}>
+            {trailingDisplay || '—'}
+          </span>
+          {trailingActivationDistance && (
+            <span className={`text-xs ${
+              trailingActivationDistance === 'Active' ? 'text-green-400' : 'text-yellow-400'
+            }`}>
+              {trailingActivationDistance}{!priceFreshness.isReliable && ' ⚠️'}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Price Chart */}
+      {chartOpen && (
+        <div className="px-4 pb-3">
+          <PositionPriceChart
+            bars={bars}
+            isLong={isLong}
+            entryTime={position.signalContext?.timestamp ? new Date(position.signalContext.timestamp).getTime() : null}
+            tickSize={contractUtils.getTickSize(position.symbol)}
+            activationLevel={activationLevel}
+            levels={[
+              { label: 'Entry', price: entryPrice, color: 'rgb(229, 231, 235)' },
+              { label: 'Target', price: targetPrice, color: 'rgb(96, 165, 250)' },
+              { label: 'Stop', price: stopPrice, color: 'rgb(251, 146, 60)' },
+              { label: 'Trail Activation', price: activationLevel, color: 'rgb(216, 180, 254)', dashed: true }
+            ]}
+          />
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="flex justify-between items-center px-4 py-2 border-t border-gray-600 text-xs text-gray-400">
+        <span>
+          Opened {position.signalContext?.timestamp ?
+            new Date(position.signalContext.timestamp).toLocaleDateString('en-US', {
+              month: 'short', day: 'numeric'
+            }) + ', ' + new Date(position.signalContext.timestamp).toLocaleTimeString('en-US', {
+              hour: 'numeric', minute: '2-digit', hour12: true
+            }) : 'Unknown'}
+        </span>
+        <button
+          onClick={onToggleChart}
+          className="text-blue-400 hover:text-blue-300"
+        >
+          {chartOpen ? '▲ Hide chart' : '📈 Chart'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PositionCard;
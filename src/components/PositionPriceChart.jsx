@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  Chart as ChartJS,
+  BarController,
+  LineController,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Tooltip
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+
+ChartJS.register(BarController, LineController, LinearScale, BarElement, PointElement, LineElement, Tooltip);
+
+const UP_COLOR = 'rgb(74, 222, 128)';
+const DOWN_COLOR = 'rgb(248, 113, 113)';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+// First bar after entry that reached the trailing activation level
+const findArmedBar = (bars, activationLevel, isLong, entryTime, intervalMs) => {
+  if (!activationLevel) return null;
+  return bars
+    .filter(bar => !entryTime || bar.time + intervalMs > entryTime)
+    .find(bar => isLong ? bar.high >= activationLevel : bar.low <= activationLevel) || null;
+};
+
+/**
+ * Mini candlestick chart for one position
+ * levels: [{ label, price, color }] drawn as horizontal lines
+ */
+const PositionPriceChart = ({ bars = [], levels = [], activationLevel = null, isLong = true, entryTime = null, tickSize = 0.25, intervalMs = 60000 }) => {
+  if (bars.length === 0) {
+    return (
+      <div className="h-40 bg-gray-900 rounded flex items-center justify-center text-xs text-gray-400">
+        Waiting for market data...
+      </div>
+    );
+  }
+
+  const firstTime = bars[0].time;
+  const lastTime = bars[bars.length - 1].time + intervalMs;
+  const colorFor = (bar) => bar.close >= bar.open ? UP_COLOR : DOWN_COLOR;
+  const armedBar = findArmedBar(bars, activationLevel, isLong, entryTime, intervalMs);
+  const visibleLevels = levels.filter(level => level.price);
+
+  const data = {
+    datasets: [
+      // Wicks: thin floating bars from low to high
+      {
+        type: 'bar',
+        label: 'Range',
+        data: bars.map(bar => ({ x: bar.time + intervalMs / 2, y: [bar.low, bar.high], bar })),
+        backgroundColor: bars.map(colorFor),
+        barThickness: 1,
+        grouped: false,
+        order: 2
+      },
+      // Bodies: open to close (nudged so doji bars stay visible)
+      {
+        type: 'bar',
+        label: 'Body',
+        data: bars.map(bar => ({
+          x: bar.time + intervalMs / 2,
+          y: bar.open === bar.close ? [bar.open - tickSize / 4, bar.close + tickSize / 4] : [bar.open, bar.close],
+          bar
+        })),
+        backgroundColor: bars.map(colorFor),
+        barThickness: 5,
+        grouped: false,
+        order: 1
+      },
+      ...visibleLevels.map(level => ({
+        type: 'line',
+        label: level.label,
+        data: [{ x: firstTime, y: level.price }, { x: lastTime, y: level.price }],
+        borderColor: level.color,
+        borderWidth: 1,
+        borderDash: level.dashed ? [4, 4] : [],
+        pointRadius: 0,
+        order: 0
+      })),
+      ...(armedBar ? [{
+        type: 'line',
+        label: 'Trailing armed',
+        data: [{ x: armedBar.time + intervalMs / 2, y: activationLevel }],
+        showLine: false,
+        pointStyle: 'star',
+        pointRadius: 8,
+        borderColor: 'rgb(216, 180, 254)',
+        backgroundColor: 'rgb(216, 180, 254)',
+        order: 0
+      }] : [])
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    parsing: { xAxisKey: 'x', yAxisKey: 'y' },
+    scales: {
+      x: {
+        type: 'linear',
+        min: firstTime,
+        max: lastTime,
+        ticks: { color: '#9CA3AF', callback: formatTime, maxTicksLimit: 5 },
+        grid: { display: false }
+      },
+      y: {
+        ticks: { color: '#9CA3AF' },
+        grid: { color: 'rgba(75, 85, 99, 0.3)' }
+      }
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => formatTime(items[0].parsed.x),
+          label: (item) => {
+            const bar = item.raw.bar;
+            if (bar) return `O ${bar.open}  H ${bar.high}  L ${bar.low}  C ${bar.close}`;
+            return `${item.dataset.label}: ${item.parsed.y}`;
+          }
+        }
+      }
+    }
+  };
+
+  return (
+    <div>
+      <div className="h-40">
+        <Chart type="bar" data={data} options={options} />
+      </div>
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {visibleLevels.map(level => (
+          <span key={level.label} className="flex items-center gap-1 text-gray-400">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: level.color }}></span>
+            {level.label} {level.price}
+          </span>
+        ))}
+        {armedBar && (
+          <span className="text-purple-300">★ Trailing armed {formatTime(armedBar.time)}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PositionPriceChart;
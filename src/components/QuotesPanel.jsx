@@ -1,7 +1,38 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../services/api';
+import { watchlistUtils } from '../utils/watchlist';
+import { quoteFreshness } from '../utils/quoteFreshness';
+import { useNow } from '../hooks/useNow';
+import FreshnessBadge from './FreshnessBadge';
 
-const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
+const QuotesPanel = ({ quotes = {}, isLoading = false, socket }) => {
   const [expandedSymbol, setExpandedSymbol] = useState(null);
+  const [watchlist, setWatchlist] = useState(() => watchlistUtils.getCached());
+  const [isEditing, setIsEditing] = useState(false);
+  const [newSymbol, setNewSymbol] = useState('');
+  const now = useNow(5000);
+  // Symbols subscribed on the current connection
+  const subscribedRef = useRef(new Set());
+
+  useEffect(() => {
+    api.getWatchlist().then(setWatchlist);
+  }, []);
+
+  // Subscribe symbols not yet subscribed on this connection - covers reconnects and the
+  // server watchlist arriving after the socket connected. Re-running is cheap: already
+  // subscribed symbols are skipped
+  useEffect(() => {
+    if (!socket?.isConnected || typeof socket.subscribeToQuote !== 'function') {
+      subscribedRef.current = new Set();
+      return;
+    }
+    watchlist
+      .filter(symbol => !subscribedRef.current.has(symbol))
+      .forEach(symbol => {
+        socket.subscribeToQuote(symbol);
+        subscribedRef.current.add(symbol);
+      });
+  }, [socket, watchlist]);
 
   // Debug: Log when quotes prop changes
   useEffect(() => {
@@ -20,10 +51,44 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
   // Additional debug: Log every render
   console.log('🔄 QuotesPanel rendering with quotes keys:', Object.keys(quotes));
 
-  // Supported symbols that we want to display
-  const supportedSymbols = ['MNQ', 'NQ', 'MES', 'ES', 'BTC'];
+  const saveWatchlist = async (symbols) => {
+    setWatchlist(symbols);
+    await api.setWatchlist(symbols);
+  };
+
+  const handleAddSymbol = (e) => {
+    e.preventDefault();
+    const symbol = watchlistUtils.normalizeSymbol(newSymbol);
+    if (!symbol || watchlist.includes(symbol)) {
+      setNewSymbol('');
+      return;
+    }
+    saveWatchlist(watchlistUtils.add(watchlist, symbol));
+    setNewSymbol('');
+  };
 
-  // Price change calculation removed - showing current prices only
+  const handleRemoveSymbol = (symbol) => {
+    socket?.unsubscribeFromQuote?.(symbol);
+    subscribedRef.current.delete(symbol);
+    if (expandedSymbol === symbol) setExpandedSymbol(null);
+    saveWatchlist(watchlistUtils.remove(watchlist, symbol));
+  };
+
+  const handleMoveSymbol = (symbol, direction) => {
+    saveWatchlist(watchlistUtils.move(watchlist, symbol, direction));
+  };
+
+  // Percent change against the previous session close
+  const getChangePercent = (quote) => {
+    if (!quote?.previousClose || quote.close === undefined) return null;
+    return ((quote.close - quote.previousClose) / quote.previousClose) * 100;
+  };
+
+  // Where the last price sits inside the session range (0-100)
+  const getRangePosition = (quote) => {
+    if (!quote?.high || !quote?.low || quote.high === quote.low) return null;
+    return Math.min(Math.max(((quote.close - quote.low) / (quote.high - quote.low)) * 100, 0), 100);
+  };
 
   // Format large numbers (e.g., volume)
   const formatVolume = (volume) => {
@@ -33,6 +98,12 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
     return volume.toString();
   };
 
+  // Header shows the worst freshness among quotes we have
+  const quotedSymbols = watchlist.filter(symbol => quotes[symbol]);
+  const watchlistFreshness = quotedSymbols.length > 0
+    ? quoteFreshness.getWorst(quotedSymbols.map(symbol => quoteFreshness.getState(quotes[symbol].timestamp, now).state))
+    : null;
+
   if (isLoading) {
     return (
       <div className="bg-gray-800 rounded-lg p-6">
@@ -41,7 +112,7 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-500"></div>
         </div>
         <div className="space-y-2">
-          {supportedSymbols.map(symbol => (
+          {watchlist.map(symbol => (
             <div key={symbol} className="animate-pulse flex items-center justify-between p-2 bg-gray-700 rounded">
               <div className="h-4 bg-gray-600 rounded w-12"></div>
               <div className="h-4 bg-gray-600 rounded w-20"></div>
@@ -56,16 +127,53 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
     <div className="bg-gray-800 rounded-lg p-6">
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-lg font-semibold text-white">📊 Live Quotes</h3>
-        <div className="flex items-center space-x-2">
-          <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-          <span className="text-xs text-gray-400">Live</span>
+        <div className="flex items-center space-x-4">
+          {watchlistFreshness && (
+            <div className="flex items-center space-x-2">
+              <div className={`w-2 h-2 rounded-full ${quoteFreshness.getStyle(watchlistFreshness).dot} ${watchlistFreshness === 'live' ? 'animate-pulse' : ''}`}></div>
+              <span className="text-xs text-gray-400">{quoteFreshness.getStyle(watchlistFreshness).label}</span>
+            </div>
+          )}
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            className="text-xs text-blue-400 hover:text-blue-300"
+          >
+            {isEditing ? 'Done' : '✏️ Edit'}
+          </button>
         </div>
       </div>
 
+      {isEditing && (
+        <form onSubmit={handleAddSymbol} className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={newSymbol}
+            onChange={(e) => setNewSymbol(e.target.value)}
+            placeholder="Add symbol (e.g. RTY)"
+            className="flex-1 bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm text-white font-mono uppercase"
+          />
+          <button
+            type="submit"
+            disabled={!newSymbol.trim()}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm rounded"
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      {watchlist.length === 0 && (
+        <div className="text-center py-4 text-gray-400 text-sm">
+          Watchlist is empty - use Edit to add symbols
+        </div>
+      )}
+
       <div className="space-y-3">
-        {supportedSymbols.map(symbol => {
+        {watchlist.map((symbol, index) => {
           // Get quote data for this symbol - directly access by base symbol key
           const quote = quotes[symbol];
+          const changePercent = getChangePercent(quote);
+          const rangePosition = getRangePosition(quote);
 
           const isExpanded = expandedSymbol === symbol;
 
@@ -80,6 +188,7 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
                   <span className="font-mono font-semibold text-white text-sm">
                     {symbol}
                   </span>
+                  {quote && <FreshnessBadge timestamp={quote.timestamp} />}
                   {quote?.timestamp && (
                     <span className="text-xs text-gray-400">
                       {new Date(quote.timestamp).toLocaleTimeString()}
@@ -90,24 +199,71 @@ const QuotesPanel = ({ quotes = {}, isLoading = false }) => {
                 <div className="flex items-center space-x-4">
                   {quote ? (
                     <>
+                      {/* Session range: low to high with the last price marked */}
+                      {rangePosition !== null && (
+                        <div className="hidden sm:block w-24" title={`Low ${quote.low?.toFixed(2)} • High ${quote.high?.toFixed(2)}`}>
+                          <div className="relative h-1.5 bg-gray-600 rounded-full">
+                            <div
+                              className="absolute top-1/2 w-2 h-2 bg-white rounded-full -translate-y-1/2 -translate-x-1/2"
+                              style={{ left: `${rangePosition}%` }}
+                            ></div>
+                          </div>
+                          <div className="flex justify-between text-xs text-gray-500 mt-1 font-mono">
+                            <span>{quote.low?.toFixed(2)}</span>
+                            <span>{quote.high?.toFixed(2)}</span>
+                          </div>
+                        </div>
+                      )}
+                      <div className="text-right w-16">
+                        <div className="text-xs text-gray-400">Vol</div>
+                        <div className="text-xs text-gray-300 font-mono">{formatVolume(quote.volume)}</div>
+                      </div>
                       <div className="text-right">
                         <div className="text-white font-semibold">
                           {quote.close?.toFixed(2) || '—'}
                         </div>
-                        {quote.previousClose && (
-                          <div className={`text-xs ${quote.close > quote.previousClose ? 'text-green-400' : quote.close < quote.previousClose ? 'text-red-400' : 'text-gray-400'}`}>
-                            {quote.close > quote.previousClose ? '▲' : quote.close < quote.previousClose ? '▼' : ''}
-                            {Math.abs(quote.close - quote.previousClose).toFixed(2)}
+                        {changePercent !== null && (
+                          <div className={`text-xs ${changePercent > 0 ? 'text-green-400' : changePercent < 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                            {changePercent > 0 ? '▲' : changePercent < 0 ? '▼' : ''}
+                            {Math.abs(quote.close - quote.previousClose).toFixed(2)} ({changePercent >= 0 ? '+' : ''}{changePercent.toFixed(2)}%)
                           </div>
                         )}
                       </div>
-                      <div className="text-gray-400">
-                        {isExpanded ? '▼' : '▶'}
-                      </div>
                     </>
                   ) : (
                     <div className="text-gray-500 text-sm">No Data</div>
                   )}
+                  {isEditing ? (
+                    <div className="flex items-center space-x-1" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        onClick={() => handleMoveSymbol(symbol, -1)}
+                        disabled={index === 0}
+                        className="px-1 text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => handleMoveSymbol(symbol, 1)}
+                        disabled={index === watchlist.length - 1}
+                        className="px-1 text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        onClick={() => handleRemoveSymbol(symbol)}
+                        className="px-1 text-red-400 hover:text-red-300"
+                        title="Remove from watchlist"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ) : quote && (
+                    <div className="text-gray-400">
+                      {isExpanded ? '▼' : '▶'}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -0,0 +1,336 @@
+import React, { useState, useRef } from 'react';
+import { testScenarios, SCENARIO_ACTIONS } from '../utils/testScenarios';
+import { STRATEGIES } from '../utils/strategies';
+
+const EMPTY_STEP = { action: 'update_limit', offsetPoints: 50, stopPoints: 0, targetPoints: 0, delayMs: 2000 };
+
+const downloadJSON = (filename, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Named, reusable test scenarios for TestTrading
+ * getMarketPrice(symbol) supplies the live price scenarios are saved and resolved against
+ * onLoad(scenario, steps) receives the scenario resolved against the current market price
+ * Outside points mode, risk is measured from the form's absolute stop and target
+ */
+const ScenarioLibrary = ({ currentSignal, currentSequence = [], getMarketPrice, usePointsMode = true, pointsConfig, sequenceDelay, onLoad }) => {
+  const [scenarios, setScenarios] = useState(() => testScenarios.getAll());
+  const [editing, setEditing] = useState(null); // draft scenario being edited
+  const [importErrors, setImportErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const riskPoints = usePointsMode ? {
+    stopPoints: pointsConfig?.stopPoints || 0,
+    targetPoints: pointsConfig?.targetPoints || 0
+  } : {};
+
+  const handleSaveCurrent = (fromSequence) => {
+    const name = window.prompt('Scenario name');
+    if (!name) return;
+
+    const symbol = fromSequence ? currentSequence[0]?.symbol : currentSignal.symbol;
+    const marketPrice = getMarketPrice(symbol);
+
+    const scenario = fromSequence
+      ? testScenarios.fromSequence(currentSequence, { name, marketPrice, delayMs: sequenceDelay, ...riskPoints })
+      : testScenarios.fromSignal(currentSignal, { name, marketPrice, ...riskPoints });
+    setEditing(scenario);
+  };
+
+  const handleSaveDraft = () => {
+    try {
+      setScenarios(testScenarios.save(editing));
+      setEditing(null);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDuplicate = (scenario) => {
+    try {
+      setScenarios(testScenarios.duplicate(scenario.id));
+    } catch (error) {
+      console.error('Failed to duplicate scenario:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = (scenario) => {
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    setScenarios(testScenarios.remove(scenario.id));
+    if (editing?.id === scenario.id) setEditing(null);
+  };
+
+  const handleLoad = (scenario) => {
+    const marketPrice = getMarketPrice(scenario.symbol);
+    if (!marketPrice) {
+      alert(`No market price for ${scenario.symbol} - scenarios are relative to market and need a live quote`);
+      return;
+    }
+    onLoad(scenario, testScenarios.resolve(scenario, marketPrice));
+  };
+
+  const handleExport = (list, filename) => {
+    downloadJSON(filename, testScenarios.toExportJSON(list));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { scenarios: imported, errors } = testScenarios.parseImport(reader.result);
+      setImportErrors(errors);
+      if (imported.length > 0) {
+        setScenarios(testScenarios.importAll(imported));
+      }
+      if (imported.length === 0 && errors.length === 0) {
+        alert('The file contained no scenarios');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const updateDraft = (field, value) => {
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateDraftStep = (stepIndex, field, value) => {
+    setEditing(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, index) => index === stepIndex ? { ...step, [field]: value } : step)
+    }));
+  };
+
+  const renderEditor = () => (
+    <div className="bg-gray-900 border border-blue-500/40 rounded-lg p-4 space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        <input
+          type="text"
+          value={editing.name}
+          onChange={(e) => updateDraft('name', e.target.value)}
+          placeholder="Scenario name"
+          className="col-span-2 md:col-span-3 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+        />
+        <input
+          type="text"
+          value={editing.description}
+          onChange={(e) => updateDraft('description', e.target.value)}
+          placeholder="What this scenario checks"
+          className="col-span-2 md:col-span-3 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+        />
+        <select
+          value={editing.strategy}
+          onChange={(e) => updateDraft('strategy', e.target.value)}
+          className="bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+        >
+          {!STRATEGIES.some(strategy => strategy.id === editing.strategy) && (
+            <option value={editing.strategy}>{editing.strategy}</option>
+          )}
+          {STRATEGIES.map(strategy => (
+            <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+          ))}
+        </select>
+        <select
+          value={editing.side}
+          onChange={(e) => updateDraft('side', e.target.value)}
+          className="bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+        >
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={editing.symbol}
+            onChange={(e) => updateDraft('symbol', e.target.value.toUpperCase())}
+            className="w-1/2 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+          />
+          <input
+            type="number"
+            min="1"
+            value={editing.quantity}
+            onChange={(e) => updateDraft('quantity', parseInt(e.target.value) || 1)}
+            className="w-1/2 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+          />
+        </div>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="text-left pb-1">Action</th>
+            <th className="text-right pb-1" title="Points from market on the passive side - negative crosses the market">Offset</th>
+            <th className="text-right pb-1">Stop pts</th>
+            <th className="text-right pb-1">Target pts</th>
+            <th className="text-right pb-1">Wait ms</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {editing.steps.map((step, stepIndex) => (
+            <tr key={stepIndex} className="border-b border-gray-800">
+              <td className="py-1">
+                <select
+                  value={step.action}
+                  onChange={(e) => updateDraftStep(stepIndex, 'action', e.target.value)}
+                  className="bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded"
+                >
+                  {SCENARIO_ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+                </select>
+              </td>
+              {['offsetPoints', 'stopPoints', 'targetPoints', 'delayMs'].map(field => (
+                <td key={field} className="py-1 text-right">
+                  <input
+                    type="number"
+                    value={step[field]}
+                    disabled={field === 'delayMs' && stepIndex === 0}
+                    onChange={(e) => updateDraftStep(stepIndex, field, parseFloat(e.target.value) || 0)}
+                    className="w-20 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-right disabled:opacity-40"
+                  />
+                </td>
+              ))}
+              <td className="py-1 text-right">
+                <button
+                  onClick={() => updateDraft('steps', editing.steps.filter((_, index) => index !== stepIndex))}
+                  disabled={editing.steps.length === 1}
+                  className="text-red-400 hover:text-red-300 disabled:opacity-30"
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex justify-between">
+        <button
+          onClick={() => updateDraft('steps', [...editing.steps, { ...EMPTY_STEP }])}
+          className="text-blue-400 hover:text-blue-300 text-sm"
+        >
+          + Add step
+        </button>
+        <div className="space-x-2">
+          <button
+            onClick={() => setEditing(null)}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSaveDraft}
+            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm"
+          >
+            Save Scenario
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          📚 Scenario Library
+        </h2>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button
+            onClick={() => handleSaveCurrent(false)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded"
+          >
+            💾 Save Current Signal
+          </button>
+          <button
+            onClick={() => handleSaveCurrent(true)}
+            disabled={currentSequence.length === 0}
+            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white px-3 py-1 rounded"
+          >
+            💾 Save Current Sequence
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded"
+          >
+            📥 Import
+          </button>
+          <button
+            onClick={() => handleExport(scenarios, 'slingshot-scenarios.json')}
+            disabled={scenarios.length === 0}
+            className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white px-3 py-1 rounded"
+          >
+            📤 Export All
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {importErrors.length > 0 && (
+        <div className="mb-4 p-3 bg-yellow-900/30 border border-yellow-500/30 rounded text-sm text-yellow-300">
+          <div className="flex justify-between">
+            <span>⚠️ Some scenarios were skipped:</span>
+            <button onClick={() => setImportErrors([])} className="text-yellow-400 hover:text-yellow-200">✕</button>
+          </div>
+          <ul className="mt-1 text-xs list-disc list-inside">
+            {importErrors.map((error, index) => <li key={index}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {editing && <div className="mb-4">{renderEditor()}</div>}
+
+      {scenarios.length === 0 ? (
+        <div className="text-center py-6 text-gray-400 text-sm">
+          No saved scenarios - save the current signal or import a shared scenario file
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {scenarios.map(scenario => (
+            <div key={scenario.id} className="flex flex-wrap items-center justify-between gap-2 bg-gray-700 rounded p-3">
+              <div>
+                <div className="text-white font-medium">
+                  {scenario.name}
+                  <span className={`ml-2 text-xs px-2 py-0.5 rounded ${scenario.type === 'sequence' ? 'bg-purple-900/50 text-purple-300' : 'bg-blue-900/50 text-blue-300'}`}>
+                    {scenario.type === 'sequence' ? `${scenario.steps.length} steps` : 'single'}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-400">
+                  {scenario.strategy} • {scenario.side.toUpperCase()} {scenario.quantity} {scenario.symbol}
+                  {scenario.description && ` • ${scenario.description}`}
+                </div>
+              </div>
+              <div className="flex gap-1 text-xs">
+                <button onClick={() => handleLoad(scenario)} className="bg-green-600 hover:bg-green-700 text-white px-2 py-1 rounded">
+                  ▶ Load
+                </button>
+                <button onClick={() => setEditing(scenario)} className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded">
+                  ✏️
+                </button>
+                <button onClick={() => handleDuplicate(scenario)} className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded" title="Duplicate">
+                  ⧉
+                </button>
+                <button onClick={() => handleExport([scenario], `${scenario.name.replace(/\W+/g, '_')}.json`)} className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded" title="Export">
+                  📤
+                </button>
+                <button onClick={() => handleDelete(scenario)} className="bg-red-600 hover:bg-red-700 text-white px-2 py-1 rounded" title="Delete">
+                  🗑
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioLibrary;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const STEP_STYLES = {
+  pending: { dot: 'bg-gray-600', text: 'text-gray-400' },
+  running: { dot: 'bg-blue-500 animate-pulse', text: 'text-blue-300' },
+  success: { dot: 'bg-green-500', text: 'text-green-300' },
+  error: { dot: 'bg-red-500', text: 'text-red-300' }
+};
+
+const describeStep = (step) => {
+  const price = step.action === 'update_limit'
+    ? `${step.old_price} → ${step.price}`
+    : step.price;
+  return `${step.action} ${(step.side || '').toUpperCase()} ${step.symbol}${price !== undefined ? ` @ ${price}` : ''}`;
+};
+
+/**
+ * Plays a webhook sequence one step at a time
+ * onRunStep(step) posts the step and resolves to { success, data, error, timestamp }
+ * After a step, autoProgress continues to the next one once `delay` has passed -
+ * a step's own delayMs (from saved scenarios) takes precedence
+ * onActiveChange(active) reports while a step is running or playback is under way
+ */
+const SequenceRunner = ({
+  sequence,
+  index,
+  onIndexChange,
+  autoProgress,
+  onAutoProgressChange,
+  delay,
+  onDelayChange,
+  onRunStep,
+  onGenerate,
+  onActiveChange,
+  disabled = false
+}) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [results, setResults] = useState({}); // step index -> result
+  const [nextStepAt, setNextStepAt] = useState(null);
+  const [expandedStep, setExpandedStep] = useState(null);
+  const timerRef = useRef(null);
+  const playingRef = useRef(false); // read after the await, when state may be stale
+
+  const isComplete = sequence.length > 0 && index >= sequence.length;
+  const getStepDelay = (stepIndex) => sequence[stepIndex]?.delayMs ?? delay;
+
+  // New sequence - forget the old run
+  useEffect(() => {
+    clearTimeout(timerRef.current);
+    playingRef.current = false;
+    setIsPlaying(false);
+    setResults({});
+    setNextStepAt(null);
+    setExpandedStep(null);
+  }, [sequence]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useEffect(() => {
+    onActiveChange?.(isPlaying || isRunning);
+  }, [isPlaying, isRunning, onActiveChange]);
+
+  // All updates after the await land in one render, so the play loop never sees
+  // the step finished without also seeing whether to wait, continue or stop
+  const runStep = async (stepIndex) => {
+    setIsRunning(true);
+    setResults(prev => ({ ...prev, [stepIndex]: { status: 'running' } }));
+
+    const result = await onRunStep(sequence[stepIndex]);
+    setResults(prev => ({ ...prev, [stepIndex]: { ...result, status: result.success ? 'success' : 'error' } }));
+    onIndexChange(stepIndex + 1);
+
+    if (playingRef.current) {
+      if (result.success && autoProgress && stepIndex + 1 < sequence.length) {
+        const stepDelay = getStepDelay(stepIndex + 1);
+        setNextStepAt(Date.now() + stepDelay);
+        timerRef.current = setTimeout(() => setNextStepAt(null), stepDelay);
+      } else {
+        playingRef.current = false;
+        setIsPlaying(false);
+      }
+    }
+    setIsRunning(false);
+  };
+
+  // The play loop always runs the latest runStep, which closes over the current props
+  const runStepRef = useRef(runStep);
+  runStepRef.current = runStep;
+
+  // Play loop: run the current step whenever nothing is running or waiting
+  useEffect(() => {
+    if (!isPlaying || isRunning || nextStepAt) return;
+    if (index >= sequence.length) {
+      playingRef.current = false;
+      setIsPlaying(false);
+      return;
+    }
+    runStepRef.current(index);
+  }, [isPlaying, isRunning, nextStepAt, index, sequence.length]);
+
+  const handlePlay = () => {
+    if (isComplete) return;
+    playingRef.current = true;
+    setIsPlaying(true);
+  };
+
+  const handlePause = () => {
+    clearTimeout(timerRef.current);
+    playingRef.current = false;
+    setNextStepAt(null);
+    setIsPlaying(false);
+  };
+
+  const handleStep = () => {
+    if (isRunning || isComplete) return;
+    handlePause();
+    runStep(index);
+  };
+
+  const handleReset = () => {
+    handlePause();
+    setResults({});
+    onIndexChange(0);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onGenerate}
+          disabled={isPlaying || isRunning}
+          className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white px-3 py-2 rounded text-sm"
+        >
+          🔁 Generate LS EMA Sequence
+        </button>
+        <div className="flex-1"></div>
+        {isPlaying ? (
+          <button
+            onClick={handlePause}
+            className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded text-sm"
+          >
+            ⏸ Pause
+          </button>
+        ) : (
+          <button
+            onClick={handlePlay}
+            disabled={disabled || sequence.length === 0 || isComplete || isRunning}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-4 py-2 rounded text-sm"
+          >
+            ▶ Play
+          </button>
+        )}
+        <button
+          onClick={handleStep}
+          disabled={disabled || sequence.length === 0 || isComplete || isRunning}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded text-sm"
+        >
+          ⏭ Step
+        </button>
+        <button
+          onClick={handleReset}
+          disabled={isRunning || (index === 0 && Object.keys(results).length === 0)}
+          className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white px-4 py-2 rounded text-sm"
+        >
+          ↺ Reset
+        </button>
+      </div>
+
+      <div className="flex items-center gap-4 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={autoProgress}
+            onChange={(e) => onAutoProgressChange(e.target.checked)}
+          />
+          Auto-advance
+        </label>
+        <label className="flex items-center gap-2">
+          Delay
+          <input
+            type="number"
+            min="0"
+            step="500"
+            value={delay}
+            onChange={(e) => onDelayChange(Math.max(parseInt(e.target.value) || 0, 0))}
+            className="w-24 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded"
+          />
+          ms
+        </label>
+        {nextStepAt && (
+          <span className="text-xs text-blue-300 animate-pulse">Next step in {(getStepDelay(index) / 1000).toFixed(1)}s...</span>
+        )}
+      </div>
+
+      {sequence.length === 0 ? (
+        <div className="text-center py-6 text-gray-400 text-sm">
+          No sequence loaded - generate one from the current signal settings
+        </div>
+      ) : (
+        <ol className="relative border-l border-gray-600 ml-2 space-y-4">
+          {sequence.map((step, stepIndex) => {
+            const result = results[stepIndex];
+            const status = result?.status || 'pending';
+            const style = STEP_STYLES[status];
+            const isCurrent = stepIndex === index && !isComplete;
+
+            return (
+              <li key={stepIndex} className="relative ml-5">
+                <span className={`absolute -left-7 top-1 w-4 h-4 rounded-full ${style.dot} ${isCurrent ? 'ring-2 ring-blue-400' : ''}`}></span>
+                <div className="flex flex-col md:flex-row md:items-start gap-2">
+                  <div className="md:w-1/2">
+                    <div className={`text-sm font-mono ${style.text}`}>
+                      {stepIndex + 1}. {describeStep(step)}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {step.strategy}{step.stop_loss ? ` • SL ${step.stop_loss}` : ''}
+                      {stepIndex > 0 && step.delayMs !== undefined && ` • wait ${(step.delayMs / 1000).toFixed(1)}s`}
+                      {isCurrent && <span className="ml-2 text-blue-400">← next</span>}
+                    </div>
+                  </div>
+                  <div className="md:w-1/2 text-xs">
+                    {status === 'running' && <span className="text-blue-300">Posting to /webhook...</span>}
+                    {result && status !== 'running' && (
+                      <div>
+                        <button
+                          onClick={() => setExpandedStep(expandedStep === stepIndex ? null : stepIndex)}
+                          className={`${style.text} hover:underline`}
+                        >
+                          {result.success ? '✅ Accepted' : `❌ ${result.error}`}
+                          <span className="text-gray-500 ml-2">{new Date(result.timestamp).toLocaleTimeString()}</span>
+                        </button>
+                        {expandedStep === stepIndex && result.data && (
+                          <pre className="mt-1 bg-gray-900 text-gray-300 p-2 rounded overflow-x-auto max-h-40">
+                            {JSON.stringify(result.data, null, 2)}
+                          </pre>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {isComplete && (
+        <div className="text-sm text-green-300">✅ Sequence complete</div>
+      )}
+    </div>
+  );
+};
+
+export default SequenceRunner;
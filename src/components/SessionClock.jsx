@@ -0,0 +1,44 @@
+import React, { useMemo } from 'react';
+import { useNow } from '../hooks/useNow';
+import { tradingSession } from '../utils/tradingSession';
+
+const REASON_LABELS = {
+  weekend: 'Weekend',
+  maintenance: 'Daily Break',
+  holiday: 'Holiday',
+  early_close: 'Early Close'
+};
+
+const SessionClock = () => {
+  const now = useNow(1000);
+  const state = tradingSession.getState(now);
+  const minute = Math.floor(now.getTime() / 60000);
+
+  // Searching for the next boundary is the expensive part - once a minute is plenty
+  const nextChange = useMemo(() => tradingSession.getNextChange(new Date(minute * 60000)), [minute]);
+  const remaining = nextChange ? Math.max(nextChange.getTime() - now.getTime(), 0) : null;
+
+  const title = [
+    `ET ${tradingSession.toEastern(now).time}`,
+    `Trade date ${tradingSession.getTradeDate(now)}`,
+    state.holiday ? state.holiday.name : null,
+    nextChange ? `${state.isOpen ? 'Closes' : 'Opens'} ${nextChange.toLocaleString()}` : null
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div className="flex items-center space-x-2 text-sm" title={title}>
+      <div className={`w-2 h-2 rounded-full ${state.isOpen ? 'bg-green-500' : 'bg-yellow-500'}`}></div>
+      <span className={state.isOpen ? 'text-green-400' : 'text-yellow-400'}>
+        {state.isOpen ? 'CME Open' : `CME Closed (${REASON_LABELS[state.reason]})`}
+      </span>
+      <span className="text-gray-400 font-mono">
+        {state.isOpen ? 'closes' : 'opens'} in {tradingSession.formatDuration(remaining)}
+      </span>
+      {state.holiday && state.isOpen && (
+        <span className="text-xs text-yellow-400">⚠️ {state.holiday.name} early close</span>
+      )}
+    </div>
+  );
+};
+
+export default SessionClock;
@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { api } from '../services/api';
+import { signalLifecycle, SIGNAL_STATUSES } from '../utils/signalLifecycle';
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { strategy: '', symbol: '', status: '', source: '', from: '', to: '' };
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'received': return 'text-blue-400';
+    case 'processed': return 'text-green-400';
+    case 'executed': return 'text-green-500';
+    case 'failed': return 'text-red-400';
+    default: return 'text-gray-400';
+  }
+};
+
+const STAGE_STYLES = {
+  done: { dot: 'bg-green-500', text: 'text-green-400', icon: '✓' },
+  failed: { dot: 'bg-red-500', text: 'text-red-400', icon: '✕' },
+  pending: { dot: 'bg-gray-600', text: 'text-gray-500', icon: '·' }
+};
+
+const formatDateTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
+}) : '—';
+
+const SignalLifecycle = ({ signal, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showRaw, setShowRaw] = useState(false);
+
+  useEffect(() => {
+    const loadLifecycle = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        setEvents(await api.getSignalLifecycle(signal));
+      } catch (error) {
+        console.error('Failed to load signal lifecycle:', error);
+        setError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadLifecycle();
+  }, [signal]);
+
+  const { stages } = signalLifecycle.build(signal, events);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Signal Lifecycle</h3>
+          <p className="text-sm text-gray-400 mt-1">{signal.summary || signal.id}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-yellow-900/30 border border-yellow-500/30 rounded text-xs text-yellow-300">
+          ⚠️ Related events unavailable ({error}) - showing what the signal record carries
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <ol className="relative border-l border-gray-600 ml-2 space-y-5">
+          {stages.map(stage => {
+            const style = STAGE_STYLES[stage.status];
+            return (
+              <li key={stage.key} className="relative ml-5">
+                <span className={`absolute -left-7 top-0.5 flex items-center justify-center w-4 h-4 rounded-full text-xs text-white ${style.dot}`}>
+                  {style.icon}
+                </span>
+                <div className="flex justify-between items-center">
+                  <span className={`text-sm font-medium ${style.text}`}>{stage.label}</span>
+                  <span className="text-xs text-gray-500">{formatDateTime(stage.timestamp)}</span>
+                </div>
+                {stage.entries.map((entry, index) => (
+                  <div key={index} className="text-xs text-gray-300 mt-1">
+                    {entry.message}
+                    {entry.timestamp && stage.entries.length > 1 && (
+                      <span className="text-gray-500 ml-2">{formatDateTime(entry.timestamp)}</span>
+                    )}
+                  </div>
+                ))}
+                {stage.status === 'pending' && (
+                  <div className="text-xs text-gray-500 mt-1">Not reached</div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <button
+        onClick={() => setShowRaw(!showRaw)}
+        className="mt-6 text-xs text-blue-400 hover:text-blue-300"
+      >
+        {showRaw ? '▼ Hide raw signal' : '▶ Show raw signal'}
+      </button>
+      {showRaw && (
+        <pre className="mt-2 bg-gray-900 rounded p-3 text-xs text-green-300 font-mono whitespace-pre-wrap break-words max-h-80 overflow-auto">
+          {JSON.stringify(signal.rawData || signal, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const SignalExplorer = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [signals, setSignals] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedSignal, setSelectedSignal] = useState(null);
+
+  const loadSignals = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = signalLifecycle.toQueryParams({
+        ...appliedFilters,
+        // Date inputs are local days - send the full day range
+        from: appliedFilters.from ? new Date(`${appliedFilters.from}T00:00:00`).toISOString() : '',
+        to: appliedFilters.to ? new Date(`${appliedFilters.to}T23:59:59.999`).toISOString() : '',
+        offset: page * PAGE_SIZE
+      });
+      const response = await api.getSignals(PAGE_SIZE, params);
+      setSignals(Array.isArray(response) ? response : response.signals || []);
+      setTotal(Array.isArray(response) ? null : response.total ?? null);
+    } catch (error) {
+      console.error('Failed to load signals:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    loadSignals();
+  }, [loadSignals]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setPage(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(0);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  // Without a total from the server, a full page means there may be more
+  const hasNextPage = total !== null ? (page + 1) * PAGE_SIZE < total : signals.length === PAGE_SIZE;
+  const totalPages = total !== null ? Math.max(Math.ceil(total / PAGE_SIZE), 1) : null;
+
+  return (
+    <div className="h-full overflow-y-auto bg-gray-900 text-white p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-white">📡 Signal Explorer</h2>
+          <button
+            onClick={loadSignals}
+            disabled={isLoading}
+            className="text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+          >
+            🔄
+          </button>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={handleApplyFilters} className="bg-gray-800 rounded-lg p-4 grid grid-cols-2 md:grid-cols-7 gap-3 items-end">
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Strategy</label>
+            <input
+              type="text"
+              value={filters.strategy}
+              onChange={(e) => handleFilterChange('strategy', e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Symbol</label>
+            <input
+              type="text"
+              value={filters.symbol}
+              onChange={(e) => handleFilterChange('symbol', e.target.value.toUpperCase())}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white font-mono"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Status</label>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            >
+              <option value="">All</option>
+              {SIGNAL_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Source</label>
+            <input
+              type="text"
+              value={filters.source}
+              onChange={(e) => handleFilterChange('source', e.target.value)}
+              placeholder="tradingview"
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">From</label>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">To</label>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+              className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 rounded"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={handleClearFilters}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white text-sm py-1 rounded"
+            >
+              Clear
+            </button>
+          </div>
+        </form>
+
+        <div className={`grid gap-6 ${selectedSignal ? 'lg:grid-cols-2' : ''}`}>
+          {/* Results */}
+          <div className="bg-gray-800 rounded-lg p-6">
+            {error && (
+              <div className="mb-4 p-3 bg-red-900/30 border border-red-500/30 rounded text-sm text-red-300">
+                ❌ Failed to load signals: {error}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+              </div>
+            ) : signals.length === 0 ? (
+              <div className="text-center py-8 text-gray-400">
+                <p>No signals match these filters</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-700">
+                      <th className="text-left text-gray-400 pb-2">Time</th>
+                      <th className="text-left text-gray-400 pb-2">Strategy</th>
+                      <th className="text-left text-gray-400 pb-2">Signal</th>
+                      <th className="text-left text-gray-400 pb-2">Source</th>
+                      <th className="text-center text-gray-400 pb-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {signals.map((signal, index) => (
+                      <tr
+                        key={signal.id || index}
+                        onClick={() => setSelectedSignal(signal)}
+                        className={`border-b border-gray-700 hover:bg-gray-700 transition-colors cursor-pointer ${
+                          selectedSignal && selectedSignal.id === signal.id ? 'bg-gray-700' : ''
+                        }`}
+                      >
+                        <td className="py-2 text-gray-300 whitespace-nowrap">{formatDateTime(signal.timestamp)}</td>
+                        <td className="py-2 text-gray-300">{signal.strategy || signal.rawData?.strategy || '—'}</td>
+                        <td className="py-2 text-white max-w-xs">
+                          <div className="truncate" title={signal.summary}>
+                            {signal.summary || 'Unknown signal'}
+                          </div>
+                        </td>
+                        <td className="py-2 text-gray-400">{signal.source || '—'}</td>
+                        <td className="py-2 text-center">
+                          <span className={`px-2 py-1 rounded text-xs uppercase ${getStatusColor(signal.status)}`}>
+                            {signal.status || 'unknown'}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Paging */}
+            <div className="flex justify-between items-center mt-4 text-sm">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0 || isLoading}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded"
+              >
+                ← Newer
+              </button>
+              <span className="text-gray-400">
+                Page {page + 1}{totalPages ? ` of ${totalPages}` : ''}
+                {total !== null && ` • ${total} signals`}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={!hasNextPage || isLoading}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded"
+              >
+                Older →
+              </button>
+            </div>
+          </div>
+
+          {/* Lifecycle drill-down */}
+          {selectedSignal && (
+            <SignalLifecycle signal={selectedSignal} onClose={() => setSelectedSignal(null)} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignalExplorer;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { useSignalPipeline } from '../hooks/useSignalPipeline';
+import { signalMetrics, PIPELINE_LEGS } from '../utils/signalMetrics';
+import { apiUtils } from '../services/api';
+
+const LEG_COLORS = {
+  ingest: 'bg-blue-500',
+  orchestrator: 'bg-purple-500',
+  broker: 'bg-yellow-500',
+  fill: 'bg-green-500'
+};
+
+const isSlow = (leg, ms) => leg.warnMs !== null && ms !== null && ms > leg.warnMs;
+
+const formatTicks = (ticks) => ticks === null || ticks === undefined ? '—' : `${ticks >= 0 ? '+' : ''}${ticks.toFixed(1)}t`;
+
+const SignalLatencyPanel = ({ socket }) => {
+  const { records, summary, clear } = useSignalPipeline(socket);
+  const [showSignals, setShowSignals] = useState(false);
+
+  const slowLegs = PIPELINE_LEGS.filter(leg => summary.some(row => isSlow(leg, row.legs[leg.key].p90)));
+  const recent = [...records].reverse().slice(0, 20);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center">
+          <span className="mr-2">⏱️</span>
+          Signal Latency & Execution Quality
+          <span className="ml-2 text-sm text-gray-400">({records.length})</span>
+        </h3>
+        <div className="flex items-center space-x-3 text-xs">
+          <button
+            onClick={() => setShowSignals(!showSignals)}
+            className="text-blue-400 hover:text-blue-300"
+          >
+            {showSignals ? 'Hide signals' : 'Per signal'}
+          </button>
+          {records.length > 0 && (
+            <button onClick={clear} className="text-gray-400 hover:text-white">Reset</button>
+          )}
+        </div>
+      </div>
+
+      {slowLegs.length > 0 && (
+        <div className="mb-4 p-3 bg-red-900/30 border border-red-500/30 rounded text-sm text-red-300">
+          ⚠️ Pipeline slowdown: {slowLegs.map(leg => `${leg.label} p90 over ${signalMetrics.formatMs(leg.warnMs)}`).join(', ')}
+        </div>
+      )}
+
+      {records.length === 0 ? (
+        <div className="text-center py-6 text-gray-400 text-sm">
+          <p>No signals measured yet</p>
+          <p className="text-xs mt-1">Latency is measured from live webhook and order events since this page loaded</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-gray-700 text-gray-400">
+                <th className="text-left pb-2">Strategy</th>
+                <th className="text-right pb-2">Signals</th>
+                {PIPELINE_LEGS.map(leg => (
+                  <th key={leg.key} className="text-right pb-2" title="p50 / p90 / p99">{leg.label}</th>
+                ))}
+                <th className="text-right pb-2" title="p50 / p90 / p99">Total</th>
+                <th className="text-right pb-2" title="Average / p90, positive is adverse">Slippage</th>
+                <th className="text-right pb-2">Slip $</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.map(row => (
+                <tr key={row.strategy} className={`border-b border-gray-700 ${row.strategy === 'All' ? 'font-semibold' : ''}`}>
+                  <td className="py-2 text-white">{row.strategy}</td>
+                  <td className="py-2 text-right text-gray-300">{row.filled}/{row.count}</td>
+                  {PIPELINE_LEGS.map(leg => {
+                    const stats = row.legs[leg.key];
+                    return (
+                      <td key={leg.key} className={`py-2 text-right font-mono ${isSlow(leg, stats.p90) ? 'text-red-400' : 'text-gray-300'}`}>
+                        {signalMetrics.formatMs(stats.p50)}
+                        <span className="text-gray-500"> / {signalMetrics.formatMs(stats.p90)} / {signalMetrics.formatMs(stats.p99)}</span>
+                      </td>
+                    );
+                  })}
+                  <td className="py-2 text-right font-mono text-gray-300">
+                    {signalMetrics.formatMs(row.legs.total.p50)}
+                    <span className="text-gray-500"> / {signalMetrics.formatMs(row.legs.total.p90)} / {signalMetrics.formatMs(row.legs.total.p99)}</span>
+                  </td>
+                  <td className={`py-2 text-right font-mono ${row.slippage.avgTicks > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                    {formatTicks(row.slippage.avgTicks)}
+                    <span className="text-gray-500"> / {formatTicks(row.slippage.p90Ticks)}</span>
+                  </td>
+                  <td className={`py-2 text-right font-mono ${apiUtils.getPnLColor(-row.slippage.totalDollars)}`}>
+                    {apiUtils.formatCurrency(row.slippage.totalDollars)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Per-signal breakdown */}
+      {showSignals && recent.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <div className="flex space-x-3 text-xs text-gray-400">
+            {PIPELINE_LEGS.map(leg => (
+              <span key={leg.key} className="flex items-center gap-1">
+                <span className={`inline-block w-2 h-2 rounded ${LEG_COLORS[leg.key]}`}></span>
+                {leg.label}
+              </span>
+            ))}
+          </div>
+          {recent.map(record => {
+            const latencies = signalMetrics.getLatencies(record);
+            const slippage = signalMetrics.getSlippage(record);
+            const measured = PIPELINE_LEGS.reduce((sum, leg) => sum + (latencies[leg.key] || 0), 0);
+
+            return (
+              <div key={record.id} className="bg-gray-700 rounded p-2 text-xs">
+                <div className="flex justify-between mb-1">
+                  <span className="text-white">
+                    {record.strategy} • {record.side.toUpperCase()} {record.quantity} {record.symbol}
+                    {record.signalPrice !== null && ` @ ${record.signalPrice}`}
+                  </span>
+                  <span className="text-gray-400">
+                    {new Date(record.receivedAt).toLocaleTimeString()}
+                    {slippage && (
+                      <span className={`ml-2 ${slippage.ticks > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                        {formatTicks(slippage.ticks)} ({apiUtils.formatCurrency(slippage.dollars)})
+                      </span>
+                    )}
+                  </span>
+                </div>
+                <div className="flex h-2 rounded overflow-hidden bg-gray-600">
+                  {measured > 0 && PIPELINE_LEGS.map(leg => latencies[leg.key] ? (
+                    <div
+                      key={leg.key}
+                      className={LEG_COLORS[leg.key]}
+                      style={{ width: `${(latencies[leg.key] / measured) * 100}%` }}
+                      title={`${leg.label}: ${signalMetrics.formatMs(latencies[leg.key])}`}
+                    ></div>
+                  ) : null)}
+                </div>
+                <div className="flex justify-between text-gray-400 mt-1">
+                  {PIPELINE_LEGS.map(leg => (
+                    <span key={leg.key} className={isSlow(leg, latencies[leg.key]) ? 'text-red-400' : ''}>
+                      {leg.label} {signalMetrics.formatMs(latencies[leg.key])}
+                    </span>
+                  ))}
+                  <span>Total {record.filledAt ? signalMetrics.formatMs(latencies.total) : 'unfilled'}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignalLatencyPanel;
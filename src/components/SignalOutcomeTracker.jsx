@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { signalOutcomes } from '../utils/signalOutcomes';
+import { useNow } from '../hooks/useNow';
+
+const STATUS_STYLES = {
+  passed: { icon: '✅', text: 'text-green-300' },
+  failed: { icon: '❌', text: 'text-red-300' },
+  pending: { icon: '⏳', text: 'text-gray-400' },
+  unverifiable: { icon: '❔', text: 'text-yellow-300' },
+  skipped: { icon: '➖', text: 'text-gray-500' }
+};
+
+const OVERALL_STYLES = {
+  passed: 'border-green-500',
+  failed: 'border-red-500',
+  pending: 'border-blue-500',
+  unverified: 'border-yellow-500'
+};
+
+/**
+ * Per-signal pass/fail checklist for test signals followed by correlation id
+ */
+const SignalOutcomeTracker = ({ tracked, onClear }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const now = useNow(1000);
+
+  if (tracked.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          🔗 Signal Outcomes
+        </h2>
+        <button
+          onClick={onClear}
+          className="text-sm text-red-400 hover:text-red-300"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {tracked.map(item => {
+          const { overall, stages } = signalOutcomes.getStatus(item, now);
+          const isExpanded = expandedId === item.correlationId;
+
+          return (
+            <div key={item.correlationId} className={`bg-gray-700 rounded p-3 border-l-4 ${OVERALL_STYLES[overall]}`}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="text-sm">
+                  <span className="text-white font-medium">
+                    {item.action} {item.side?.toUpperCase()} {item.quantity} {item.symbol}
+                    {item.price ? ` @ ${item.price}` : ''}
+                  </span>
+                  <span className="ml-2 text-xs text-gray-400">{item.strategy}</span>
+                </div>
+                <div className="text-xs text-gray-400">
+                  <span className="font-mono mr-2" title="correlation_id">{item.correlationId}</span>
+                  {new Date(item.sentAt).toLocaleTimeString()}
+                </div>
+              </div>
+
+              <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2">
+                {stages.map(stage => {
+                  const style = STATUS_STYLES[stage.status];
+                  return (
+                    <div key={stage.key} className={`text-xs ${style.text}`} title={stage.detail}>
+                      <div>{style.icon} {stage.label}</div>
+                      {stage.detail && <div className="text-gray-400 truncate">{stage.detail}</div>}
+                      {stage.at && stage.status !== 'skipped' && (
+                        <div className="text-gray-500">+{Math.max(stage.at - item.sentAt, 0)}ms</div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {item.events.length > 0 && (
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : item.correlationId)}
+                  className="mt-2 text-xs text-blue-400 hover:text-blue-300"
+                >
+                  {isExpanded ? '▲ Hide events' : `▼ ${item.events.length} event${item.events.length !== 1 ? 's' : ''}`}
+                </button>
+              )}
+              {isExpanded && (
+                <div className="mt-1 space-y-1 text-xs font-mono text-gray-300">
+                  {item.events.map((event, index) => (
+                    <div key={index}>
+                      <span className="text-gray-500 mr-2">{new Date(event.at).toLocaleTimeString()}</span>
+                      {event.type}{event.status ? ` (${event.status})` : ''}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default SignalOutcomeTracker;
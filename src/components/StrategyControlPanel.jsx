@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { api, apiUtils } from '../services/api';
+import { strategyUtils, STRATEGIES } from '../utils/strategies';
+import { tradingSession } from '../utils/tradingSession';
+
+// Open exposure and P&L come from positions, which change between socket pushes
+const POSITIONS_REFRESH_MS = 30000;
+
+const HEARTBEAT_WINDOW_OPTIONS = [15, 30, 60, 120, 240, 480];
+
+const formatAgo = (timestamp) => {
+  if (!timestamp) return 'Never';
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+const StrategyControlPanel = ({ socket, signals = [], tradingEnabled, heartbeats = {}, onHeartbeatWindowChange, onActivity }) => {
+  const [strategies, setStrategies] = useState([]);
+  const [positions, setPositions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [pendingStrategy, setPendingStrategy] = useState(null);
+  const [maxContractsDrafts, setMaxContractsDrafts] = useState({}); // strategy id -> input value
+
+  const loadStrategies = async () => {
+    try {
+      setStrategies(await api.getStrategies());
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load strategies:', error);
+      setLoadError(error.message);
+      // Keep the rows for heartbeats and exposure, but with no enabled state or cap to act on
+      setStrategies(STRATEGIES.map(({ id, label }) => ({ id, label })));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadPositions = async () => {
+    try {
+      const status = await api.getEnhancedTradingStatus();
+      setPositions(status?.openPositions || []);
+    } catch (error) {
+      console.log('Strategy exposure unavailable:', error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStrategies();
+    loadPositions();
+    const interval = setInterval(loadPositions, POSITIONS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Another dashboard or the server can change strategy state
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+    return socket.subscribe('strategy_status_changed', (data) => {
+      setStrategies(prev => prev.map(strategy =>
+        strategy.id === (data.id || data.strategy) ? { ...strategy, ...data, id: strategy.id, label: strategy.label } : strategy
+      ));
+    });
+  }, [socket]);
+
+  const handleToggle = async (strategy) => {
+    const enabling = !strategy.enabled;
+    if (!enabling && !window.confirm(`Disable ${strategy.label}? New ${strategy.id} signals will be blocked. Open positions are not closed.`)) {
+      return;
+    }
+
+    setPendingStrategy(strategy.id);
+    try {
+      await api.setStrategyEnabled(strategy.id, enabling);
+      setStrategies(prev => prev.map(existing =>
+        existing.id === strategy.id ? { ...existing, enabled: enabling } : existing
+      ));
+      onActivity?.({
+        type: 'strategy',
+        data: `${enabling ? '🟢' : '🔴'} Strategy ${strategy.id} ${enabling ? 'ENABLED' : 'DISABLED'}`
+      });
+    } catch (error) {
+      console.error('Failed to toggle strategy:', error);
+      alert(error.message);
+    } finally {
+      setPendingStrategy(null);
+    }
+  };
+
+  const handleSaveMaxContracts = async (strategy) => {
+    const draft = maxContractsDrafts[strategy.id];
+    if (draft === undefined) return;
+    const maxContracts = draft === '' ? null : Number(draft);
+    if (maxContracts === strategy.maxContracts) {
+      setMaxContractsDrafts(prev => ({ ...prev, [strategy.id]: undefined }));
+      return;
+    }
+
+    setPendingStrategy(strategy.id);
+    try {
+      await api.setStrategyMaxContracts(strategy.id, maxContracts);
+      setStrategies(prev => prev.map(existing =>
+        existing.id === strategy.id ? { ...existing, maxContracts } : existing
+      ));
+      setMaxContractsDrafts(prev => ({ ...prev, [strategy.id]: undefined }));
+    } catch (error) {
+      console.error('Failed to save max contracts:', error);
+      alert(`Failed to save max contracts for ${strategy.id}: ${error.message}`);
+    } finally {
+      setPendingStrategy(null);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center">
+          <span className="mr-2">🎛️</span>
+          Strategy Controls
+        </h3>
+        <button
+          onClick={() => { loadStrategies(); loadPositions(); }}
+          className="text-gray-400 hover:text-white transition-colors"
+        >
+          🔄
+        </button>
+      </div>
+
+      {!tradingEnabled && (
+        <div className="mb-4 p-3 bg-red-900/30 border border-red-500/30 rounded text-sm text-red-300">
+          🔴 Global kill switch is active - all strategies are blocked regardless of the settings below
+        </div>
+      )}
+
+      {loadError && (
+        <div className="mb-4 p-3 bg-yellow-900/30 border border-yellow-500/30 rounded text-sm text-yellow-300">
+          ⚠️ {loadError}. Enabled state and contract caps are unknown - controls are disabled until they load.
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-700 text-gray-400">
+                <th className="text-left pb-2">Strategy</th>
+                <th className="text-left pb-2">Last Heard</th>
+                <th className="text-center pb-2" title="Alert when no signal arrives within this many minutes of market time">Alert After</th>
+                <th className="text-right pb-2">Open Exposure</th>
+                <th className="text-right pb-2">Day P&L</th>
+                <th className="text-center pb-2">Max Contracts</th>
+                <th className="text-center pb-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {strategies.map(strategy => {
+                const derived = strategyUtils.deriveStats(strategy.id, { signals, positions });
+                const heartbeat = heartbeats[strategy.id];
+                const lastSignalAt = heartbeat?.lastSignalAt || strategy.lastSignalAt || derived.lastSignalAt;
+                const openContracts = strategy.openContracts ?? derived.openContracts;
+                const dayPnL = strategy.dayPnL ?? derived.dayPnL;
+                const draft = maxContractsDrafts[strategy.id];
+                const overCap = strategy.maxContracts && openContracts > strategy.maxContracts;
+                const isPending = pendingStrategy === strategy.id;
+
+                return (
+                  <tr key={strategy.id} className={`border-b border-gray-700 ${strategy.enabled === false ? 'opacity-60' : ''}`}>
+                    <td className="py-2">
+                      <div className="text-white font-medium">{strategy.id}</div>
+                      <div className="text-xs text-gray-400">{strategy.label}</div>
+                    </td>
+                    <td className={`py-2 ${heartbeat?.isSilent ? 'text-orange-400' : 'text-gray-300'}`} title={lastSignalAt ? new Date(lastSignalAt).toLocaleString() : undefined}>
+                      {heartbeat?.isSilent && '🔕 '}{formatAgo(lastSignalAt)}
+                    </td>
+                    <td className="py-2 text-center">
+                      <select
+                        value={heartbeat?.windowMinutes || ''}
+                        onChange={(e) => onHeartbeatWindowChange?.(strategy.id, Number(e.target.value) || null)}
+                        className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs text-white"
+                      >
+                        <option value="">Off</option>
+                        {HEARTBEAT_WINDOW_OPTIONS.map(minutes => (
+                          <option key={minutes} value={minutes}>{tradingSession.formatDuration(minutes * 60000)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className={`py-2 text-right ${overCap ? 'text-red-400' : 'text-gray-300'}`}>
+                      {openContracts} contract{openContracts !== 1 ? 's' : ''}
+                      {overCap && ' ⚠️'}
+                    </td>
+                    <td className={`py-2 text-right font-medium ${apiUtils.getPnLColor(dayPnL)}`}>
+                      {apiUtils.formatCurrency(dayPnL)}
+                      {strategy.dayPnL === undefined && openContracts > 0 && (
+                        <div className="text-xs text-gray-500">open only</div>
+                      )}
+                    </td>
+                    <td className="py-2 text-center">
+                      <input
+                        type="number"
+                        min="1"
+                        value={draft !== undefined ? draft : strategy.maxContracts ?? ''}
+                        placeholder={loadError ? '—' : 'No cap'}
+                        disabled={isPending || !!loadError}
+                        onChange={(e) => setMaxContractsDrafts(prev => ({ ...prev, [strategy.id]: e.target.value }))}
+                        onBlur={() => handleSaveMaxContracts(strategy)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        className="w-20 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white text-center"
+                      />
+                    </td>
+                    <td className="py-2 text-center">
+                      <button
+                        onClick={() => handleToggle(strategy)}
+                        disabled={isPending || !!loadError}
+                        className={`px-3 py-1 rounded text-xs font-medium transition-colors disabled:opacity-50 ${
+                          loadError
+                            ? 'bg-gray-600 text-gray-300'
+                            : strategy.enabled
+                              ? 'bg-green-600 hover:bg-green-700 text-white'
+                              : 'bg-red-600 hover:bg-red-700 text-white'
+                        }`}
+                      >
+                        {isPending ? '⏳' : loadError ? 'UNKNOWN' : strategy.enabled ? 'ENABLED' : 'DISABLED'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StrategyControlPanel;
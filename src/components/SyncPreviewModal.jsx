@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+// Dry run responses list planned changes per entity; tolerate the older flat shape too
+const SECTIONS = [
+  { key: 'orders', title: 'Orders', icon: '📋', aliases: ['orders', 'ordersToReconcile'], statKey: 'ordersReconciled' },
+  { key: 'positions', title: 'Positions', icon: '📊', aliases: ['positions', 'positionsToReconcile'], statKey: 'positionsReconciled' },
+  { key: 'signalMappings', title: 'Signal Mappings', icon: '🔗', aliases: ['signalMappings', 'signalMappingsToRemove', 'staleMappings'], statKey: 'signalMappingsRemoved' }
+];
+
+const getSectionItems = (response, section) => {
+  const changes = response?.changes || response?.details || response || {};
+  const alias = section.aliases.find(name => Array.isArray(changes[name]));
+  return alias ? changes[alias] : [];
+};
+
+const describeItem = (item) => {
+  if (typeof item !== 'object' || item === null) return String(item);
+  const id = item.orderId || item.positionId || item.signalId || item.id;
+  const parts = [
+    item.action && item.action.toUpperCase ? item.action.toUpperCase() : null,
+    item.quantity || item.netPos,
+    item.symbol,
+    item.price ? `@ ${item.price}` : null
+  ].filter(part => part !== null && part !== undefined && part !== '');
+  return `${parts.join(' ')}${id ? ` (ID: ${id})` : ''}`;
+};
+
+const ACTION_STYLES = {
+  remove: 'bg-red-900/30 text-red-300',
+  add: 'bg-green-900/30 text-green-300',
+  update: 'bg-yellow-900/30 text-yellow-300'
+};
+
+const SyncPreviewModal = ({ onRunSync, onClose }) => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+  const [applied, setApplied] = useState(null);
+
+  // The parent passes a new onRunSync each render - read it through a ref so the preview runs once on open
+  const onRunSyncRef = useRef(onRunSync);
+  onRunSyncRef.current = onRunSync;
+
+  const runPreview = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await onRunSyncRef.current(true);
+      if (!response?.success) {
+        throw new Error(response?.error || response?.message || 'Dry run did not succeed');
+      }
+      setPreview(response);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    runPreview();
+  }, [runPreview]);
+
+  const handleApply = async () => {
+    const confirmed = window.confirm(
+      '🔄 Apply Full Sync?\n\n' +
+      'The changes shown in the preview will be applied against Tradovate. ' +
+      'State may have moved since the preview was taken.'
+    );
+    if (!confirmed) return;
+
+    setIsApplying(true);
+    try {
+      const response = await onRunSync(false);
+      if (!response?.success) {
+        throw new Error(response?.error || response?.message || 'Sync did not succeed');
+      }
+      setApplied(response);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const sections = SECTIONS.map(section => ({
+    ...section,
+    items: getSectionItems(preview, section),
+    count: preview?.stats?.[section.statKey] ?? getSectionItems(preview, section).length
+  }));
+  const totalChanges = sections.reduce((sum, section) => sum + section.count, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-white">🔍 Full Sync Preview</h3>
+          <button
+            onClick={onClose}
+            disabled={isApplying}
+            className="text-gray-400 hover:text-white"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-4">
+          {isLoading ? (
+            <div className="text-center text-gray-400 py-8">
+              <div className="text-4xl mb-2">⏳</div>
+              <div>Running dry run...</div>
+            </div>
+          ) : error ? (
+            <div className="bg-red-900/30 border border-red-700 rounded p-3 text-sm text-red-300">
+              ❌ {error}
+            </div>
+          ) : applied ? (
+            <div className="bg-green-900/20 border border-green-700 rounded p-4 text-sm text-green-300">
+              ✅ Sync applied - {applied.stats?.ordersReconciled ?? 0} orders, {applied.stats?.positionsReconciled ?? 0} positions reconciled, {applied.stats?.signalMappingsRemoved ?? 0} stale mappings cleaned
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-3">
+                {sections.map(section => (
+                  <div key={section.key} className="bg-gray-700 p-3 rounded text-center">
+                    <div className="text-2xl font-bold text-white">{section.count}</div>
+                    <div className="text-xs text-gray-400">{section.icon} {section.title}</div>
+                  </div>
+                ))}
+              </div>
+
+              {totalChanges === 0 ? (
+                <div className="text-center text-green-400 py-4">✅ Already in sync - nothing to reconcile</div>
+              ) : sections.map(section => section.count > 0 && (
+                <div key={section.key}>
+                  <h4 className="text-sm font-medium text-gray-300 mb-2">{section.icon} {section.title}</h4>
+                  {section.items.length > 0 ? (
+                    <div className="space-y-1">
+                      {section.items.map((item, idx) => {
+                        const change = (item.change || item.operation || 'update').toLowerCase();
+                        return (
+                          <div key={idx} className="bg-gray-900 rounded p-2 text-sm">
+                            <div className="flex justify-between items-start gap-2">
+                              <span className="text-white font-mono break-all">{describeItem(item.item || item.after || item.before || item)}</span>
+                              <span className={`text-xs px-2 py-0.5 rounded flex-shrink-0 ${ACTION_STYLES[change] || ACTION_STYLES.update}`}>
+                                {change}
+                              </span>
+                            </div>
+                            {item.reason && <div className="text-xs text-gray-400 mt-1">{item.reason}</div>}
+                            {item.before && item.after && (
+                              <div className="grid grid-cols-2 gap-2 mt-1 text-xs font-mono">
+                                <pre className="text-red-300 whitespace-pre-wrap break-words">- {JSON.stringify(item.before, null, 2)}</pre>
+                                <pre className="text-green-300 whitespace-pre-wrap break-words">+ {JSON.stringify(item.after, null, 2)}</pre>
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <div className="text-xs text-gray-400">The service reported counts only for this section</div>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-4">
+          {error && (
+            <button
+              onClick={runPreview}
+              className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded transition-colors"
+            >
+              Retry Preview
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            disabled={isApplying}
+            className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white py-2 px-4 rounded transition-colors"
+          >
+            Close
+          </button>
+          {preview && !applied && !error && (
+            <button
+              onClick={handleApply}
+              disabled={isApplying}
+              className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-800 text-white py-2 px-4 rounded transition-colors"
+            >
+              {isApplying ? '⏳ Syncing...' : '🔄 Apply Sync'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncPreviewModal;
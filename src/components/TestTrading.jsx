@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { api } from '../services/api';
+import { contractUtils } from '../utils/contracts';
+import { quoteFreshness } from '../utils/quoteFreshness';
+import { STRATEGIES } from '../utils/strategies';
+import { signalSchemas } from '../utils/signalSchemas';
+import { signalOutcomes } from '../utils/signalOutcomes';
+import { getWebhookUrl } from '../utils/tradingViewAlerts';
+import { useNow } from '../hooks/useNow';
+import { usePaperTrading } from '../hooks/usePaperTrading';
+import { useSignalOutcomes } from '../hooks/useSignalOutcomes';
+import FreshnessBadge from './FreshnessBadge';
+import SequenceRunner from './SequenceRunner';
+import ScenarioLibrary from './ScenarioLibrary';
+import PaperTradingPanel from './PaperTradingPanel';
+import PayloadPreview from './PayloadPreview';
+import SignalOutcomeTracker from './SignalOutcomeTracker';
+import TradingViewAlertGenerator from './TradingViewAlertGenerator';
 import { AlertCircle, RefreshCw, Send, Zap, TrendingUp, Target, Info } from 'lucide-react';
 
 // Load saved settings from localStorage (moved outside component)
@@ -59,6 +75,7 @@ const TestTrading = ({ socket }) => {
   // Custom symbol state
   const [useCustomSymbol, setUseCustomSymbol] = useState(false);
   const [customSymbol, setCustomSymbol] = useState('');
+  const [customContract, setCustomContract] = useState({ tickSize: 0.25, pointValue: 1 });
 
   // Points mode state
   const [usePointsMode, setUsePointsMode] = useState(true);
@@ -71,6 +88,7 @@ const TestTrading = ({ socket }) => {
   });
   const [sendingSignal, setSendingSignal] = useState(false);
   const [signalResult, setSignalResult] = useState(null);
+  const [showPayloadPreview, setShowPayloadPreview] = useState(false);
 
   // Webhook sequence and simulation state
   const [webhookEvents, setWebhookEvents] = useState([]);
@@ -87,9 +105,26 @@ const TestTrading = ({ socket }) => {
   // Track last sent price for update_limit old_price
   const [lastSentPrice, setLastSentPrice] = useState(null);
 
+  // Where signals go - the live /webhook or the local paper engine
+  const [destination, setDestination] = useState('live'); // 'live' or 'paper'
+  // Steps read the destination when they run, so it is locked while a sequence plays
+  const [sequenceActive, setSequenceActive] = useState(false);
+  const destinationLocked = sequenceActive && simulationMode === 'sequence';
+  const paper = usePaperTrading(socket);
+  const canSend = destination === 'paper' || !!selectedAccount;
+
+  // Live signals are followed through the pipeline by correlation id - the next id is
+  // created up front so the JSON preview shows exactly what will be posted
+  const outcomes = useSignalOutcomes(socket);
+  const [correlationId, setCorrelationId] = useState(() => signalOutcomes.createCorrelationId());
+
   // Get WebSocket connection status
   const isConnected = socket?.isConnected || socket?.ready || false;
 
+  // Market-derived prices below are only as good as the quote they came from
+  const now = useNow(5000);
+  const quoteFreshnessState = quoteFreshness.getState(marketData[testSignal.symbol]?.timestamp, now);
+
   // Subscribe to market data events using the existing socket
   useEffect(() => {
     if (socket && socket.socket) {
@@ -152,14 +187,14 @@ const TestTrading = ({ socket }) => {
     if (currentPrice && testSignal.price === 0) {
       // Set initial price to market price using the limit offset logic
       const offset = testSignal.side === 'buy' ? -50 : 50;
-      const limitPrice = currentPrice + offset;
+      const limitPrice = contractUtils.roundToTick(currentPrice + offset, testSignal.symbol);
 
       console.log('🔧 Setting initial price:', { currentPrice, offset, limitPrice });
 
       setTestSignal(prev => ({
         ...prev,
-        price: parseFloat(limitPrice.toFixed(2)),
-        old_price: parseFloat(limitPrice.toFixed(2))
+        price: limitPrice,
+        old_price: limitPrice
       }));
 
       // Calculate stop/target if in points mode
@@ -242,6 +277,21 @@ const TestTrading = ({ socket }) => {
     }
   };
 
+  // Register tick size / point value for a symbol the contract registry doesn't know
+  const handleSaveCustomContract = () => {
+    try {
+      contractUtils.registerCustomContract({
+        symbol: customSymbol,
+        tickSize: customContract.tickSize,
+        pointValue: customContract.pointValue
+      });
+      setTestSignal(prev => ({ ...prev, symbol: customSymbol.toUpperCase() }));
+      setCustomSymbol(customSymbol.toUpperCase());
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
   const handlePointsChange = (field, value) => {
     const newPointsConfig = { ...pointsConfig, [field]: value };
     setPointsConfig(newPointsConfig);
@@ -278,9 +328,9 @@ const TestTrading = ({ socket }) => {
 
     setTestSignal(prev => ({
       ...prev,
-      stop_loss: parseFloat(stopLoss.toFixed(2)),
+      stop_loss: contractUtils.roundToTick(stopLoss, symbol),
       // Only set take_profit if targetPoints > 0
-      take_profit: targetPoints > 0 ? parseFloat(takeProfit.toFixed(2)) : 0
+      take_profit: targetPoints > 0 ? contractUtils.roundToTick(takeProfit, symbol) : 0
     }));
   };
 
@@ -328,18 +378,18 @@ const TestTrading = ({ socket }) => {
 
     if (useMarketPrice) {
       // Generate price within 50 points of current market
-      const tickSize = symbol.includes('MNQ') || symbol.includes('NQ') ? 0.25 : 0.25;
+      const tickSize = contractUtils.getTickSize(symbol);
       const maxPoints = 50;
       const maxTicks = maxPoints / tickSize;
       const direction = Math.random() > 0.5 ? 1 : -1;
       const ticks = Math.floor(Math.random() * maxTicks);
-      return parseFloat((currentPrice + (direction * ticks * tickSize)).toFixed(2));
+      return contractUtils.roundToTick(currentPrice + (direction * ticks * tickSize), symbol);
     } else {
       // Fallback to old method if no market data
-      const tickSize = symbol.includes('MNQ') || symbol.includes('NQ') ? 0.25 : 0.25;
+      const tickSize = contractUtils.getTickSize(symbol);
       const maxTicks = Math.floor(Math.random() * 20) + 1;
       const direction = Math.random() > 0.5 ? 1 : -1;
-      return parseFloat((basePrice + (direction * maxTicks * tickSize)).toFixed(2));
+      return contractUtils.roundToTick(basePrice + (direction * maxTicks * tickSize), symbol);
     }
   };
 
@@ -348,7 +398,7 @@ const TestTrading = ({ socket }) => {
     const marketPrice = getCurrentPrice(symbol);
     if (!marketPrice || !currentOrderPrice) return null;
 
-    const tickSize = symbol.includes('MNQ') || symbol.includes('NQ') ? 0.25 : 0.25;
+    const tickSize = contractUtils.getTickSize(symbol);
 
     // Small adjustment from current order price (2-5 points)
     const minPoints = 2;
@@ -369,7 +419,7 @@ const TestTrading = ({ socket }) => {
       newPrice = marketPrice + (5 * tickSize);
     }
 
-    return parseFloat(newPrice.toFixed(2));
+    return contractUtils.roundToTick(newPrice, symbol);
   };
 
   // Set price to market +/- 50 points for limit orders
@@ -379,17 +429,67 @@ const TestTrading = ({ socket }) => {
       // For buy orders: market - 50 (below market to avoid immediate fill)
       // For sell orders: market + 50 (above market to avoid immediate fill)
       const offset = testSignal.side === 'buy' ? -50 : 50;
-      const limitPrice = currentPrice + offset;
+      const limitPrice = contractUtils.roundToTick(currentPrice + offset, testSignal.symbol);
 
-      setTestSignal(prev => ({ ...prev, price: parseFloat(limitPrice.toFixed(2)) }));
+      setTestSignal(prev => ({ ...prev, price: limitPrice }));
       if (usePointsMode) {
         calculateStopAndTarget(limitPrice, testSignal.side, testSignal.symbol, pointsConfig.stopPoints, pointsConfig.targetPoints);
       }
     }
   };
 
+  // Webhook payload for a signal - old_price is only used by update_limit
+  const buildSignalPayload = (signal, oldPrice, signalCorrelationId) => {
+    const payload = {
+      webhook_type: "trading_signal", // Route through trade-orchestrator for position sizing
+      action: signal.action,
+      side: signal.side,
+      symbol: signal.symbol,
+      // Use 'price' for place_limit, 'new_price' for update_limit
+      ...(signal.action === 'update_limit'
+        ? { new_price: signal.price, old_price: oldPrice || signal.price }
+        : { price: signal.price }
+      ),
+      stop_loss: signal.stop_loss,
+      ...(signal.take_profit > 0 && { take_profit: signal.take_profit }),
+      trailing_trigger: signal.trailing_trigger,
+      trailing_offset: signal.trailing_offset,
+      quantity: signal.quantity,
+      strategy: signal.strategy === 'Custom' ? signal.customStrategy : signal.strategy,
+      account: selectedAccount?.id,
+      timestamp: new Date().toISOString(),
+      source: 'test-interface',
+      ...(signalCorrelationId && { correlation_id: signalCorrelationId })
+    };
+
+    // Stops and trailing settings only mean something on orders - drop what the action's schema doesn't allow
+    const schema = signalSchemas.getSchema(payload.action, payload.strategy);
+    return schema ? Object.fromEntries(Object.entries(payload).filter(([field]) => schema.allowed.has(field))) : payload;
+  };
+
+  const postWebhook = async (signalData) => {
+    // Paper mode runs the payload through the local engine instead
+    if (destination === 'paper') {
+      const result = paper.submit(signalData);
+      if (!result.success) throw new Error(result.message);
+      return { data: result };
+    }
+
+    outcomes.track(signalData);
+    try {
+      const response = await axios.post(getWebhookUrl(), signalData, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+      outcomes.recordResponse(signalData.correlation_id, { success: true, data: response.data });
+      return response;
+    } catch (error) {
+      outcomes.recordResponse(signalData.correlation_id, { success: false, error: error.response?.data?.error || error.message });
+      throw error;
+    }
+  };
+
   const handleSendSignal = async () => {
-    if (!selectedAccount) {
+    if (!canSend) {
       setError('No account selected');
       return;
     }
@@ -399,31 +499,13 @@ const TestTrading = ({ socket }) => {
     setError(null);
 
     try {
-      const signalData = {
-        webhook_type: "trading_signal", // Route through trade-orchestrator for position sizing
-        action: testSignal.action,
-        side: testSignal.side,
-        symbol: testSignal.symbol,
-        // Use 'price' for place_limit, 'new_price' for update_limit
-        ...(testSignal.action === 'update_limit'
-          ? { new_price: testSignal.price, old_price: lastSentPrice || testSignal.price }
-          : { price: testSignal.price }
-        ),
-        stop_loss: testSignal.stop_loss,
-        ...(testSignal.take_profit > 0 && { take_profit: testSignal.take_profit }),
-        trailing_trigger: testSignal.trailing_trigger,
-        trailing_offset: testSignal.trailing_offset,
-        quantity: testSignal.quantity,
-        strategy: testSignal.strategy === 'Custom' ? testSignal.customStrategy : testSignal.strategy,
-        account: selectedAccount.id,
-        timestamp: new Date().toISOString(),
-        source: 'test-interface'
-      };
-
-      const monitoringServiceUrl = process.env.REACT_APP_API_URL || 'http://localhost:3014';
-      const response = await axios.post(`${monitoringServiceUrl}/webhook`, signalData, {
-        headers: { 'Content-Type': 'application/json' }
-      });
+      const signalData = buildSignalPayload(testSignal, lastSentPrice, correlationId);
+      setCorrelationId(signalOutcomes.createCorrelationId());
+      const validation = signalSchemas.validate(signalData);
+      if (!validation.valid) {
+        throw new Error(validation.errors.map(issue => issue.message).join('; '));
+      }
+      const response = await postWebhook(signalData);
 
       // Store the last sent price for future update_limit old_price
       setLastSentPrice(testSignal.price);
@@ -468,6 +550,64 @@ const TestTrading = ({ socket }) => {
     }
   };
 
+  // Post one sequence step - steps only carry what changes, the form supplies the rest
+  const runSequenceStep = async (step) => {
+    const signal = { ...testSignal, ...step };
+    const eventFields = {
+      action: signal.action,
+      side: signal.side,
+      symbol: signal.symbol,
+      price: signal.price,
+      strategy: signal.strategy
+    };
+
+    try {
+      const signalData = buildSignalPayload(signal, step.old_price, signalOutcomes.createCorrelationId());
+      const validation = signalSchemas.validate(signalData);
+      if (!validation.valid) {
+        throw new Error(validation.errors.map(issue => issue.message).join('; '));
+      }
+      const response = await postWebhook(signalData);
+      setLastSentPrice(signal.price);
+      addWebhookEvent({ type: 'webhook_sent', ...eventFields, status: 'success' });
+      return { success: true, data: response.data, timestamp: new Date().toISOString() };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      addWebhookEvent({ type: 'webhook_error', ...eventFields, status: 'error', error: message });
+      return { success: false, error: message, data: error.response?.data, timestamp: new Date().toISOString() };
+    }
+  };
+
+  const handleGenerateSequence = () => {
+    setCurrentSequence(generateLSEMASequence());
+    setSequenceIndex(0);
+  };
+
+  // Single scenarios fill the form, multi-step ones go to the sequence runner
+  const handleLoadScenario = (scenario, steps) => {
+    if (scenario.type === 'single') {
+      const [step] = steps;
+      const isKnownStrategy = STRATEGIES.some(strategy => strategy.id === step.strategy);
+      setTestSignal(prev => ({
+        ...prev,
+        action: step.action,
+        side: step.side,
+        symbol: step.symbol,
+        price: step.price,
+        stop_loss: step.stop_loss,
+        take_profit: step.take_profit,
+        quantity: step.quantity,
+        strategy: isKnownStrategy ? step.strategy : 'Custom',
+        customStrategy: isKnownStrategy ? prev.customStrategy : step.strategy
+      }));
+      setSimulationMode('single');
+    } else {
+      setCurrentSequence(steps);
+      setSequenceIndex(0);
+      setSimulationMode('sequence');
+    }
+  };
+
   // Generate an update_limit sequence for LS EMA simulation
   const generateLSEMASequence = () => {
     const basePrice = testSignal.price;
@@ -510,6 +650,22 @@ const TestTrading = ({ socket }) => {
     setWebhookEvents([]);
   };
 
+  // Exactly what Send would post, checked against the action and strategy schemas
+  const previewPayload = buildSignalPayload(testSignal, lastSentPrice, correlationId);
+  const payloadValidation = signalSchemas.validate(previewPayload);
+  const payloadIssues = signalSchemas.byField(payloadValidation);
+
+  // Inline schema issue for a form field - the first payload field with an issue wins
+  const renderFieldIssue = (...fields) => {
+    const issue = fields.map(field => payloadIssues[field]).find(Boolean);
+    if (!issue) return null;
+    return (
+      <p className={`text-xs mt-1 ${issue.level === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>
+        {issue.level === 'error' ? '✕' : '⚠️'} {issue.message}
+      </p>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gray-900 text-white p-6 space-y-6">
       <div className="max-w-4xl mx-auto">
@@ -686,6 +842,37 @@ const TestTrading = ({ socket }) => {
                   className="w-full bg-gray-600 border border-gray-500 text-white px-3 py-2 rounded text-sm"
                 />
               )}
+              {useCustomSymbol && customSymbol && !contractUtils.getSpec(customSymbol) && (
+                <div className="mt-2 flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className="block text-xs text-gray-400 mb-1">Tick size</label>
+                    <input
+                      type="number"
+                      value={customContract.tickSize}
+                      onChange={(e) => setCustomContract(prev => ({ ...prev, tickSize: parseFloat(e.target.value) || 0 }))}
+                      className="w-full bg-gray-600 border border-gray-500 text-white px-2 py-1 rounded text-sm"
+                      step="0.01"
+                    />
+                  </div>
+                  <div className="flex-1">
+                    <label className="block text-xs text-gray-400 mb-1">$ / point</label>
+                    <input
+                      type="number"
+                      value={customContract.pointValue}
+                      onChange={(e) => setCustomContract(prev => ({ ...prev, pointValue: parseFloat(e.target.value) || 0 }))}
+                      className="w-full bg-gray-600 border border-gray-500 text-white px-2 py-1 rounded text-sm"
+                      step="0.5"
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleSaveCustomContract}
+                    className="bg-blue-600 hover:bg-blue-700 text-white text-xs px-2 py-1.5 rounded"
+                  >
+                    Save spec
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Quantity */}
@@ -699,6 +886,7 @@ const TestTrading = ({ socket }) => {
                 min="1"
                 max="10"
               />
+              {renderFieldIssue('quantity')}
             </div>
 
             {/* Price - Hide for position_closed */}
@@ -707,8 +895,9 @@ const TestTrading = ({ socket }) => {
                 <label className="block text-sm font-medium text-gray-300 mb-1 flex items-center justify-between">
                   <span>{testSignal.action === 'update_limit' ? 'New Price' : 'Price'}</span>
                   {getCurrentPrice(testSignal.symbol) && (
-                    <span className="text-xs text-blue-400">
+                    <span className="text-xs text-blue-400 flex items-center gap-1">
                       Market: {getCurrentPrice(testSignal.symbol)?.toFixed(2)}
+                      <FreshnessBadge timestamp={marketData[testSignal.symbol]?.timestamp} compact />
                     </span>
                   )}
                 </label>
@@ -722,7 +911,7 @@ const TestTrading = ({ socket }) => {
                         ? 'border-gray-600'
                         : 'border-yellow-500 border-2'
                     }`}
-                    step="0.25"
+                    step={contractUtils.getTickSize(testSignal.symbol)}
                   />
                   <button
                     type="button"
@@ -734,11 +923,18 @@ const TestTrading = ({ socket }) => {
                     {testSignal.side === 'buy' ? 'M-50' : 'M+50'}
                   </button>
                 </div>
+                {renderFieldIssue('price', 'new_price')}
                 {!isPriceRealistic(testSignal.price, testSignal.symbol) && getCurrentPrice(testSignal.symbol) && (
                   <p className="text-xs text-yellow-400 mt-1">
                     ⚠️ Price is {Math.abs(testSignal.price - getCurrentPrice(testSignal.symbol)).toFixed(0)} points from market
                   </p>
                 )}
+                {getCurrentPrice(testSignal.symbol) && !quoteFreshnessState.isReliable && (
+                  <p className="text-xs text-yellow-400 mt-1">
+                    ⚠️ Market price is {quoteFreshnessState.label.toLowerCase()}
+                    {quoteFreshnessState.ageMs !== null && ` (${quoteFreshness.formatAge(quoteFreshnessState.ageMs)})`} - M±50 and the 200 point check may be off
+                  </p>
+                )}
                 {!isConnected && (
                   <p className="text-xs text-gray-500 mt-1">
                     📡 {socket ? 'Connecting to market data...' : 'No market data connection'}
@@ -757,6 +953,7 @@ const TestTrading = ({ socket }) => {
                 <p className="text-xs text-blue-400 mt-1">
                   📋 Uses last successfully sent price automatically
                 </p>
+                {renderFieldIssue('old_price')}
               </div>
             )}
 
@@ -768,11 +965,9 @@ const TestTrading = ({ socket }) => {
                 onChange={(e) => handleInputChange('strategy', e.target.value)}
                 className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
               >
-                <option value="LS_EMA">LS EMA Strategy</option>
-                <option value="LDPS">LDPS Trader</option>
-                <option value="LDPM">LDPM Strategy</option>
-                <option value="LS_Scalper">LS Scalper</option>
-                <option value="AI_Algo">AI Algo Trailing Stop</option>
+                {STRATEGIES.map(strategy => (
+                  <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                ))}
                 <option value="Custom">Custom Strategy</option>
               </select>
               {testSignal.strategy === 'Custom' && (
@@ -784,6 +979,7 @@ const TestTrading = ({ socket }) => {
                   className="w-full bg-gray-600 border border-gray-500 text-white px-3 py-2 rounded text-sm mt-2"
                 />
               )}
+              {renderFieldIssue('strategy')}
             </div>
 
             {/* Order-specific fields - Hide for position_closed and cancel_limit */}
@@ -804,13 +1000,14 @@ const TestTrading = ({ socket }) => {
                         ? 'bg-gray-600 border-gray-500 text-gray-300 cursor-not-allowed'
                         : 'bg-gray-700 border-gray-600'
                     }`}
-                    step="0.25"
+                    step={contractUtils.getTickSize(testSignal.symbol)}
                   />
                   {usePointsMode && (
                     <p className="text-xs text-green-400 mt-1">
                       📉 {pointsConfig.stopPoints} points = {testSignal.stop_loss?.toFixed(2)}
                     </p>
                   )}
+                  {renderFieldIssue('stop_loss')}
                 </div>
 
                 {/* Take Profit */}
@@ -828,7 +1025,7 @@ const TestTrading = ({ socket }) => {
                         ? 'bg-gray-600 border-gray-500 text-gray-300 cursor-not-allowed'
                         : 'bg-gray-700 border-gray-600'
                     }`}
-                    step="0.25"
+                    step={contractUtils.getTickSize(testSignal.symbol)}
                   />
                   {usePointsMode && (
                     <p className="text-xs text-green-400 mt-1">
@@ -838,6 +1035,7 @@ const TestTrading = ({ socket }) => {
                       }
                     </p>
                   )}
+                  {renderFieldIssue('take_profit')}
                 </div>
 
                 {/* Trailing Trigger */}
@@ -850,6 +1048,7 @@ const TestTrading = ({ socket }) => {
                     className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
                     step="1"
                   />
+                  {renderFieldIssue('trailing_trigger')}
                 </div>
 
                 {/* Trailing Offset */}
@@ -862,22 +1061,98 @@ const TestTrading = ({ socket }) => {
                     className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
                     step="1"
                   />
+                  {renderFieldIssue('trailing_offset')}
                 </div>
               </>
             )}
           </div>
 
-          {/* Send Signal Button */}
-          <div className="mt-6 flex justify-center">
-            <button
-              onClick={handleSendSignal}
-              disabled={sendingSignal || !selectedAccount}
-              className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-8 py-3 rounded-lg flex items-center space-x-2 text-lg font-semibold transition-colors"
-            >
-              <Send className={`w-5 h-5 ${sendingSignal ? 'animate-pulse' : ''}`} />
-              <span>{sendingSignal ? 'Sending...' : 'Send Test Signal'}</span>
-            </button>
+          {/* Destination - live webhook or local paper engine */}
+          <div className="mt-6 flex justify-center space-x-2">
+            {[['live', '📡 Live Webhook'], ['paper', '🧪 Paper']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setDestination(value)}
+                disabled={destinationLocked}
+                title={destinationLocked ? 'Pause the sequence to change destination' : undefined}
+                className={`px-4 py-1 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  destination === value
+                    ? (value === 'paper' ? 'bg-teal-600 text-white' : 'bg-blue-600 text-white')
+                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
+
+          {/* Single signal or sequence playback */}
+          <div className="mt-2 flex justify-center space-x-2">
+            {['single', 'sequence'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => setSimulationMode(mode)}
+                className={`px-4 py-1 rounded text-sm transition-colors ${
+                  simulationMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {mode === 'single' ? 'Single Signal' : 'Sequence'}
+              </button>
+            ))}
+          </div>
+
+          {simulationMode === 'single' ? (
+            <>
+              {/* Payload preview and schema check */}
+              <div className="mt-4">
+                <div className="flex items-center justify-between text-sm">
+                  <span className={payloadValidation.valid ? 'text-green-400' : 'text-red-400'}>
+                    {payloadValidation.valid
+                      ? `✓ Payload matches the ${testSignal.action} schema${payloadValidation.warnings.length > 0 ? ` (${payloadValidation.warnings.length} warning${payloadValidation.warnings.length !== 1 ? 's' : ''})` : ''}`
+                      : `✕ ${payloadValidation.errors.length} schema error${payloadValidation.errors.length !== 1 ? 's' : ''} - fix before sending`}
+                  </span>
+                  <button
+                    onClick={() => setShowPayloadPreview(!showPayloadPreview)}
+                    className="text-blue-400 hover:text-blue-300"
+                  >
+                    {showPayloadPreview ? '▲ Hide JSON' : '{ } Preview JSON'}
+                  </button>
+                </div>
+                {showPayloadPreview && (
+                  <div className="mt-2 bg-gray-900 border border-gray-600 rounded p-3 max-h-80 overflow-auto">
+                    <PayloadPreview payload={previewPayload} validation={payloadValidation} />
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-4 flex justify-center">
+                <button
+                  onClick={handleSendSignal}
+                  disabled={sendingSignal || !canSend || !payloadValidation.valid}
+                  className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-8 py-3 rounded-lg flex items-center space-x-2 text-lg font-semibold transition-colors"
+                >
+                  <Send className={`w-5 h-5 ${sendingSignal ? 'animate-pulse' : ''}`} />
+                  <span>{sendingSignal ? 'Sending...' : destination === 'paper' ? 'Send to Paper' : 'Send Test Signal'}</span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="mt-4 bg-gray-900 border border-gray-600 rounded-lg p-4">
+              <SequenceRunner
+                sequence={currentSequence}
+                index={sequenceIndex}
+                onIndexChange={setSequenceIndex}
+                autoProgress={autoProgress}
+                onAutoProgressChange={setAutoProgress}
+                delay={sequenceDelay}
+                onDelayChange={setSequenceDelay}
+                onRunStep={runSequenceStep}
+                onGenerate={handleGenerateSequence}
+                onActiveChange={setSequenceActive}
+                disabled={!canSend}
+              />
+            </div>
+          )}
         </div>
 
         {/* Signal Result */}
@@ -913,6 +1188,12 @@ const TestTrading = ({ socket }) => {
           </div>
         )}
 
+        {/* Pipeline outcomes for live test signals */}
+        <SignalOutcomeTracker tracked={outcomes.tracked} onClear={outcomes.clear} />
+
+        {/* Paper Trading */}
+        {destination === 'paper' && <PaperTradingPanel paper={paper} socket={socket} />}
+
         {/* Live Webhook Event Feed */}
         {webhookEvents.length > 0 && (
           <div className="bg-gray-800 rounded-lg shadow p-6">
@@ -991,6 +1272,20 @@ const TestTrading = ({ socket }) => {
           </div>
         )}
 
+        {/* Saved Scenarios */}
+        <ScenarioLibrary
+          currentSignal={testSignal}
+          currentSequence={currentSequence}
+          getMarketPrice={getCurrentPrice}
+          usePointsMode={usePointsMode}
+          pointsConfig={pointsConfig}
+          sequenceDelay={sequenceDelay}
+          onLoad={handleLoadScenario}
+        />
+
+        {/* TradingView Alert Messages */}
+        <TradingViewAlertGenerator signal={testSignal} />
+
         {/* Webhook Sequence Builder */}
         <div className="bg-gray-800 rounded-lg shadow p-6">
           <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
@@ -1095,8 +1390,9 @@ const TestTrading = ({ socket }) => {
                 {/* Market Data Display */}
                 <div className="bg-gray-900 border border-gray-600 rounded-lg p-4">
                   <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm font-medium text-gray-300">
+                    <span className="text-sm font-medium text-gray-300 flex items-center gap-2">
                       {testSignal.symbol} Quote
+                      {marketData[testSignal.symbol] && <FreshnessBadge timestamp={marketData[testSignal.symbol].timestamp} />}
                     </span>
                     <div className={`flex items-center space-x-2 text-xs ${
                       isConnected ? 'text-green-400' : 'text-red-400'
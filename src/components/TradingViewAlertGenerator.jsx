@@ -0,0 +1,262 @@
+import React, { useState } from 'react';
+import { STRATEGIES } from '../utils/strategies';
+import { SIGNAL_ACTIONS } from '../utils/signalSchemas';
+import { tradingViewAlerts, getWebhookUrl, TV_PLACEHOLDERS } from '../utils/tradingViewAlerts';
+import PayloadPreview from './PayloadPreview';
+
+const SIDE_OPTIONS = [
+  { value: 'buy', label: 'Buy' },
+  { value: 'sell', label: 'Sell' },
+  { value: 'strategy', label: 'From strategy order' }
+];
+
+/**
+ * Ready-to-paste TradingView alert messages for each strategy and action
+ * A pasted alert can be checked against the signal schemas with sample placeholder values
+ */
+const TradingViewAlertGenerator = ({ signal }) => {
+  const [options, setOptions] = useState(() => ({
+    strategy: STRATEGIES.some(strategy => strategy.id === signal?.strategy) ? signal.strategy : STRATEGIES[0].id,
+    action: 'place_limit',
+    side: signal?.side || 'buy',
+    quantity: signal?.quantity || 1,
+    trailingTrigger: signal?.trailing_trigger || 0,
+    trailingOffset: signal?.trailing_offset || 0,
+    includeTarget: false
+  }));
+  const [pasted, setPasted] = useState('');
+  const [sampleClose, setSampleClose] = useState(TV_PLACEHOLDERS.close.sample);
+  const [checkResult, setCheckResult] = useState(null);
+
+  let message = '';
+  let generateError = null;
+  try {
+    message = tradingViewAlerts.generate(options);
+  } catch (error) {
+    generateError = error.message;
+  }
+  const issues = tradingViewAlerts.getIssues(options);
+
+  const updateOption = (field, value) => {
+    setOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  const copyToClipboard = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      alert(`${label} copied to clipboard!`);
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+      alert(`Failed to copy ${label.toLowerCase()}: ${error.message}`);
+    }
+  };
+
+  const handleCheck = (text = pasted) => {
+    if (!text.trim()) return;
+    setPasted(text);
+    setCheckResult(tradingViewAlerts.parse(text, { close: parseFloat(sampleClose) || TV_PLACEHOLDERS.close.sample }));
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+        📺 TradingView Alert Messages
+      </h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Generator */}
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Strategy</label>
+              <select
+                value={options.strategy}
+                onChange={(e) => updateOption('strategy', e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              >
+                {STRATEGIES.map(strategy => (
+                  <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Action</label>
+              <select
+                value={options.action}
+                onChange={(e) => updateOption('action', e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              >
+                {SIGNAL_ACTIONS.map(action => (
+                  <option key={action} value={action}>{action}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Side</label>
+              <select
+                value={options.side}
+                onChange={(e) => updateOption('side', e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              >
+                {SIDE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Quantity</label>
+              <input
+                type="number"
+                min="1"
+                value={options.quantity}
+                disabled={options.side === 'strategy'}
+                onChange={(e) => updateOption('quantity', parseInt(e.target.value) || 1)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded disabled:opacity-50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Trailing Trigger (pts)</label>
+              <input
+                type="number"
+                min="0"
+                value={options.trailingTrigger}
+                onChange={(e) => updateOption('trailingTrigger', parseFloat(e.target.value) || 0)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Trailing Offset (pts)</label>
+              <input
+                type="number"
+                min="0"
+                value={options.trailingOffset}
+                onChange={(e) => updateOption('trailingOffset', parseFloat(e.target.value) || 0)}
+                className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={options.includeTarget}
+              onChange={(e) => updateOption('includeTarget', e.target.checked)}
+              className="mr-2"
+            />
+            Include take profit from the "Take Profit" plot
+          </label>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-sm font-medium text-gray-300">Webhook URL</label>
+              <button
+                onClick={() => copyToClipboard(getWebhookUrl(), 'Webhook URL')}
+                className="text-xs text-blue-400 hover:text-blue-300"
+              >
+                Copy
+              </button>
+            </div>
+            <div className="bg-gray-900 rounded px-3 py-2 text-sm font-mono text-gray-200 break-all">{getWebhookUrl()}</div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-sm font-medium text-gray-300">Alert Message</label>
+              <div className="space-x-3">
+                <button
+                  onClick={() => handleCheck(message)}
+                  disabled={!message}
+                  className="text-xs text-green-400 hover:text-green-300 disabled:opacity-50"
+                >
+                  Check
+                </button>
+                <button
+                  onClick={() => copyToClipboard(message, 'Alert message')}
+                  disabled={!message}
+                  className="text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                >
+                  Copy
+                </button>
+              </div>
+            </div>
+            {generateError ? (
+              <div className="text-sm text-red-400">{generateError}</div>
+            ) : (
+              <textarea
+                readOnly
+                value={message}
+                rows={Math.min(message.split('\n').length, 18)}
+                className="w-full bg-gray-900 border border-gray-700 text-green-300 px-3 py-2 rounded text-xs font-mono"
+              />
+            )}
+            {issues.map(issue => (
+              <div key={issue} className="text-xs text-red-400 mt-1">❌ {issue}</div>
+            ))}
+            <p className="text-xs text-gray-400 mt-1">
+              Stop and target levels are read from plots named "Stop Loss" and "Take Profit"
+              {options.action === 'update_limit' ? ', the previous limit from "Old Price"' : ''}.
+              {options.side === 'strategy' ? ' Side and quantity come from the strategy order.' : ''}
+            </p>
+          </div>
+        </div>
+
+        {/* Round-trip check */}
+        <div className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Paste an alert message</label>
+            <textarea
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              rows={10}
+              placeholder='{"action": "place_limit", "symbol": "{{ticker}}", "price": {{close}}, ...}'
+              className="w-full bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded text-xs font-mono"
+            />
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Sample {'{{close}}'}</label>
+              <input
+                type="number"
+                step="0.25"
+                value={sampleClose}
+                onChange={(e) => setSampleClose(e.target.value)}
+                className="w-32 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded"
+              />
+            </div>
+            <button
+              onClick={() => handleCheck()}
+              disabled={!pasted.trim()}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded text-sm"
+            >
+              Check Alert
+            </button>
+          </div>
+
+          {checkResult && (
+            <div className="bg-gray-900 rounded p-3 space-y-2">
+              {checkResult.error ? (
+                <div className="text-sm text-red-400">❌ {checkResult.error}</div>
+              ) : (
+                <>
+                  <div className={`text-sm ${checkResult.validation.valid ? 'text-green-400' : 'text-red-400'}`}>
+                    {checkResult.validation.valid
+                      ? '✅ Parses into a valid signal'
+                      : `❌ ${checkResult.validation.errors.length} schema error${checkResult.validation.errors.length !== 1 ? 's' : ''}`}
+                  </div>
+                  <PayloadPreview payload={checkResult.payload} validation={checkResult.validation} />
+                </>
+              )}
+              {checkResult.unresolved.length > 0 && (
+                <div className="text-xs text-yellow-300">
+                  ⚠️ Unknown placeholders left as-is: {checkResult.unresolved.join(', ')}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TradingViewAlertGenerator;
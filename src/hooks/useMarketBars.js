@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { contractUtils } from '../utils/contracts';
+
+/**
+ * Build OHLC bars per base symbol from market_data updates
+ * market_data carries the latest price snapshot, so each update is folded into the current bar
+ */
+export const useMarketBars = (socket, { intervalMs = 60000, maxBars = 120 } = {}) => {
+  const [barsBySymbol, setBarsBySymbol] = useState({});
+
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+
+    const handleMarketData = (data) => {
+      const price = data.close;
+      if (price === undefined || price === null || isNaN(price)) return;
+
+      const symbol = contractUtils.getBaseSymbol(data.baseSymbol || data.symbol);
+      const time = new Date(data.timestamp || Date.now()).getTime();
+      const bucket = Math.floor(time / intervalMs) * intervalMs;
+
+      setBarsBySymbol(prev => {
+        const bars = prev[symbol] || [];
+        const last = bars[bars.length - 1];
+
+        // Late updates for an older bucket are dropped
+        if (last && bucket < last.time) return prev;
+
+        const updated = last && last.time === bucket
+          ? [...bars.slice(0, -1), {
+            ...last,
+            high: Math.max(last.high, price),
+            low: Math.min(last.low, price),
+            close: price
+          }]
+          : [...bars, { time: bucket, open: price, high: price, low: price, close: price }].slice(-maxBars);
+
+        return { ...prev, [symbol]: updated };
+      });
+    };
+
+    return socket.subscribe('market_data', handleMarketData);
+  }, [socket, intervalMs, maxBars]);
+
+  return barsBySymbol;
+};
+
+export default useMarketBars;
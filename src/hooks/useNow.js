@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Current time, refreshed on an interval - for countdowns and clocks
+ */
+export const useNow = (intervalMs = 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(interval);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
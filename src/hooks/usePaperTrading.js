@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react';
+import { paperTrading } from '../utils/paperTrading';
+
+const STORAGE_KEY = 'slingshot_paper_trading';
+
+const loadState = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) return { ...paperTrading.createState(), ...JSON.parse(saved) };
+  } catch (e) {
+    console.log('Failed to parse paper trading state:', e);
+  }
+  return paperTrading.createState();
+};
+
+/**
+ * Paper-trading account driven by the live market_data stream
+ * submit(payload) takes the same webhook payload TestTrading posts and returns { success, message }
+ */
+export const usePaperTrading = (socket) => {
+  const [state, setState] = useState(loadState);
+  // Actions need the latest state synchronously to return their result
+  const stateRef = useRef(state);
+
+  const commit = (next) => {
+    stateRef.current = next;
+    setState(next);
+  };
+
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+    return socket.subscribe('market_data', (data) => {
+      commit(paperTrading.applyTick(stateRef.current, {
+        symbol: data.baseSymbol || data.symbol,
+        price: data.close,
+        timestamp: data.timestamp || Date.now()
+      }));
+    });
+  }, [socket]);
+
+  // Prices are dropped on save - they are stale by the next session
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, prices: {} }));
+    } catch (e) {
+      console.error('Failed to save paper trading state:', e);
+    }
+  }, [state]);
+
+  const submit = (payload) => {
+    const { state: next, result } = paperTrading.submit(stateRef.current, payload);
+    commit(next);
+    return result;
+  };
+
+  const cancelOrder = (orderId) => commit(paperTrading.cancelOrder(stateRef.current, orderId));
+
+  const modifyOrder = (orderId, price) => commit(paperTrading.modifyOrder(stateRef.current, orderId, price));
+
+  const flatten = (positionId) => commit(paperTrading.closePosition(stateRef.current, positionId, 'manual'));
+
+  const reset = () => commit({ ...paperTrading.createState(), prices: stateRef.current.prices });
+
+  return {
+    orders: state.orders,
+    positions: state.positions,
+    trades: state.trades,
+    log: state.log,
+    stats: paperTrading.getStats(state),
+    getPrice: (symbol) => paperTrading.getPrice(state, symbol),
+    submit,
+    cancelOrder,
+    modifyOrder,
+    flatten,
+    reset
+  };
+};
+
+export default usePaperTrading;
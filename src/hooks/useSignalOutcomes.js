@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { signalOutcomes } from '../utils/signalOutcomes';
+
+// position_update is left out - an open position updates constantly and says nothing about a new order
+const OUTCOME_EVENTS = ['webhook_received', 'webhook_blocked', 'order_placed', 'order_update'];
+
+/**
+ * Follow test signals through the pipeline by correlation id
+ * track(payload) before posting, recordResponse(correlationId, result) once /webhook answers
+ */
+export const useSignalOutcomes = (socket, { maxTracked = 20 } = {}) => {
+  const [tracked, setTracked] = useState([]);
+
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+
+    const handleEvent = (type) => (data) => {
+      setTracked(prev => {
+        // Newest first - an event without a correlation id belongs to the latest matching signal
+        const index = prev.findIndex(item => signalOutcomes.matches(item, type, data));
+        if (index === -1) return prev;
+        const updated = [...prev];
+        updated[index] = signalOutcomes.applyEvent(prev[index], type, data);
+        return updated;
+      });
+    };
+
+    const unsubscribers = OUTCOME_EVENTS.map(type => socket.subscribe(type, handleEvent(type)));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [socket]);
+
+  const track = (payload) => {
+    setTracked(prev => [signalOutcomes.create(payload), ...prev].slice(0, maxTracked));
+  };
+
+  const recordResponse = (correlationId, result) => {
+    setTracked(prev => prev.map(item =>
+      item.correlationId === correlationId ? signalOutcomes.applyResponse(item, result) : item
+    ));
+  };
+
+  return {
+    tracked,
+    track,
+    recordResponse,
+    clear: () => setTracked([])
+  };
+};
+
+export default useSignalOutcomes;
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { signalMetrics } from '../utils/signalMetrics';
+
+/**
+ * Follow signals from webhook_received through order_placed and order_update
+ * and record when each pipeline stage happened
+ */
+export const useSignalPipeline = (socket, { maxRecords = 200 } = {}) => {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    if (!socket || typeof socket.subscribe !== 'function') return;
+
+    const handleWebhookReceived = (data) => {
+      // Blocked signals never reach the broker
+      if (data.result?.blocked || data.result?.killSwitchActive) return;
+      setRecords(prev => [...prev, signalMetrics.fromWebhook(data)].slice(-maxRecords));
+    };
+
+    const handleOrderEvent = (type) => (data) => {
+      setRecords(prev => {
+        const index = signalMetrics.findRecord(prev, data);
+        if (index === -1) return prev;
+        const updated = [...prev];
+        updated[index] = signalMetrics.applyOrderEvent(prev[index], type, data);
+        return updated;
+      });
+    };
+
+    const unsubscribers = [
+      socket.subscribe('webhook_received', handleWebhookReceived),
+      socket.subscribe('order_placed', handleOrderEvent('order_placed')),
+      socket.subscribe('order_update', handleOrderEvent('order_update'))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [socket, maxRecords]);
+
+  return {
+    records,
+    summary: signalMetrics.summarize(records),
+    clear: () => setRecords([])
+  };
+};
+
+export default useSignalPipeline;
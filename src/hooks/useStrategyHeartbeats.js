@@ -0,0 +1,64 @@
+import { useState, useEffect, useMemo } from 'react';
+import { api } from '../services/api';
+import { useNow } from './useNow';
+import { heartbeatUtils } from '../utils/heartbeat';
+import { strategyUtils, STRATEGIES } from '../utils/strategies';
+
+/**
+ * Per-strategy "last heard from" tracking with silent-strategy alerts
+ * signals: the live signal stream (signal_received plus the loaded history)
+ */
+export const useStrategyHeartbeats = (signals = []) => {
+  const [windows, setWindows] = useState(() => heartbeatUtils.getWindows());
+  const [serverLastSignals, setServerLastSignals] = useState({});
+  const [since] = useState(() => new Date());
+  const now = useNow(60000);
+
+  // The loaded signal history is short - ask the server for each monitored strategy's latest signal
+  const monitoredKey = Object.keys(windows).sort().join(',');
+  useEffect(() => {
+    let cancelled = false;
+    const loadLastSignals = async () => {
+      const results = await Promise.all(monitoredKey.split(',').filter(Boolean).map(async (id) => {
+        try {
+          const response = await api.getSignals(1, { strategy: id });
+          const signals = Array.isArray(response) ? response : response?.signals || [];
+          return [id, strategyUtils.deriveStats(id, { signals }).lastSignalAt];
+        } catch (error) {
+          console.log(`Last signal for ${id} not available:`, error.message);
+          return [id, null];
+        }
+      }));
+      if (!cancelled) {
+        setServerLastSignals(Object.fromEntries(results.filter(([, lastSignalAt]) => lastSignalAt)));
+      }
+    };
+    loadLastSignals();
+    return () => { cancelled = true; };
+  }, [monitoredKey]);
+
+  // Open-market durations are not free to compute - only redo them when inputs change
+  const heartbeats = useMemo(() => {
+    const ids = [...new Set([...STRATEGIES.map(strategy => strategy.id), ...Object.keys(windows)])];
+    return Object.fromEntries(ids.map(id => {
+      const fromSignals = strategyUtils.deriveStats(id, { signals }).lastSignalAt;
+      const fromServer = serverLastSignals[id];
+      const lastSignalAt = [fromSignals, fromServer].filter(Boolean)
+        .sort((a, b) => new Date(b) - new Date(a))[0];
+
+      return [id, heartbeatUtils.check(id, { lastSignalAt, windowMinutes: windows[id], since, now })];
+    }));
+  }, [signals, serverLastSignals, windows, since, now]);
+
+  const setWindow = (strategyId, minutes) => {
+    setWindows(heartbeatUtils.setWindow(strategyId, minutes));
+  };
+
+  return {
+    heartbeats,
+    silent: Object.values(heartbeats).filter(heartbeat => heartbeat.isSilent),
+    setWindow
+  };
+};
+
+export default useStrategyHeartbeats;
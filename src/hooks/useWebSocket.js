@@ -184,6 +184,10 @@ export const useWebSocket = (url, options = {}) => {
     return emit('subscribe_quote', symbol);
   };
 
+  const unsubscribeFromQuote = (symbol) => {
+    return emit('unsubscribe_quote', symbol);
+  };
+
   // Send ping to check connection
   const ping = () => {
     if (isConnected) {
@@ -212,6 +216,7 @@ export const useWebSocket = (url, options = {}) => {
     unsubscribe,
     subscribeToAccount,
     subscribeToQuote,
+    unsubscribeFromQuote,
     ping,
 
     // Helper methods for common operations
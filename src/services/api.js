@@ -1,4 +1,12 @@
 import axios from 'axios';
+import { contractUtils } from '../utils/contracts';
+import { positionSizingUtils, DEFAULT_SIZING_SETTINGS } from '../utils/positionSizing';
+import { marginUtils, DEFAULT_MARGIN_CONFIG } from '../utils/margins';
+import { killSwitchUtils } from '../utils/killSwitch';
+import { tradingSession } from '../utils/tradingSession';
+import { watchlistUtils } from '../utils/watchlist';
+import { strategyUtils } from '../utils/strategies';
+import { signalLifecycle } from '../utils/signalLifecycle';
 
 // Create axios instance with base configuration
 const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:3014';
@@ -105,6 +113,12 @@ export const api = {
     return await apiClient.get(`/api/accounts/${accountId}`);
   },
 
+  // Intraday P&L samples (and fills) for a trade date, oldest first
+  async getPnLHistory(accountId, tradeDate = null) {
+    const query = tradeDate ? `?tradeDate=${tradeDate}` : '';
+    return await apiClient.get(`/api/accounts/${accountId}/pnl-history${query}`);
+  },
+
   async getAllAccountsOverview() {
     return await apiClient.get('/api/accounts');
   },
@@ -237,12 +251,28 @@ export const api = {
   },
 
   // Activity log
-  async getActivity(limit = 100) {
-    return await apiClient.get(`/api/activity?limit=${limit}`);
+  // Optional filters: before (timestamp), types (comma separated), search
+  async getActivity(limit = 100, filters = {}) {
+    return await apiClient.get('/api/activity', { params: { limit, ...filters } });
+  },
+
+  // filters: { offset, strategy, symbol, status, source, from, to }
+  async getSignals(limit = 50, filters = {}) {
+    return await apiClient.get('/api/signals', { params: { limit, ...filters } });
   },
 
-  async getSignals(limit = 50) {
-    return await apiClient.get(`/api/signals?limit=${limit}`);
+  // Related events for one signal: webhook, sizing, orders, fills, close
+  async getSignalLifecycle(signal) {
+    try {
+      const response = await apiClient.get(`/api/signals/${signal.id}/lifecycle`);
+      return Array.isArray(response) ? response : response.events || [];
+    } catch (error) {
+      console.log('Signal lifecycle endpoint not available, using activity log:', error.message);
+      const activity = await this.getActivity(100, { signalId: signal.id });
+      // The activity endpoint may ignore the filter - keep only entries tied to this signal
+      return (Array.isArray(activity) ? activity : activity.activities || [])
+        .filter(entry => signalLifecycle.belongsTo(signal, entry));
+    }
   },
 
   // Service monitoring
@@ -264,6 +294,30 @@ export const api = {
     }
   },
 
+  // Watchlist is stored per user on the server, cached locally for offline use
+  async getWatchlist() {
+    try {
+      const response = await apiClient.get('/api/user/watchlist');
+      const symbols = watchlistUtils.normalize(response.symbols || response);
+      watchlistUtils.setCached(symbols);
+      return symbols;
+    } catch (error) {
+      console.log('Watchlist not available from server, using local copy:', error.message);
+      return watchlistUtils.getCached();
+    }
+  },
+
+  async setWatchlist(symbols) {
+    const normalized = watchlistUtils.normalize(symbols);
+    watchlistUtils.setCached(normalized);
+    try {
+      await apiClient.post('/api/user/watchlist', { symbols: normalized });
+    } catch (error) {
+      console.log('Watchlist saved locally only:', error.message);
+    }
+    return normalized;
+  },
+
   async reSync() {
     try {
       console.log('🔄 Calling reSync...');
@@ -362,10 +416,14 @@ export const api = {
     }
   },
 
-  async setKillSwitch(enabled, reason = null) {
+  async setKillSwitch(enabled, reason = null, options = {}) {
     try {
       const endpoint = enabled ? '/api/trading/enable' : '/api/trading/disable';
-      const response = await apiClient.post(endpoint, { reason });
+      const response = await apiClient.post(endpoint, {
+        reason,
+        source: options.source || 'dashboard',
+        disableUntil: options.disableUntil || null
+      });
       return {
         tradingEnabled: enabled,
         status: response.status,
@@ -377,6 +435,52 @@ export const api = {
     }
   },
 
+  // Kill switch change history, falling back to kill_switch activity entries
+  async getKillSwitchHistory(limit = 50) {
+    try {
+      const response = await apiClient.get(`/api/trading/history?limit=${limit}`);
+      return (Array.isArray(response) ? response : response.history || []).map(killSwitchUtils.normalizeEvent);
+    } catch (error) {
+      console.log('Kill switch history endpoint not available, using activity log:', error.message);
+      const activity = await this.getActivity(limit, { types: 'kill_switch' });
+      return (Array.isArray(activity) ? activity : activity.activities || [])
+        .filter(entry => entry.type === 'kill_switch')
+        .map(killSwitchUtils.normalizeEvent);
+    }
+  },
+
+  // Per-strategy controls - these sit under the global kill switch, not instead of it
+  async getStrategies() {
+    try {
+      return strategyUtils.normalize(await apiClient.get('/api/strategies'));
+    } catch (error) {
+      // No defaults here - showing every strategy as enabled and uncapped would misreport a safety control
+      throw new Error(`Strategy controls unavailable: ${error.message}`);
+    }
+  },
+
+  async setStrategyEnabled(strategyId, enabled, reason = null) {
+    const action = enabled ? 'enable' : 'disable';
+    try {
+      return await apiClient.post(`/api/strategies/${encodeURIComponent(strategyId)}/${action}`, {
+        reason,
+        source: 'dashboard'
+      });
+    } catch (error) {
+      throw new Error(`Failed to ${action} ${strategyId}: ${error.message}`);
+    }
+  },
+
+  async setStrategyMaxContracts(strategyId, maxContracts) {
+    const validationError = strategyUtils.validateMaxContracts(maxContracts);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    return await apiClient.post(`/api/strategies/${encodeURIComponent(strategyId)}/limits`, {
+      maxContracts: maxContracts === '' ? null : maxContracts
+    });
+  },
+
   // Position sizing endpoints
   async getPositionSizingSettings() {
     return await apiClient.get('/api/position-sizing/settings');
@@ -386,38 +490,99 @@ export const api = {
     return await apiClient.post('/api/position-sizing/settings', settings);
   },
 
-  async calculatePositionSize(symbol, accountBalance = null) {
-    return {
-      quantity: 1,
-      riskAmount: 0,
-      stopLoss: 0
-    };
+  // Size a trade locally with the saved sizing and margin settings
+  async calculatePositionSize(symbol, accountBalance = null, options = {}) {
+    const { accountId = null, stopPoints = positionSizingUtils.DEFAULT_STOP_POINTS } = options;
+
+    const [settingsResult, marginResult, balanceResult] = await Promise.allSettled([
+      options.settings ? Promise.resolve(options.settings) : this.getPositionSizingSettings(),
+      options.marginSettings ? Promise.resolve({ marginSettings: options.marginSettings }) : this.getMarginSettings(),
+      accountBalance === null && accountId ? this.getAccountBalance(accountId) : Promise.resolve(null)
+    ]);
+
+    const settings = settingsResult.status === 'fulfilled'
+      ? (settingsResult.value?.settings || settingsResult.value)
+      : DEFAULT_SIZING_SETTINGS;
+    const marginConfig = marginResult.status === 'fulfilled' ? marginResult.value : {};
+    const balance = accountBalance ?? (balanceResult.status === 'fulfilled' ? balanceResult.value?.balance ?? null : null);
+
+    return positionSizingUtils.calculate({
+      symbol,
+      accountBalance: balance,
+      stopPoints,
+      settings,
+      marginSettings: marginConfig?.enabled === false ? {} : marginConfig?.marginSettings || {},
+      marginUtilization: (marginConfig?.marginUtilization ?? DEFAULT_MARGIN_CONFIG.marginUtilization) / 100
+    });
   },
 
+  // Contract specs from the backend, merged over the local registry
   async getContractSpecs() {
-    return {};
+    try {
+      const response = await apiClient.get('/api/contracts/specs');
+      return contractUtils.mergeSpecs(response.specs || response);
+    } catch (error) {
+      console.log('Contract specs not available, using local registry:', error.message);
+      return contractUtils.getAllSpecs();
+    }
   },
 
-  async testPositionSizing(symbol = 'MNQ') {
-    return {
-      symbol,
-      quantity: 1,
-      success: false,
-      message: 'Position sizing not available in monitoring mode'
-    };
+  async testPositionSizing(symbol = 'MNQ', accountBalance = null, options = {}) {
+    try {
+      const result = await this.calculatePositionSize(symbol, accountBalance, options);
+      return {
+        ...result,
+        success: result.quantity > 0,
+        message: result.explanation
+      };
+    } catch (error) {
+      console.error('Position sizing test failed:', error);
+      return {
+        symbol,
+        quantity: 0,
+        success: false,
+        message: error.message
+      };
+    }
   },
 
-  // Order management - these would need to be sent to tradovate-service via Redis
+  // Order management - routed to tradovate-service through the monitoring service
   async placeOrder(orderData) {
-    // For now, just log - actual implementation would publish to Redis
     console.log('📋 Order placement request:', orderData);
-    throw new Error('Order placement not yet implemented in monitoring service');
+    const errors = apiUtils.validateOrderData(orderData);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+    return await apiClient.post('/api/trading/orders', orderData);
   },
 
   async cancelOrder(orderId) {
-    // For now, just log - actual implementation would publish to Redis
     console.log('🚫 Order cancellation request:', orderId);
-    throw new Error('Order cancellation not yet implemented in monitoring service');
+    return await apiClient.post(`/api/trading/orders/${orderId}/cancel`);
+  },
+
+  async modifyOrder(orderId, changes) {
+    console.log('✏️ Order modification request:', orderId, changes);
+    return await apiClient.post(`/api/trading/orders/${orderId}/modify`, changes);
+  },
+
+  // Position management
+  async flattenPosition(position) {
+    console.log('📉 Flatten position request:', position.symbol);
+    return await apiClient.post('/api/trading/positions/flatten', {
+      accountId: position.accountId,
+      positionId: position.positionId,
+      symbol: position.symbol
+    });
+  },
+
+  async reversePosition(position) {
+    console.log('🔁 Reverse position request:', position.symbol);
+    return await apiClient.post('/api/trading/positions/reverse', {
+      accountId: position.accountId,
+      positionId: position.positionId,
+      symbol: position.symbol
+    });
   },
 
   async subscribeToQuote(symbol) {
@@ -442,25 +607,50 @@ export const api = {
     throw new Error('Webhook testing not yet implemented in monitoring service');
   },
 
-  // Margin management endpoints - not applicable to monitoring service
+  // Margin management endpoints
   async getMarginSettings() {
-    return {
-      enabled: false,
-      marginSettings: {}
-    };
+    const response = await apiClient.get('/api/margin/settings');
+    return marginUtils.normalize(response.settings || response);
   },
 
-  async setMarginSettings(marginSettings) {
-    console.log('Margin settings update not available in monitoring mode');
-    return marginSettings;
+  async setMarginSettings(marginConfig) {
+    const errors = marginUtils.validate(marginConfig);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+    const response = await apiClient.post('/api/margin/settings', marginConfig);
+    return marginUtils.normalize(response.settings || response);
   },
 
-  async getOptimalContract(symbol, accountBalance = null) {
+  // Broker default margins, falling back to the local table
+  async getMarginDefaults() {
+    try {
+      const response = await apiClient.get('/api/margin/defaults');
+      return marginUtils.normalize(response.settings || response);
+    } catch (error) {
+      console.log('Margin defaults not available, using local defaults:', error.message);
+      return marginUtils.getDefaults();
+    }
+  },
+
+  // Predict margin-based contract conversion for a signal
+  async getOptimalContract(symbol, accountBalance = null, options = {}) {
+    const { quantity = 1, accountId = null } = options;
+    const [marginConfig, balance] = await Promise.all([
+      options.marginConfig || this.getMarginSettings(),
+      accountBalance ?? (accountId ? this.getAccountBalance(accountId).then(response => response.balance) : null)
+    ]);
+
+    if (balance === null || balance === undefined) {
+      throw new Error('Account balance is required to select a contract');
+    }
+
+    const selection = positionSizingUtils.selectContract({ symbol, quantity, accountBalance: balance, marginConfig });
     return {
-      symbol,
-      quantity: 1,
-      optimal: false,
-      message: 'Contract optimization not available in monitoring mode'
+      ...selection,
+      accountBalance: balance,
+      optimal: !selection.converted && selection.sufficient,
+      message: selection.reason
     };
   }
 };
@@ -525,18 +715,8 @@ export const apiUtils = {
     }
   },
 
-  isTradingSessionActive() {
-    const now = new Date();
-    const day = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const hour = now.getHours();
-
-    // Basic trading hours check (can be made more sophisticated)
-    // Futures markets are generally open Sunday 6 PM - Friday 5 PM ET
-    if (day === 0 && hour < 18) return false; // Sunday before 6 PM
-    if (day === 6) return false; // Saturday
-    if (day === 5 && hour >= 17) return false; // Friday after 5 PM
-
-    return true;
+  isTradingSessionActive(date = new Date()) {
+    return tradingSession.isOpen(date);
   },
 
   validateOrderData(orderData) {
@@ -558,6 +738,36 @@ export const apiUtils = {
       errors.push('Quantity must be greater than 0');
     }
 
+    const orderType = orderData.orderType || 'Market';
+    if (orderType === 'Limit' && !(orderData.price > 0)) {
+      errors.push('Limit price is required for limit orders');
+    }
+
+    if (orderType === 'Stop' && !(orderData.stopPrice > 0)) {
+      errors.push('Stop price is required for stop orders');
+    }
+
+    // Bracket legs must sit on the correct side of the entry price
+    const bracket = orderData.bracket;
+    if (bracket) {
+      const isBuy = orderData.action?.toLowerCase() === 'buy';
+      const entryPrice = orderType === 'Limit' ? orderData.price
+        : orderType === 'Stop' ? orderData.stopPrice
+        : orderData.referencePrice;
+
+      if (bracket.stopLoss && entryPrice) {
+        if (isBuy ? bracket.stopLoss >= entryPrice : bracket.stopLoss <= entryPrice) {
+          errors.push(`Bracket stop must be ${isBuy ? 'below' : 'above'} the entry price`);
+        }
+      }
+
+      if (bracket.takeProfit && entryPrice) {
+        if (isBuy ? bracket.takeProfit <= entryPrice : bracket.takeProfit >= entryPrice) {
+          errors.push(`Bracket target must be ${isBuy ? 'above' : 'below'} the entry price`);
+        }
+      }
+    }
+
     return errors;
   }
 };
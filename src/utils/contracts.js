@@ -0,0 +1,212 @@
+// Contract specification registry for the Slingshot Dashboard
+
+const CUSTOM_CONTRACTS_KEY = 'slingshot_custom_contracts';
+
+// CME Globex equity index futures trade Sunday-Friday 6:00 PM - 5:00 PM ET
+export const CME_EQUITY_SESSION = {
+  timezone: 'America/New_York',
+  open: '18:00',
+  close: '17:00',
+  maintenanceBreak: { start: '17:00', end: '18:00' }
+};
+
+// Local fallback used until (or if) the backend specs load
+const DEFAULT_SPECS = {
+  MNQ: {
+    symbol: 'MNQ',
+    name: 'Micro E-mini Nasdaq-100',
+    tickSize: 0.25,
+    pointValue: 2,
+    contractType: 'micro',
+    fullSymbol: 'NQ',
+    microSymbol: 'MNQ',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  },
+  NQ: {
+    symbol: 'NQ',
+    name: 'E-mini Nasdaq-100',
+    tickSize: 0.25,
+    pointValue: 20,
+    contractType: 'full',
+    fullSymbol: 'NQ',
+    microSymbol: 'MNQ',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  },
+  MES: {
+    symbol: 'MES',
+    name: 'Micro E-mini S&P 500',
+    tickSize: 0.25,
+    pointValue: 5,
+    contractType: 'micro',
+    fullSymbol: 'ES',
+    microSymbol: 'MES',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  },
+  ES: {
+    symbol: 'ES',
+    name: 'E-mini S&P 500',
+    tickSize: 0.25,
+    pointValue: 50,
+    contractType: 'full',
+    fullSymbol: 'ES',
+    microSymbol: 'MES',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  },
+  RTY: {
+    symbol: 'RTY',
+    name: 'E-mini Russell 2000',
+    tickSize: 0.1,
+    pointValue: 50,
+    contractType: 'full',
+    fullSymbol: 'RTY',
+    microSymbol: 'M2K',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  },
+  M2K: {
+    symbol: 'M2K',
+    name: 'Micro E-mini Russell 2000',
+    tickSize: 0.1,
+    pointValue: 5,
+    contractType: 'micro',
+    fullSymbol: 'RTY',
+    microSymbol: 'M2K',
+    exchange: 'CME',
+    session: CME_EQUITY_SESSION
+  }
+};
+
+// Tick size assumed for symbols with no registered spec
+const FALLBACK_TICK_SIZE = 0.25;
+
+const loadCustomContracts = () => {
+  try {
+    const saved = localStorage.getItem(CUSTOM_CONTRACTS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.log('Failed to parse custom contracts:', e);
+    return {};
+  }
+};
+
+let specs = { ...DEFAULT_SPECS, ...loadCustomContracts() };
+
+export const contractUtils = {
+  DEFAULT_SPECS,
+
+  // Merge specs loaded from the backend over the local defaults
+  mergeSpecs(remoteSpecs = {}) {
+    const normalized = {};
+    Object.entries(remoteSpecs).forEach(([symbol, spec]) => {
+      const key = symbol.toUpperCase();
+      normalized[key] = { ...(specs[key] || {}), ...spec, symbol: key };
+    });
+    specs = { ...specs, ...normalized };
+    return specs;
+  },
+
+  getAllSpecs() {
+    return specs;
+  },
+
+  getSupportedSymbols() {
+    return Object.keys(specs);
+  },
+
+  // Resolve a contract or continuous symbol (MNQZ5, MNQ1!, NQH2026) to its registry key
+  getBaseSymbol(symbol) {
+    if (!symbol) return null;
+    const cleaned = symbol.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (specs[cleaned]) return cleaned;
+
+    const match = Object.keys(specs)
+      .filter(key => cleaned.startsWith(key) && /^([FGHJKMNQUVXZ]\d{1,4}|\d)?$/.test(cleaned.slice(key.length)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match || cleaned;
+  },
+
+  getSpec(symbol) {
+    return specs[this.getBaseSymbol(symbol)] || null;
+  },
+
+  getTickSize(symbol) {
+    return this.getSpec(symbol)?.tickSize || FALLBACK_TICK_SIZE;
+  },
+
+  getPointValue(symbol) {
+    return this.getSpec(symbol)?.pointValue || null;
+  },
+
+  getTickValue(symbol) {
+    const spec = this.getSpec(symbol);
+    return spec ? spec.tickSize * spec.pointValue : null;
+  },
+
+  // Round a price to the nearest valid tick for the symbol
+  roundToTick(price, symbol) {
+    if (price === null || price === undefined || isNaN(price)) return price;
+    const tickSize = this.getTickSize(symbol);
+    const decimals = (tickSize.toString().split('.')[1] || '').length;
+    return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+  },
+
+  // Dollar value of a price move in points
+  pointsToDollars(points, symbol, quantity = 1) {
+    const pointValue = this.getPointValue(symbol);
+    return pointValue ? points * pointValue * quantity : null;
+  },
+
+  isMicro(symbol) {
+    return this.getSpec(symbol)?.contractType === 'micro';
+  },
+
+  getMicroSymbol(symbol) {
+    return this.getSpec(symbol)?.microSymbol || null;
+  },
+
+  getFullSymbol(symbol) {
+    return this.getSpec(symbol)?.fullSymbol || null;
+  },
+
+  // Register a user-defined contract (persisted locally)
+  registerCustomContract(spec) {
+    const key = spec.symbol?.toUpperCase();
+    if (!key || !(spec.tickSize > 0) || !(spec.pointValue > 0)) {
+      throw new Error('Custom contracts need a symbol, tick size and point value');
+    }
+
+    const customSpec = {
+      contractType: 'full',
+      exchange: 'CUSTOM',
+      session: CME_EQUITY_SESSION,
+      ...spec,
+      symbol: key,
+      custom: true
+    };
+
+    const custom = { ...loadCustomContracts(), [key]: customSpec };
+    localStorage.setItem(CUSTOM_CONTRACTS_KEY, JSON.stringify(custom));
+    specs = { ...specs, [key]: customSpec };
+    return customSpec;
+  },
+
+  removeCustomContract(symbol) {
+    const key = symbol?.toUpperCase();
+    const custom = loadCustomContracts();
+    delete custom[key];
+    localStorage.setItem(CUSTOM_CONTRACTS_KEY, JSON.stringify(custom));
+
+    if (specs[key]?.custom) {
+      const next = { ...specs };
+      delete next[key];
+      specs = DEFAULT_SPECS[key] ? { ...next, [key]: DEFAULT_SPECS[key] } : next;
+    }
+  }
+};
+
+export default contractUtils;
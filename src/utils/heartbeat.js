@@ -0,0 +1,50 @@
+// Silent-strategy detection for the Slingshot Dashboard
+// A strategy is silent when it has gone longer than its window without a signal,
+// counting only time the market was open
+import { tradingSession } from './tradingSession';
+
+const WINDOWS_KEY = 'slingshot_strategy_heartbeats';
+
+export const heartbeatUtils = {
+  // Expected activity windows in minutes, keyed by strategy id (missing = not monitored)
+  getWindows() {
+    try {
+      const saved = localStorage.getItem(WINDOWS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.log('Failed to parse heartbeat windows:', e);
+      return {};
+    }
+  },
+
+  setWindow(strategyId, minutes) {
+    const windows = this.getWindows();
+    if (minutes) {
+      windows[strategyId] = minutes;
+    } else {
+      delete windows[strategyId];
+    }
+    localStorage.setItem(WINDOWS_KEY, JSON.stringify(windows));
+    return windows;
+  },
+
+  /**
+   * Heartbeat state for one strategy
+   * since: when we started listening, used when the strategy has never been heard from
+   * Returns { strategyId, lastSignalAt, windowMinutes, silentMs, isSilent }
+   */
+  check(strategyId, { lastSignalAt, windowMinutes, since, now = new Date() }) {
+    const from = lastSignalAt ? new Date(lastSignalAt) : since;
+    const silentMs = from ? tradingSession.getOpenDuration(from, now) : null;
+
+    return {
+      strategyId,
+      lastSignalAt: lastSignalAt || null,
+      windowMinutes: windowMinutes || null,
+      silentMs,
+      isSilent: !!windowMinutes && silentMs !== null && tradingSession.isOpen(now) && silentMs > windowMinutes * 60000
+    };
+  }
+};
+
+export default heartbeatUtils;
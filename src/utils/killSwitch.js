@@ -0,0 +1,50 @@
+// Kill switch helpers for the Slingshot Dashboard
+
+const SCHEDULE_KEY = 'slingshot_kill_switch_schedule';
+
+export const KILL_SWITCH_REASONS = [
+  'Manual pause',
+  'News event',
+  'Drawdown limit reached',
+  'Strategy review',
+  'Platform issue',
+  'End of day'
+];
+
+export const killSwitchUtils = {
+  // Scheduled re-enable is kept locally so it survives page reloads
+  getSchedule() {
+    try {
+      const saved = localStorage.getItem(SCHEDULE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+      console.log('Failed to parse kill switch schedule:', e);
+      return null;
+    }
+  },
+
+  setSchedule(reenableAt, reason) {
+    const schedule = { reenableAt, reason, createdAt: new Date().toISOString() };
+    localStorage.setItem(SCHEDULE_KEY, JSON.stringify(schedule));
+    return schedule;
+  },
+
+  clearSchedule() {
+    localStorage.removeItem(SCHEDULE_KEY);
+  },
+
+  // Normalize kill_switch_changed events and activity entries into one shape
+  normalizeEvent(event) {
+    // Activity log entries only carry the display text
+    const text = String(event.message || event.data || '');
+    return {
+      timestamp: event.timestamp,
+      enabled: event.enabled ?? event.tradingEnabled ?? (text.includes('ENABLED') && !text.includes('DISABLED')),
+      reason: event.reason || event.details?.reason || null,
+      source: event.source || event.changedBy || event.user || event.details?.source || 'unknown',
+      disableUntil: event.disableUntil || event.details?.disableUntil || null
+    };
+  }
+};
+
+export default killSwitchUtils;
@@ -0,0 +1,112 @@
+// Day margin settings helpers for the Slingshot Dashboard
+import contractUtils from './contracts';
+
+// Typical broker day margins, used until the backend provides its own
+const DEFAULT_DAY_MARGINS = {
+  MNQ: 100,
+  NQ: 1000,
+  MES: 50,
+  ES: 500,
+  M2K: 50,
+  RTY: 500
+};
+
+export const DEFAULT_MARGIN_CONFIG = {
+  enabled: true,
+  // Percentage of the balance that may be committed to margin
+  marginUtilization: 50,
+  conversionRules: {
+    // Downgrade full-size signals to micros when margin doesn't cover one contract
+    convertToMicro: true,
+    // Upgrade micro signals to full size once margin covers it
+    convertToFull: false,
+    // Micros per full-size contract when converting
+    microRatio: 10
+  },
+  marginSettings: Object.fromEntries(
+    Object.entries(DEFAULT_DAY_MARGINS).map(([symbol, dayMargin]) => {
+      const spec = contractUtils.getSpec(symbol);
+      return [symbol, {
+        dayMargin,
+        contractType: spec?.contractType || 'full',
+        pointValue: spec?.pointValue,
+        description: spec?.name || symbol
+      }];
+    })
+  )
+};
+
+export const marginUtils = {
+  getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_MARGIN_CONFIG));
+  },
+
+  // Fill any gaps in a backend response with local defaults
+  normalize(response = {}) {
+    const defaults = this.getDefaults();
+    const marginSettings = { ...defaults.marginSettings };
+    Object.entries(response.marginSettings || {}).forEach(([symbol, settings]) => {
+      const key = symbol.toUpperCase();
+      marginSettings[key] = { ...(marginSettings[key] || {}), ...settings };
+    });
+
+    return {
+      enabled: response.enabled ?? defaults.enabled,
+      marginUtilization: response.marginUtilization ?? defaults.marginUtilization,
+      conversionRules: { ...defaults.conversionRules, ...(response.conversionRules || {}) },
+      marginSettings
+    };
+  },
+
+  // Returns a list of human readable problems, empty when the config is valid
+  validate(config) {
+    const errors = [];
+
+    if (!(config.marginUtilization >= 1 && config.marginUtilization <= 100)) {
+      errors.push('Margin utilization must be between 1 and 100%');
+    }
+
+    Object.entries(config.marginSettings || {}).forEach(([symbol, settings]) => {
+      if (!Number.isFinite(settings.dayMargin) || settings.dayMargin <= 0) {
+        errors.push(`${symbol} day margin must be greater than 0`);
+      }
+    });
+
+    // A micro should never need more margin than its full-size contract
+    Object.entries(config.marginSettings || {}).forEach(([symbol, settings]) => {
+      const fullSymbol = contractUtils.getFullSymbol(symbol);
+      const fullSettings = config.marginSettings[fullSymbol];
+      if (settings.contractType === 'micro' && fullSettings && settings.dayMargin > fullSettings.dayMargin) {
+        errors.push(`${symbol} margin is higher than ${fullSymbol} margin`);
+      }
+    });
+
+    const ratio = config.conversionRules?.microRatio;
+    if (!Number.isInteger(ratio) || ratio < 1) {
+      errors.push('Micro ratio must be a whole number of at least 1');
+    }
+
+    return errors;
+  },
+
+  // Flat list of { label, from, to } for every changed value
+  diff(original, updated) {
+    const changes = [];
+    const compare = (label, from, to) => {
+      if (from !== to) changes.push({ label, from, to });
+    };
+
+    compare('Enabled', original.enabled, updated.enabled);
+    compare('Margin utilization (%)', original.marginUtilization, updated.marginUtilization);
+    Object.keys({ ...original.conversionRules, ...updated.conversionRules }).forEach(rule => {
+      compare(`Conversion: ${rule}`, original.conversionRules?.[rule], updated.conversionRules?.[rule]);
+    });
+    Object.keys({ ...original.marginSettings, ...updated.marginSettings }).forEach(symbol => {
+      compare(`${symbol} day margin`, original.marginSettings?.[symbol]?.dayMargin, updated.marginSettings?.[symbol]?.dayMargin);
+    });
+
+    return changes;
+  }
+};
+
+export default marginUtils;
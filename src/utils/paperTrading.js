@@ -0,0 +1,313 @@
+// Local paper-trading engine for the Slingshot Dashboard
+// Accepts the same webhook payloads TestTrading builds and simulates fills against market_data ticks.
+// Every function is pure - it takes a state and returns the next one - so the hook owns persistence.
+import { contractUtils } from './contracts';
+
+const MAX_TRADES = 100;
+const MAX_LOG = 50;
+
+export const PAPER_ACCOUNT_ID = 'paper';
+
+const isBuy = (side) => ['buy', 'long'].includes(side?.toLowerCase());
+
+const baseOf = (symbol) => contractUtils.getBaseSymbol(symbol);
+
+const pnlFor = (position, price) => {
+  const points = (price - position.entryPrice) * (position.side === 'long' ? 1 : -1);
+  return contractUtils.pointsToDollars(points, position.symbol, position.quantity) ?? points * position.quantity;
+};
+
+const addLog = (state, message, timestamp) => ({
+  ...state,
+  log: [...state.log, { id: `${timestamp}-${state.log.length}`, message, timestamp: new Date(timestamp).toISOString() }].slice(-MAX_LOG)
+});
+
+// Limit orders fill at their price once the market trades through it
+const isMarketable = (order, price) => (isBuy(order.action) ? price <= order.price : price >= order.price);
+
+export const paperTrading = {
+  createState() {
+    return { orders: [], positions: [], trades: [], prices: {}, log: [], nextId: 1 };
+  },
+
+  getPrice(state, symbol) {
+    return state.prices[baseOf(symbol)] || null;
+  },
+
+  /**
+   * Apply a TestTrading webhook payload
+   * Returns { state, result: { success, message } }
+   */
+  submit(state, payload, timestamp = Date.now()) {
+    const symbol = payload.symbol;
+    const side = payload.side?.toLowerCase();
+
+    switch (payload.action) {
+      case 'place_limit': {
+        if (!symbol || !side || !payload.price) {
+          return { state, result: { success: false, message: 'place_limit needs symbol, side and price' } };
+        }
+        const order = {
+          orderId: `P${state.nextId}`,
+          accountId: PAPER_ACCOUNT_ID,
+          symbol,
+          baseSymbol: baseOf(symbol),
+          action: isBuy(side) ? 'Buy' : 'Sell',
+          quantity: payload.quantity || 1,
+          price: payload.price,
+          orderStatus: 'Working',
+          createdAt: new Date(timestamp).toISOString(),
+          signalContext: {
+            strategy: payload.strategy,
+            quantity: payload.quantity || 1,
+            stopLoss: payload.stop_loss || null,
+            takeProfit: payload.take_profit || null,
+            trailingTrigger: payload.trailing_trigger || null,
+            trailingOffset: payload.trailing_offset || null
+          }
+        };
+        let next = addLog({ ...state, orders: [...state.orders, order], nextId: state.nextId + 1 },
+          `📝 ${order.action.toUpperCase()} ${order.quantity} ${symbol} @ ${order.price} working (${order.orderId})`, timestamp);
+        next = this.checkOrders(next, order.baseSymbol, timestamp);
+        return { state: next, result: { success: true, message: `Order ${order.orderId} placed`, orderId: order.orderId } };
+      }
+
+      case 'update_limit': {
+        const newPrice = payload.new_price ?? payload.price;
+        const candidates = state.orders.filter(order =>
+          order.baseSymbol === baseOf(symbol) && (!side || isBuy(order.action) === isBuy(side))
+        );
+        // Prefer the order at old_price, otherwise the most recent one
+        const order = candidates.find(candidate => candidate.price === payload.old_price) || candidates[candidates.length - 1];
+        if (!order) {
+          return { state, result: { success: false, message: `No working ${side || ''} order for ${symbol}` } };
+        }
+        const next = this.modifyOrder(state, order.orderId, newPrice, timestamp, {
+          ...(payload.stop_loss && { stopLoss: payload.stop_loss }),
+          ...(payload.take_profit && { takeProfit: payload.take_profit })
+        });
+        return { state: next, result: { success: true, message: `Order ${order.orderId} moved to ${newPrice}`, orderId: order.orderId } };
+      }
+
+      case 'cancel_limit': {
+        const cancelled = state.orders.filter(order =>
+          order.baseSymbol === baseOf(symbol) && (!side || isBuy(order.action) === isBuy(side))
+        );
+        if (cancelled.length === 0) {
+          return { state, result: { success: false, message: `No working orders for ${symbol}` } };
+        }
+        const next = cancelled.reduce((current, order) => this.cancelOrder(current, order.orderId, timestamp), state);
+        return { state: next, result: { success: true, message: `Cancelled ${cancelled.length} order${cancelled.length !== 1 ? 's' : ''}` } };
+      }
+
+      case 'position_closed': {
+        const positions = state.positions.filter(position => position.baseSymbol === baseOf(symbol));
+        const orders = state.orders.filter(order => order.baseSymbol === baseOf(symbol));
+        let next = orders.reduce((current, order) => this.cancelOrder(current, order.orderId, timestamp), state);
+        next = positions.reduce((current, position) =>
+          this.closePosition(current, position.positionId, 'signal', payload.price, timestamp), next);
+        return { state: next, result: { success: true, message: `Closed ${positions.length} position${positions.length !== 1 ? 's' : ''}` } };
+      }
+
+      default:
+        return { state, result: { success: false, message: `Unsupported action: ${payload.action}` } };
+    }
+  },
+
+  /**
+   * Apply a market_data tick: fill working orders, then run stops, targets and trailing stops
+   */
+  applyTick(state, { symbol, price, timestamp = Date.now() }) {
+    if (price === null || price === undefined || isNaN(price)) return state;
+    const base = baseOf(symbol);
+    const time = new Date(timestamp).getTime();
+
+    let next = { ...state, prices: { ...state.prices, [base]: { price, timestamp: time } } };
+    next = this.checkOrders(next, base, time);
+
+    next.positions
+      .filter(position => position.baseSymbol === base)
+      .forEach(position => {
+        next = this.checkExits(next, position.positionId, price, time);
+      });
+    return next;
+  },
+
+  checkOrders(state, base, timestamp) {
+    const quote = state.prices[base];
+    if (!quote) return state;
+
+    return state.orders
+      .filter(order => order.baseSymbol === base && isMarketable(order, quote.price))
+      // A limit that was already through the market fills at the market, otherwise at its price
+      .reduce((current, order) => this.fillOrder(current, order.orderId,
+        isBuy(order.action) ? Math.min(order.price, quote.price) : Math.max(order.price, quote.price), timestamp), state);
+  },
+
+  fillOrder(state, orderId, fillPrice, timestamp) {
+    const order = state.orders.find(existing => existing.orderId === orderId);
+    if (!order) return state;
+
+    const side = isBuy(order.action) ? 'long' : 'short';
+    let next = addLog({ ...state, orders: state.orders.filter(existing => existing.orderId !== orderId) },
+      `✅ ${order.orderId} filled ${order.action.toUpperCase()} ${order.quantity} ${order.symbol} @ ${fillPrice}`, timestamp);
+
+    // One position per symbol - an opposite fill reduces it and any remainder opens the other side
+    let remaining = order.quantity;
+    const existing = next.positions.find(position => position.baseSymbol === order.baseSymbol);
+    if (existing && existing.side !== side) {
+      const closing = Math.min(existing.quantity, remaining);
+      next = this.closePosition(next, existing.positionId, 'opposite fill', fillPrice, timestamp, closing);
+      remaining -= closing;
+    } else if (existing) {
+      const quantity = existing.quantity + remaining;
+      const entryPrice = contractUtils.roundToTick(
+        (existing.entryPrice * existing.quantity + fillPrice * remaining) / quantity, order.symbol
+      );
+      next = this.updatePosition(next, existing.positionId, { quantity, netPos: side === 'long' ? quantity : -quantity, entryPrice });
+      remaining = 0;
+    }
+
+    if (remaining > 0) {
+      const context = order.signalContext;
+      const position = {
+        positionId: `PP${next.nextId}`,
+        accountId: PAPER_ACCOUNT_ID,
+        symbol: order.symbol,
+        baseSymbol: order.baseSymbol,
+        side,
+        quantity: remaining,
+        netPos: side === 'long' ? remaining : -remaining,
+        entryPrice: fillPrice,
+        currentPrice: fillPrice,
+        bestPrice: fillPrice,
+        unrealizedPnL: 0,
+        stopPrice: context.stopLoss,
+        targetPrice: context.takeProfit,
+        trailingActive: false,
+        marketData: { currentPrice: fillPrice, timestamp },
+        signalContext: { ...context, timestamp: new Date(timestamp).toISOString() }
+      };
+      next = { ...next, positions: [...next.positions, position], nextId: next.nextId + 1 };
+    }
+    return next;
+  },
+
+  // Stops are market orders once triggered, so a gap through the stop fills at the worse tick price.
+  // Targets are resting limits and fill at their level
+  checkExits(state, positionId, price, timestamp) {
+    const position = state.positions.find(existing => existing.positionId === positionId);
+    if (!position) return state;
+    const isLong = position.side === 'long';
+
+    if (position.stopPrice && (isLong ? price <= position.stopPrice : price >= position.stopPrice)) {
+      const stopFill = isLong ? Math.min(position.stopPrice, price) : Math.max(position.stopPrice, price);
+      return this.closePosition(state, positionId, position.trailingActive ? 'trailing stop' : 'stop', stopFill, timestamp);
+    }
+    if (position.targetPrice && (isLong ? price >= position.targetPrice : price <= position.targetPrice)) {
+      return this.closePosition(state, positionId, 'target', position.targetPrice, timestamp);
+    }
+
+    const bestPrice = isLong ? Math.max(position.bestPrice, price) : Math.min(position.bestPrice, price);
+    const updates = {
+      currentPrice: price,
+      bestPrice,
+      unrealizedPnL: pnlFor(position, price),
+      marketData: { currentPrice: price, timestamp }
+    };
+
+    const { trailingTrigger, trailingOffset } = position.signalContext;
+    if (trailingTrigger && trailingOffset) {
+      const favorable = (bestPrice - position.entryPrice) * (isLong ? 1 : -1);
+      if (favorable >= trailingTrigger) {
+        const trail = contractUtils.roundToTick(bestPrice - trailingOffset * (isLong ? 1 : -1), position.symbol);
+        const tighter = !position.stopPrice || (isLong ? trail > position.stopPrice : trail < position.stopPrice);
+        if (tighter) {
+          updates.stopPrice = trail;
+          updates.trailingActive = true;
+        }
+      }
+    }
+
+    let next = this.updatePosition(state, positionId, updates);
+    if (updates.trailingActive && !position.trailingActive) {
+      next = addLog(next, `🎯 Trailing stop active on ${position.symbol} at ${updates.stopPrice}`, timestamp);
+    }
+    return next;
+  },
+
+  updatePosition(state, positionId, updates) {
+    return {
+      ...state,
+      positions: state.positions.map(position => position.positionId === positionId ? { ...position, ...updates } : position)
+    };
+  },
+
+  /**
+   * Close all or part of a position - price defaults to the last tick, then the entry
+   */
+  closePosition(state, positionId, reason = 'manual', price, timestamp = Date.now(), quantity) {
+    const position = state.positions.find(existing => existing.positionId === positionId);
+    if (!position) return state;
+
+    const exitPrice = price || state.prices[position.baseSymbol]?.price || position.entryPrice;
+    const closing = Math.min(quantity || position.quantity, position.quantity);
+    const pnl = pnlFor({ ...position, quantity: closing }, exitPrice);
+    const trade = {
+      id: `${positionId}-${state.trades.length}`,
+      symbol: position.symbol,
+      side: position.side,
+      quantity: closing,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      pnl,
+      reason,
+      strategy: position.signalContext?.strategy,
+      openedAt: position.signalContext?.timestamp,
+      closedAt: new Date(timestamp).toISOString()
+    };
+
+    const remaining = position.quantity - closing;
+    const positions = remaining > 0
+      ? state.positions.map(existing => existing.positionId === positionId
+        ? { ...existing, quantity: remaining, netPos: existing.side === 'long' ? remaining : -remaining, unrealizedPnL: pnlFor({ ...existing, quantity: remaining }, exitPrice) }
+        : existing)
+      : state.positions.filter(existing => existing.positionId !== positionId);
+
+    return addLog({ ...state, positions, trades: [...state.trades, trade].slice(-MAX_TRADES) },
+      `🏁 ${position.side.toUpperCase()} ${closing} ${position.symbol} closed @ ${exitPrice} (${reason}) ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)}`, timestamp);
+  },
+
+  cancelOrder(state, orderId, timestamp = Date.now()) {
+    const order = state.orders.find(existing => existing.orderId === orderId);
+    if (!order) return state;
+    return addLog({ ...state, orders: state.orders.filter(existing => existing.orderId !== orderId) },
+      `🚫 ${orderId} cancelled`, timestamp);
+  },
+
+  modifyOrder(state, orderId, price, timestamp = Date.now(), contextUpdates = {}) {
+    const order = state.orders.find(existing => existing.orderId === orderId);
+    if (!order) return state;
+
+    const next = addLog({
+      ...state,
+      orders: state.orders.map(existing => existing.orderId === orderId
+        ? { ...existing, price, signalContext: { ...existing.signalContext, ...contextUpdates } }
+        : existing)
+    }, `✏️ ${orderId} moved ${order.price} → ${price}`, timestamp);
+    return this.checkOrders(next, order.baseSymbol, timestamp);
+  },
+
+  // Same shape as the enhanced trading status stats
+  getStats(state) {
+    return {
+      totalPositions: state.positions.length,
+      totalWorkingOrders: state.orders.length,
+      dailyTrades: state.trades.filter(trade => new Date(trade.closedAt).toDateString() === new Date().toDateString()).length,
+      realizedPnL: state.trades.reduce((sum, trade) => sum + trade.pnl, 0),
+      unrealizedPnL: state.positions.reduce((sum, position) => sum + (position.unrealizedPnL || 0), 0)
+    };
+  }
+};
+
+export default paperTrading;
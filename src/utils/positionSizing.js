@@ -0,0 +1,206 @@
+// Position sizing engine for the Slingshot Dashboard
+// Mirrors the backend's fixed and risk_based methods so the UI can preview what a signal would trade
+import contractUtils from './contracts';
+
+// Stop distance (points) assumed when a signal doesn't carry one
+const DEFAULT_STOP_POINTS = 52;
+
+// Share of the balance that may be committed to day margin
+const DEFAULT_MARGIN_UTILIZATION = 0.5;
+
+export const DEFAULT_SIZING_SETTINGS = {
+  method: 'fixed',
+  fixedQuantity: 1,
+  riskPercentage: 10,
+  maxContracts: 10,
+  contractType: 'auto'
+};
+
+const formatDollars = (value) => {
+  return `$${Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+};
+
+export const positionSizingUtils = {
+  DEFAULT_STOP_POINTS,
+  DEFAULT_MARGIN_UTILIZATION,
+
+  // Apply the fixed-sizing contract type override (full <-> micro)
+  resolveSymbol(symbol, contractType = 'auto') {
+    if (contractType === 'full') return contractUtils.getFullSymbol(symbol) || symbol;
+    if (contractType === 'micro') return contractUtils.getMicroSymbol(symbol) || symbol;
+    return contractUtils.getBaseSymbol(symbol) || symbol;
+  },
+
+  getDayMargin(symbol, marginSettings = {}) {
+    const key = contractUtils.getBaseSymbol(symbol);
+    return marginSettings[key]?.dayMargin || null;
+  },
+
+  // Contracts the balance can carry at the configured margin utilization
+  getMarginCapacity(symbol, accountBalance, marginSettings = {}, marginUtilization = DEFAULT_MARGIN_UTILIZATION) {
+    const dayMargin = this.getDayMargin(symbol, marginSettings);
+    if (!dayMargin || accountBalance === null || accountBalance === undefined) return null;
+    return Math.floor((accountBalance * marginUtilization) / dayMargin);
+  },
+
+  /**
+   * Calculate a position size and explain how it was reached.
+   * Returns { symbol, quantity, method, riskPerContract, riskAmount, limitedBy, explanation }
+   */
+  calculate({
+    symbol,
+    accountBalance = null,
+    stopPoints = DEFAULT_STOP_POINTS,
+    pointValue = null,
+    settings = DEFAULT_SIZING_SETTINGS,
+    marginSettings = {},
+    marginUtilization = DEFAULT_MARGIN_UTILIZATION
+  }) {
+    const config = { ...DEFAULT_SIZING_SETTINGS, ...settings };
+    const tradeSymbol = config.method === 'fixed'
+      ? this.resolveSymbol(symbol, config.contractType)
+      : contractUtils.getBaseSymbol(symbol) || symbol;
+    const contractPointValue = pointValue || contractUtils.getPointValue(tradeSymbol);
+    const riskPerContract = contractPointValue ? stopPoints * contractPointValue : null;
+
+    const result = {
+      symbol: tradeSymbol,
+      method: config.method,
+      stopPoints,
+      pointValue: contractPointValue,
+      riskPerContract,
+      quantity: 0,
+      riskAmount: 0,
+      limitedBy: null,
+      explanation: ''
+    };
+
+    let quantity;
+    let reason;
+
+    if (config.method === 'risk_based') {
+      if (!riskPerContract) {
+        return { ...result, explanation: `No point value for ${tradeSymbol}` };
+      }
+      if (!(accountBalance > 0)) {
+        return { ...result, explanation: 'No account balance available for risk-based sizing' };
+      }
+      const riskBudget = (accountBalance * config.riskPercentage) / 100;
+      quantity = Math.floor(riskBudget / riskPerContract);
+      reason = `${config.riskPercentage}% of ${formatDollars(accountBalance)} / ${formatDollars(riskPerContract)} risk`;
+      if (quantity < 1) {
+        return {
+          ...result,
+          limitedBy: 'risk',
+          explanation: `0 ${tradeSymbol} because ${reason} is less than one contract`
+        };
+      }
+    } else {
+      quantity = config.fixedQuantity;
+      reason = `fixed sizing is ${config.fixedQuantity} contract${config.fixedQuantity === 1 ? '' : 's'}`;
+    }
+
+    // Safety cap from settings
+    if (quantity > config.maxContracts) {
+      quantity = config.maxContracts;
+      result.limitedBy = 'maxContracts';
+      reason += `, capped at max ${config.maxContracts}`;
+    }
+
+    // Margin cap, only when we know both the balance and the day margin
+    const marginCapacity = this.getMarginCapacity(tradeSymbol, accountBalance, marginSettings, marginUtilization);
+    if (marginCapacity !== null && quantity > marginCapacity) {
+      quantity = marginCapacity;
+      result.limitedBy = 'margin';
+      reason += `, margin allows ${marginCapacity} at ${formatDollars(this.getDayMargin(tradeSymbol, marginSettings))} each`;
+    }
+
+    return {
+      ...result,
+      quantity,
+      riskAmount: riskPerContract ? quantity * riskPerContract : 0,
+      explanation: `${quantity} ${tradeSymbol} because ${reason}`
+    };
+  },
+
+  /**
+   * Predict the backend's margin-based contract selection for a signal.
+   * Returns the same shape as webhook `contractSelection` plus a `reason`.
+   */
+  selectContract({ symbol, quantity = 1, accountBalance, marginConfig }) {
+    const originalSymbol = contractUtils.getBaseSymbol(symbol) || symbol;
+    const rules = marginConfig?.conversionRules || {};
+    const ratio = rules.microRatio || 10;
+    const marginSettings = marginConfig?.marginSettings || {};
+    const utilization = (marginConfig?.marginUtilization ?? DEFAULT_MARGIN_UTILIZATION * 100) / 100;
+    const availableMargin = accountBalance * utilization;
+
+    const selection = (finalSymbol, finalQuantity, reason, extra = {}) => {
+      const dayMargin = this.getDayMargin(finalSymbol, marginSettings);
+      return {
+        originalSymbol,
+        originalQuantity: quantity,
+        finalSymbol,
+        finalQuantity,
+        converted: finalSymbol !== originalSymbol,
+        marginUsed: dayMargin ? dayMargin * finalQuantity : null,
+        availableMargin,
+        sufficient: true,
+        reason,
+        ...extra
+      };
+    };
+
+    if (!marginConfig?.enabled) {
+      return selection(originalSymbol, quantity, 'Margin checks are disabled');
+    }
+
+    const dayMargin = this.getDayMargin(originalSymbol, marginSettings);
+    if (!dayMargin) {
+      return selection(originalSymbol, quantity, `No day margin configured for ${originalSymbol}`);
+    }
+
+    const requiredMargin = dayMargin * quantity;
+    const microSymbol = contractUtils.getMicroSymbol(originalSymbol);
+    const fullSymbol = contractUtils.getFullSymbol(originalSymbol);
+    const isMicro = contractUtils.isMicro(originalSymbol);
+
+    // Full size the account can't carry -> equivalent micros
+    if (!isMicro && requiredMargin > availableMargin && rules.convertToMicro && microSymbol && microSymbol !== originalSymbol) {
+      const microMargin = this.getDayMargin(microSymbol, marginSettings);
+      const microCapacity = microMargin ? Math.floor(availableMargin / microMargin) : 0;
+      const microQuantity = Math.min(quantity * ratio, microCapacity);
+
+      if (microQuantity < 1) {
+        return selection(originalSymbol, 0,
+          `${formatDollars(availableMargin)} available can't cover one ${microSymbol} (${formatDollars(microMargin || 0)})`,
+          { sufficient: false });
+      }
+      return selection(microSymbol, microQuantity,
+        `${quantity} ${originalSymbol} needs ${formatDollars(requiredMargin)} but only ${formatDollars(availableMargin)} is available, ` +
+        `converted to ${microQuantity} ${microSymbol}${microQuantity < quantity * ratio ? ` (capped by margin from ${quantity * ratio})` : ''}`);
+    }
+
+    // Whole blocks of micros the account can carry as full size
+    if (isMicro && rules.convertToFull && fullSymbol && fullSymbol !== originalSymbol && quantity % ratio === 0) {
+      const fullQuantity = quantity / ratio;
+      const fullMargin = this.getDayMargin(fullSymbol, marginSettings);
+      if (fullMargin && fullMargin * fullQuantity <= availableMargin) {
+        return selection(fullSymbol, fullQuantity,
+          `${quantity} ${originalSymbol} = ${fullQuantity} ${fullSymbol} and ${formatDollars(fullMargin * fullQuantity)} margin fits in ${formatDollars(availableMargin)}`);
+      }
+    }
+
+    if (requiredMargin > availableMargin) {
+      return selection(originalSymbol, quantity,
+        `${quantity} ${originalSymbol} needs ${formatDollars(requiredMargin)} but only ${formatDollars(availableMargin)} is available` +
+        (isMicro || !rules.convertToMicro ? '' : ` and ${originalSymbol} has no micro`),
+        { sufficient: false });
+    }
+
+    return selection(originalSymbol, quantity,
+      `${formatDollars(availableMargin)} available covers ${formatDollars(requiredMargin)} margin for ${quantity} ${originalSymbol}`);
+  }
+};
+
+export default positionSizingUtils;
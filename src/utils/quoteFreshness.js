@@ -0,0 +1,76 @@
+// Quote freshness model for the Slingshot Dashboard
+// Classifies a price by the age of its timestamp and the CME session state
+import { tradingSession } from './tradingSession';
+
+export const LIVE_THRESHOLD_MS = 10 * 1000;
+export const DELAYED_THRESHOLD_MS = 60 * 1000;
+
+export const FRESHNESS = {
+  LIVE: 'live',
+  DELAYED: 'delayed',
+  STALE: 'stale',
+  CLOSED: 'closed',
+  UNKNOWN: 'unknown'
+};
+
+const STYLES = {
+  live: { label: 'Live', dot: 'bg-green-500', text: 'text-green-400' },
+  delayed: { label: 'Delayed', dot: 'bg-yellow-500', text: 'text-yellow-400' },
+  stale: { label: 'Stale', dot: 'bg-red-500', text: 'text-red-400' },
+  closed: { label: 'Market Closed', dot: 'bg-gray-500', text: 'text-gray-400' },
+  unknown: { label: 'No Timestamp', dot: 'bg-gray-600', text: 'text-gray-500' }
+};
+
+// Worst first, for summarizing several prices at once
+const SEVERITY = ['stale', 'unknown', 'closed', 'delayed', 'live'];
+
+export const quoteFreshness = {
+  /**
+   * Freshness of a price last updated at `timestamp`
+   * Returns { state, ageMs, label, isReliable }
+   */
+  getState(timestamp, now = new Date()) {
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    const ageMs = isNaN(time) ? null : Math.max(now.getTime() - time, 0);
+
+    let state;
+    if (!tradingSession.isOpen(now)) {
+      state = FRESHNESS.CLOSED;
+    } else if (ageMs === null) {
+      state = FRESHNESS.UNKNOWN;
+    } else if (ageMs <= LIVE_THRESHOLD_MS) {
+      state = FRESHNESS.LIVE;
+    } else if (ageMs <= DELAYED_THRESHOLD_MS) {
+      state = FRESHNESS.DELAYED;
+    } else {
+      state = FRESHNESS.STALE;
+    }
+
+    return {
+      state,
+      ageMs,
+      label: STYLES[state].label,
+      // Delayed prices are still usable for risk math, stale and unknown are not
+      isReliable: state === FRESHNESS.LIVE || state === FRESHNESS.DELAYED
+    };
+  },
+
+  getStyle(state) {
+    return STYLES[state] || STYLES.unknown;
+  },
+
+  // Worst state among several prices
+  getWorst(states) {
+    return SEVERITY.find(state => states.includes(state)) || FRESHNESS.UNKNOWN;
+  },
+
+  formatAge(ageMs) {
+    if (ageMs === null || ageMs === undefined) return '—';
+    const seconds = Math.floor(ageMs / 1000);
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return `${Math.floor(seconds / 3600)}h ago`;
+  }
+};
+
+export default quoteFreshness;
@@ -0,0 +1,109 @@
+// Signal lifecycle helpers for the Slingshot Dashboard
+// Folds a signal record and its related events into an ordered set of stages
+
+export const SIGNAL_STATUSES = ['received', 'processed', 'executed', 'failed'];
+
+export const LIFECYCLE_STAGES = [
+  { key: 'received', label: 'Webhook received', eventTypes: ['webhook', 'webhook_received', 'signal_received'] },
+  { key: 'sizing', label: 'Sizing decision', eventTypes: ['position_sizing', 'sizing', 'contract_conversion'] },
+  { key: 'orders', label: 'Orders placed', eventTypes: ['order_placed', 'order', 'order_created'] },
+  { key: 'fills', label: 'Fills', eventTypes: ['order_filled', 'fill', 'execution'] },
+  { key: 'closed', label: 'Position closed', eventTypes: ['position_closed', 'position_exit'] }
+];
+
+const FAILURE_TYPES = ['error', 'webhook_error', 'order_rejected', 'signal_blocked', 'trade_blocked'];
+
+const describeEvent = (event) => event.message || event.summary || (typeof event.data === 'string' ? event.data : null);
+
+// Stage data carried on the signal record itself, for servers without a lifecycle endpoint
+const fromSignal = (signal, key) => {
+  const result = signal.result || {};
+  switch (key) {
+    case 'received':
+      return signal.timestamp ? [{ timestamp: signal.timestamp, message: signal.summary }] : [];
+    case 'sizing': {
+      const sizing = signal.sizing || result.sizing || result.positionSizing;
+      return sizing ? [{ timestamp: sizing.timestamp, message: sizing.explanation || `${sizing.quantity} ${sizing.symbol || signal.symbol || ''}`.trim(), details: sizing }] : [];
+    }
+    case 'orders':
+      return (signal.orders || result.orders || (result.orderId ? [result] : [])).map(order => ({
+        timestamp: order.timestamp,
+        message: `${(order.action || order.side || '').toUpperCase()} ${order.quantity || ''} ${order.symbol || ''} ${order.orderType || ''}`.replace(/\s+/g, ' ').trim(),
+        details: order
+      }));
+    case 'fills':
+      return (signal.fills || result.fills || []).map(fill => ({
+        timestamp: fill.timestamp,
+        message: `${fill.quantity || ''} @ ${fill.price}`.trim(),
+        details: fill
+      }));
+    case 'closed':
+      return signal.closedAt || result.closedAt
+        ? [{ timestamp: signal.closedAt || result.closedAt, message: signal.closeReason || result.closeReason || 'Position closed', details: { pnl: signal.pnl ?? result.pnl } }]
+        : [];
+    default:
+      return [];
+  }
+};
+
+export const signalLifecycle = {
+  /**
+   * Build lifecycle stages for a signal
+   * Returns [{ key, label, status, timestamp, entries }] where status is done, failed or pending
+   */
+  build(signal, events = []) {
+    const sorted = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const failure = sorted.find(event => FAILURE_TYPES.includes(event.type)) ||
+      (signal.status === 'failed' ? { timestamp: signal.timestamp, message: signal.error || signal.result?.error || 'Signal failed' } : null);
+
+    let failedAt = null;
+    const stages = LIFECYCLE_STAGES.map(stage => {
+      const matched = sorted.filter(event => stage.eventTypes.includes(event.type));
+      const entries = (matched.length > 0 ? matched : fromSignal(signal, stage.key)).map(entry => ({
+        timestamp: entry.timestamp || null,
+        message: describeEvent(entry) || stage.label,
+        details: entry.details || null
+      }));
+
+      return {
+        key: stage.key,
+        label: stage.label,
+        status: entries.length > 0 ? 'done' : 'pending',
+        timestamp: entries[0]?.timestamp || null,
+        entries
+      };
+    });
+
+    // The failure belongs to the first stage that never completed
+    if (failure) {
+      const stage = stages.find(candidate => candidate.status === 'pending');
+      if (stage) {
+        stage.status = 'failed';
+        stage.timestamp = failure.timestamp || null;
+        stage.entries = [{ timestamp: failure.timestamp || null, message: describeEvent(failure) || failure.error || 'Failed', details: failure.details || null }];
+        failedAt = stage.key;
+      }
+    }
+
+    return { stages, failedAt };
+  },
+
+  // Does an activity entry carry this signal's id? The id may sit on the entry or in its raw payload
+  belongsTo(signal, event) {
+    const ids = [signal.id, signal.correlation_id, signal.correlationId].filter(Boolean).map(String);
+    const eventIds = [
+      event.signalId, event.correlation_id, event.correlationId,
+      event.rawData?.signalId, event.rawData?.correlation_id, event.signalContext?.signalId, event.signalContext?.correlation_id
+    ].filter(Boolean).map(String);
+    return eventIds.some(id => ids.includes(id));
+  },
+
+  // Filters with empty values dropped, ready for query params
+  toQueryParams(filters) {
+    return Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+  }
+};
+
+export default signalLifecycle;
@@ -0,0 +1,178 @@
+// Signal pipeline latency and execution quality for the Slingshot Dashboard
+import { contractUtils } from './contracts';
+
+// Pipeline legs in order - each measured from the previous stage's timestamp
+// warnMs: p90 above this is flagged as a slowdown (limit fills wait on price, so no fill threshold)
+export const PIPELINE_LEGS = [
+  { key: 'ingest', label: 'Ingest', from: 'signalAt', to: 'receivedAt', warnMs: 2000 },
+  { key: 'orchestrator', label: 'Orchestrator', from: 'receivedAt', to: 'submittedAt', warnMs: 1000 },
+  { key: 'broker', label: 'Broker', from: 'submittedAt', to: 'acceptedAt', warnMs: 1000 },
+  { key: 'fill', label: 'Fill', from: 'acceptedAt', to: 'filledAt', warnMs: null }
+];
+
+// Events without a shared id are matched to a signal seen this recently
+const MATCH_WINDOW_MS = 60 * 1000;
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const normalizeSide = (action) => {
+  const value = String(action || '').toLowerCase();
+  if (['buy', 'long'].includes(value)) return 'buy';
+  if (['sell', 'short'].includes(value)) return 'sell';
+  return value;
+};
+
+export const signalMetrics = {
+  // New pipeline record from a webhook_received event
+  fromWebhook(data) {
+    const raw = data.rawData || {};
+    const receivedAt = toTime(data.timestamp) || Date.now();
+    return {
+      id: data.signalId || data.id || raw.signalId || raw.id || `${data.symbol}-${receivedAt}`,
+      strategy: data.strategy || raw.strategy || 'unknown',
+      symbol: data.result?.contractSelection?.finalSymbol || data.symbol,
+      side: normalizeSide(data.action),
+      quantity: data.result?.contractSelection?.finalQuantity || data.quantity || 1,
+      signalPrice: data.price ?? raw.price ?? null,
+      orderId: data.result?.orderId || null,
+      // TradingView alert time when the payload carries one
+      signalAt: toTime(raw.timestamp || raw.time || data.signalTimestamp),
+      receivedAt,
+      submittedAt: toTime(data.result?.submittedAt),
+      acceptedAt: null,
+      filledAt: null,
+      fillPrice: null
+    };
+  },
+
+  // Index of the record an order event belongs to, or -1
+  findRecord(records, data) {
+    const signalId = data.signalId || data.signalContext?.signalId;
+    if (signalId) {
+      const index = records.findIndex(record => String(record.id) === String(signalId));
+      if (index !== -1) return index;
+    }
+    if (data.orderId) {
+      const index = records.findIndex(record => record.orderId && String(record.orderId) === String(data.orderId));
+      if (index !== -1) return index;
+    }
+
+    // Fall back to the newest unmatched signal for the same contract and side
+    const eventTime = toTime(data.timestamp) || Date.now();
+    const baseSymbol = contractUtils.getBaseSymbol(data.symbol);
+    const side = normalizeSide(data.action || data.side);
+    for (let index = records.length - 1; index >= 0; index--) {
+      const record = records[index];
+      if (record.orderId) continue;
+      if (contractUtils.getBaseSymbol(record.symbol) !== baseSymbol) continue;
+      if (side && record.side && side !== record.side) continue;
+      if (Math.abs(eventTime - record.receivedAt) > MATCH_WINDOW_MS) continue;
+      return index;
+    }
+    return -1;
+  },
+
+  // Fold an order_placed / order_update event into its record
+  applyOrderEvent(record, type, data) {
+    const time = toTime(data.timestamp) || Date.now();
+    const status = data.status || data.ordStatus;
+    const updated = { ...record, orderId: record.orderId || data.orderId || null };
+
+    if (type === 'order_placed') {
+      updated.submittedAt = updated.submittedAt || toTime(data.submittedAt) || time;
+      // Some brokers acknowledge in the same event
+      if (data.brokerTimestamp || ['Working', 'Accepted'].includes(status)) {
+        updated.acceptedAt = updated.acceptedAt || toTime(data.brokerTimestamp) || time;
+      }
+    } else if (['Working', 'Accepted'].includes(status)) {
+      updated.acceptedAt = updated.acceptedAt || time;
+    } else if (status === 'Filled') {
+      updated.acceptedAt = updated.acceptedAt || updated.submittedAt || time;
+      updated.filledAt = updated.filledAt || time;
+      // The entry fill sets the price - later bracket fills carrying the same signal must not replace it
+      updated.fillPrice = updated.fillPrice ?? data.fillPrice ?? data.avgPrice ?? data.price ?? null;
+    }
+    return updated;
+  },
+
+  // Per-leg latencies in ms (null when either end is missing)
+  getLatencies(record) {
+    const legs = Object.fromEntries(PIPELINE_LEGS.map(leg => {
+      const from = record[leg.from];
+      const to = record[leg.to];
+      return [leg.key, from !== null && to !== null ? Math.max(to - from, 0) : null];
+    }));
+    const start = record.signalAt ?? record.receivedAt;
+    legs.total = record.filledAt !== null && start !== null ? record.filledAt - start : null;
+    return legs;
+  },
+
+  /**
+   * Slippage between signal and fill price, positive when adverse
+   * Returns { points, ticks, dollars } or null
+   */
+  getSlippage(record) {
+    if (record.signalPrice === null || record.fillPrice === null || record.fillPrice === undefined) return null;
+    const direction = record.side === 'sell' ? -1 : 1;
+    const points = (record.fillPrice - record.signalPrice) * direction;
+    return {
+      points,
+      ticks: points / contractUtils.getTickSize(record.symbol),
+      dollars: contractUtils.pointsToDollars(points, record.symbol, record.quantity)
+    };
+  },
+
+  // Nearest-rank percentile of a list of numbers
+  percentile(values, p) {
+    const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+  },
+
+  /**
+   * Aggregate stats per strategy (plus an 'All' row)
+   * Returns [{ strategy, count, filled, legs: { key: { p50, p90, p99 } }, slippage: { avgTicks, p90Ticks, totalDollars } }]
+   */
+  summarize(records) {
+    const groups = records.reduce((acc, record) => {
+      (acc[record.strategy] = acc[record.strategy] || []).push(record);
+      return acc;
+    }, {});
+    const strategies = Object.keys(groups).sort();
+    const rows = strategies.map(strategy => this.summarizeGroup(strategy, groups[strategy]));
+    return strategies.length > 1 ? [this.summarizeGroup('All', records), ...rows] : rows;
+  },
+
+  summarizeGroup(strategy, records) {
+    const latencies = records.map(record => this.getLatencies(record));
+    const slippages = records.map(record => this.getSlippage(record)).filter(Boolean);
+    const legKeys = [...PIPELINE_LEGS.map(leg => leg.key), 'total'];
+
+    return {
+      strategy,
+      count: records.length,
+      filled: records.filter(record => record.filledAt !== null).length,
+      legs: Object.fromEntries(legKeys.map(key => {
+        const values = latencies.map(latency => latency[key]);
+        return [key, { p50: this.percentile(values, 50), p90: this.percentile(values, 90), p99: this.percentile(values, 99) }];
+      })),
+      slippage: {
+        avgTicks: slippages.length > 0 ? slippages.reduce((sum, slip) => sum + slip.ticks, 0) / slippages.length : null,
+        p90Ticks: this.percentile(slippages.map(slip => slip.ticks), 90),
+        totalDollars: slippages.reduce((sum, slip) => sum + slip.dollars, 0)
+      }
+    };
+  },
+
+  formatMs(ms) {
+    if (ms === null || ms === undefined) return '—';
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+  }
+};
+
+export default signalMetrics;
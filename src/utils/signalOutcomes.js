@@ -0,0 +1,200 @@
+// End-to-end outcome tracking for TestTrading signals
+// Each sent signal carries a correlation_id; downstream socket events are matched back to it
+import { contractUtils } from './contracts';
+
+export const OUTCOME_STAGES = [
+  { key: 'accepted', label: 'Accepted' },
+  { key: 'sized', label: 'Sized' },
+  { key: 'ordered', label: 'Ordered' },
+  { key: 'acknowledged', label: 'Acknowledged by broker' }
+];
+
+// Only place_limit opens a new order - the other actions act on an existing one
+const EXPECTED_STAGES = {
+  place_limit: ['accepted', 'sized', 'ordered', 'acknowledged'],
+  update_limit: ['accepted', 'acknowledged'],
+  cancel_limit: ['accepted', 'acknowledged'],
+  position_closed: ['accepted']
+};
+
+// A stage still pending this long after the signal was sent is failed
+export const STAGE_TIMEOUT_MS = 30 * 1000;
+
+// update_limit and cancel_limit act on an order we never learn the id of, so their broker
+// acknowledgement can only be tied back through an echoed correlation id
+const NEEDS_ECHOED_ID = {
+  update_limit: ['acknowledged'],
+  cancel_limit: ['acknowledged']
+};
+
+const ACK_STATUSES = ['Working', 'Accepted', 'Filled', 'PartialFill'];
+const REJECT_STATUSES = ['Rejected', 'Expired'];
+
+const MAX_EVENTS = 20;
+
+const toTime = (value) => {
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(time) ? Date.now() : time;
+};
+
+const pass = (detail, at) => ({ status: 'passed', detail, at });
+const fail = (detail, at) => ({ status: 'failed', detail, at });
+
+export const signalOutcomes = {
+  createCorrelationId() {
+    return `tt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  // The id can sit at the top level, in the echoed payload or in the order's signal context
+  getCorrelationId(data) {
+    return data?.correlation_id || data?.correlationId ||
+      data?.rawData?.correlation_id || data?.signal?.correlation_id ||
+      data?.signalContext?.correlation_id || data?.signalContext?.correlationId || null;
+  },
+
+  // New tracked signal for a payload about to be posted
+  create(payload, sentAt = Date.now()) {
+    const expected = EXPECTED_STAGES[payload.action] || ['accepted'];
+    return {
+      correlationId: payload.correlation_id,
+      action: payload.action,
+      side: payload.side,
+      symbol: payload.symbol,
+      strategy: payload.strategy,
+      price: payload.action === 'update_limit' ? payload.new_price : payload.price,
+      quantity: payload.quantity,
+      sentAt,
+      orderId: null,
+      orderEventsEchoId: false,
+      expected,
+      stages: Object.fromEntries(expected.map(key => [key, { status: 'pending' }])),
+      events: []
+    };
+  },
+
+  // Does a socket event belong to this tracked signal?
+  matches(tracked, type, data) {
+    const correlationId = this.getCorrelationId(data);
+    if (correlationId) return correlationId === tracked.correlationId;
+    if (tracked.orderId && data?.orderId) return String(data.orderId) === String(tracked.orderId);
+
+    const sameContract = contractUtils.getBaseSymbol(data?.symbol || data?.contractName) === contractUtils.getBaseSymbol(tracked.symbol);
+    const elapsed = toTime(data?.timestamp) - tracked.sentAt;
+
+    // Orders placed without an echoed id go to the signal still waiting for one on that contract and side
+    if (type === 'order_placed' && tracked.stages.ordered?.status === 'pending') {
+      const side = String(data?.action || data?.side || '').toLowerCase();
+      const sameSide = !side || (['buy', 'long'].includes(side) ? 'buy' : 'sell') === tracked.side;
+      return sameContract && sameSide && elapsed < STAGE_TIMEOUT_MS;
+    }
+    return false;
+  },
+
+  // Only settle pending stages - the first verdict for a stage stands
+  settle(tracked, key, verdict) {
+    if (!tracked.stages[key] || tracked.stages[key].status !== 'pending') return tracked;
+    return { ...tracked, stages: { ...tracked.stages, [key]: verdict } };
+  },
+
+  // Sizing and order info can come back on the HTTP response or on webhook_received
+  applyProcessingResult(tracked, result, at) {
+    let next = tracked;
+    if (result?.contractSelection) {
+      const { finalQuantity, finalSymbol } = result.contractSelection;
+      next = this.settle(next, 'sized', pass(`${finalQuantity} ${finalSymbol}`, at));
+    }
+    if (result?.orderId) {
+      next = { ...next, orderId: next.orderId || result.orderId };
+      next = this.settle(next, 'ordered', pass(`Order ${result.orderId}`, at));
+    }
+    return next;
+  },
+
+  // The /webhook HTTP response
+  applyResponse(tracked, { success, data, error }, at = Date.now()) {
+    if (!success) {
+      return this.settle(tracked, 'accepted', fail(`HTTP error: ${error}`, at));
+    }
+    const result = data?.result || data;
+    if (result?.blocked || result?.killSwitchActive) {
+      return this.settle(tracked, 'accepted', fail(`Blocked: ${result.reason || 'kill switch active'}`, at));
+    }
+    return this.applyProcessingResult(this.settle(tracked, 'accepted', pass('Accepted by /webhook', at)), result, at);
+  },
+
+  applyEvent(tracked, type, data) {
+    const at = toTime(data?.timestamp);
+    const status = data?.status || data?.ordStatus;
+    let next = {
+      ...tracked,
+      orderEventsEchoId: tracked.orderEventsEchoId || (type.startsWith('order_') && !!this.getCorrelationId(data)),
+      events: [...tracked.events, { type, at, status: status || null }].slice(-MAX_EVENTS)
+    };
+
+    switch (type) {
+      case 'webhook_received':
+        if (data.result?.blocked || data.result?.killSwitchActive) {
+          return this.settle(next, 'accepted', fail(`Blocked: ${data.result.reason || 'kill switch active'}`, at));
+        }
+        next = this.settle(next, 'accepted', pass('Received by the orchestrator', at));
+        return this.applyProcessingResult(next, data.result, at);
+
+      case 'webhook_blocked':
+        return this.settle(next, 'accepted', fail(`Blocked: ${data.reason || 'unknown reason'}`, at));
+
+      case 'order_placed':
+        next = { ...next, orderId: next.orderId || data.orderId || null };
+        next = this.settle(next, 'accepted', pass('Implied by order', at));
+        next = this.settle(next, 'sized', pass(`${data.quantity || next.quantity} contract${(data.quantity || next.quantity) !== 1 ? 's' : ''}`, at));
+        next = this.settle(next, 'ordered', pass(data.orderId ? `Order ${data.orderId}` : 'Order placed', at));
+        // Acknowledgement needs an id tying the broker's order to this signal, not just the contract
+        return (ACK_STATUSES.includes(status) || data.brokerTimestamp) && (data.orderId || this.getCorrelationId(data))
+          ? this.settle(next, 'acknowledged', pass(status || 'Acknowledged', at))
+          : next;
+
+      case 'order_update':
+        if (REJECT_STATUSES.includes(status)) {
+          return this.settle(next, 'acknowledged', fail(`${status}${data.reason || data.text ? `: ${data.reason || data.text}` : ''}`, at));
+        }
+        return ACK_STATUSES.includes(status) ? this.settle(next, 'acknowledged', pass(status, at)) : next;
+
+      default:
+        return next;
+    }
+  },
+
+  /**
+   * Checklist with timeouts applied
+   * Returns { overall: 'pending' | 'passed' | 'unverified' | 'failed', stages: [{ key, label, status, detail, at }] }
+   * A stage that can't be tied to its signal times out as 'unverifiable' rather than failed
+   */
+  getStatus(tracked, now = Date.now()) {
+    let anyFailed = tracked.expected.some(key => tracked.stages[key].status === 'failed');
+    const timedOut = now - tracked.sentAt > STAGE_TIMEOUT_MS;
+    const unverifiable = tracked.orderEventsEchoId ? [] : NEEDS_ECHOED_ID[tracked.action] || [];
+
+    const stages = OUTCOME_STAGES
+      .filter(stage => tracked.expected.includes(stage.key))
+      .map(stage => {
+        const state = tracked.stages[stage.key];
+        // Once a stage failed, the pending ones will never arrive - leave them as skipped
+        if (state.status === 'pending' && anyFailed) return { ...stage, status: 'skipped' };
+        if (state.status === 'pending' && timedOut && unverifiable.includes(stage.key)) {
+          return { ...stage, status: 'unverifiable', detail: 'Order events carry no correlation id to match' };
+        }
+        if (state.status === 'pending' && timedOut) {
+          anyFailed = true;
+          return { ...stage, status: 'failed', detail: `No event within ${STAGE_TIMEOUT_MS / 1000}s` };
+        }
+        return { ...stage, ...state };
+      });
+
+    const overall = stages.some(stage => stage.status === 'failed') ? 'failed'
+      : stages.some(stage => stage.status === 'pending') ? 'pending'
+      : stages.some(stage => stage.status === 'unverifiable') ? 'unverified'
+      : 'passed';
+    return { overall, stages };
+  }
+};
+
+export default signalOutcomes;
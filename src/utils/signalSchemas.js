@@ -0,0 +1,161 @@
+// Trading signal payload schemas for the Slingshot Dashboard
+// Used to check TestTrading payloads before they are posted and to audit incoming signals
+import { STRATEGIES } from './strategies';
+
+export const SIGNAL_ACTIONS = ['place_limit', 'update_limit', 'cancel_limit', 'position_closed'];
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Field rules - each returns an error message or null
+const FIELD_RULES = {
+  webhook_type: (value) => typeof value === 'string' ? null : 'must be a string',
+  action: (value) => SIGNAL_ACTIONS.includes(value) ? null : `must be one of ${SIGNAL_ACTIONS.join(', ')}`,
+  side: (value) => ['buy', 'sell'].includes(value) ? null : 'must be buy or sell',
+  symbol: (value) => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  price: (value) => isNumber(value) && value > 0 ? null : 'must be a positive number',
+  new_price: (value) => isNumber(value) && value > 0 ? null : 'must be a positive number',
+  old_price: (value) => isNumber(value) && value > 0 ? null : 'must be a positive number',
+  stop_loss: (value) => isNumber(value) && value >= 0 ? null : 'must be a number',
+  take_profit: (value) => isNumber(value) && value >= 0 ? null : 'must be a number',
+  trailing_trigger: (value) => isNumber(value) && value >= 0 ? null : 'must be a non-negative number of points',
+  trailing_offset: (value) => isNumber(value) && value >= 0 ? null : 'must be a non-negative number of points',
+  quantity: (value) => Number.isInteger(value) && value > 0 ? null : 'must be a whole number of at least 1',
+  strategy: (value) => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  account: (value) => value !== null && value !== undefined && value !== '' ? null : 'must be set',
+  timestamp: (value) => !isNaN(new Date(value).getTime()) ? null : 'must be a valid date',
+  source: (value) => typeof value === 'string' ? null : 'must be a string',
+  correlation_id: (value) => typeof value === 'string' && value ? null : 'must be a non-empty string'
+};
+
+const COMMON_FIELDS = ['webhook_type', 'action', 'strategy', 'account', 'timestamp', 'source', 'correlation_id'];
+const ORDER_FIELDS = ['stop_loss', 'take_profit', 'trailing_trigger', 'trailing_offset', 'quantity'];
+
+// Required and allowed fields per action
+export const ACTION_SCHEMAS = {
+  place_limit: {
+    required: ['action', 'side', 'symbol', 'price', 'quantity'],
+    optional: [...COMMON_FIELDS, ...ORDER_FIELDS]
+  },
+  update_limit: {
+    required: ['action', 'side', 'symbol', 'new_price', 'old_price'],
+    optional: [...COMMON_FIELDS, ...ORDER_FIELDS]
+  },
+  cancel_limit: {
+    required: ['action', 'side', 'symbol'],
+    optional: [...COMMON_FIELDS, 'price', 'quantity']
+  },
+  position_closed: {
+    required: ['action', 'symbol'],
+    optional: [...COMMON_FIELDS, 'side', 'price', 'quantity']
+  }
+};
+
+// Extra fields each strategy needs on top of the action schema
+export const STRATEGY_SCHEMAS = {
+  LS_EMA: {
+    place_limit: ['stop_loss', 'trailing_trigger', 'trailing_offset'],
+    update_limit: ['stop_loss']
+  },
+  LDPS: { place_limit: ['stop_loss'] },
+  LDPM: { place_limit: ['stop_loss'] },
+  LS_Scalper: { place_limit: ['stop_loss', 'take_profit'] },
+  AI_Algo: { place_limit: ['trailing_trigger', 'trailing_offset'] }
+};
+
+// Strategy-required fields must carry a value, not just the key
+const hasValue = (payload, field) => payload[field] !== undefined && payload[field] !== null && payload[field] !== '' &&
+  !(isNumber(payload[field]) && payload[field] === 0 && ['stop_loss', 'take_profit', 'trailing_trigger', 'trailing_offset'].includes(field));
+
+export const signalSchemas = {
+  getSchema(action, strategy) {
+    const base = ACTION_SCHEMAS[action];
+    if (!base) return null;
+    const strategyRequired = STRATEGY_SCHEMAS[strategy]?.[action] || [];
+    return {
+      required: [...new Set([...base.required, ...strategyRequired])],
+      strategyRequired,
+      allowed: new Set([...base.required, ...base.optional])
+    };
+  },
+
+  /**
+   * Validate a signal payload against its action and strategy schemas
+   * Returns { valid, errors, warnings } - each issue is { field, message }
+   * Unknown fields are warnings: the server ignores them, but they usually mean a typo
+   */
+  validate(payload) {
+    const errors = [];
+    const warnings = [];
+
+    if (!payload || typeof payload !== 'object') {
+      return { valid: false, errors: [{ field: null, message: 'Payload is not an object' }], warnings };
+    }
+
+    const schema = this.getSchema(payload.action, payload.strategy);
+    if (!schema) {
+      errors.push({ field: 'action', message: payload.action ? `No schema for action "${payload.action}"` : 'action is required' });
+      return { valid: false, errors, warnings };
+    }
+
+    schema.required.forEach(field => {
+      const strategyField = schema.strategyRequired.includes(field);
+      if (strategyField ? !hasValue(payload, field) : payload[field] === undefined || payload[field] === null) {
+        errors.push({
+          field,
+          message: strategyField ? `${payload.strategy} requires ${field}` : `${field} is required for ${payload.action}`
+        });
+      }
+    });
+
+    Object.entries(payload).forEach(([field, value]) => {
+      if (value === undefined) return;
+      if (!schema.allowed.has(field)) {
+        warnings.push({ field, message: `${field} is not part of the ${payload.action} schema` });
+        return;
+      }
+      const message = FIELD_RULES[field]?.(value);
+      if (message && !errors.some(error => error.field === field)) {
+        errors.push({ field, message: `${field} ${message}` });
+      }
+    });
+
+    // Protective levels must sit on the right side of the entry
+    const entry = payload.action === 'update_limit' ? payload.new_price : payload.price;
+    if (isNumber(entry) && ['buy', 'sell'].includes(payload.side)) {
+      const isLong = payload.side === 'buy';
+      if (payload.stop_loss > 0 && (isLong ? payload.stop_loss >= entry : payload.stop_loss <= entry)) {
+        errors.push({ field: 'stop_loss', message: `stop_loss must be ${isLong ? 'below' : 'above'} the entry price for a ${payload.side}` });
+      }
+      if (payload.take_profit > 0 && (isLong ? payload.take_profit <= entry : payload.take_profit >= entry)) {
+        errors.push({ field: 'take_profit', message: `take_profit must be ${isLong ? 'above' : 'below'} the entry price for a ${payload.side}` });
+      }
+    }
+
+    if (payload.strategy && !STRATEGIES.some(strategy => strategy.id === payload.strategy)) {
+      warnings.push({ field: 'strategy', message: `${payload.strategy} has no strategy schema - only the ${payload.action} schema was checked` });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  },
+
+  // Issues keyed by field for highlighting - errors win over warnings
+  byField(validation) {
+    const fields = {};
+    [...validation.warnings.map(issue => ({ ...issue, level: 'warning' })), ...validation.errors.map(issue => ({ ...issue, level: 'error' }))]
+      .forEach(issue => {
+        if (issue.field) fields[issue.field] = issue;
+      });
+    return fields;
+  },
+
+  /**
+   * Pull the trading signal out of a logged entry - the raw payload may be nested
+   * Returns null when the entry carries no recognisable signal
+   */
+  extractPayload(entry) {
+    const candidates = [entry?.rawData, entry?.rawData?.payload, entry?.rawData?.body, entry?.payload, entry];
+    return candidates.find(candidate => candidate && typeof candidate === 'object' && SIGNAL_ACTIONS.includes(candidate.action)) || null;
+  }
+};
+
+export default signalSchemas;
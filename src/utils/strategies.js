@@ -0,0 +1,69 @@
+// Trading strategy registry and per-strategy stats for the Slingshot Dashboard
+
+export const STRATEGIES = [
+  { id: 'LS_EMA', label: 'LS EMA Strategy' },
+  { id: 'LDPS', label: 'LDPS Trader' },
+  { id: 'LDPM', label: 'LDPM Strategy' },
+  { id: 'LS_Scalper', label: 'LS Scalper' },
+  { id: 'AI_Algo', label: 'AI Algo Trailing Stop' }
+];
+
+const DEFAULT_STRATEGY_CONFIG = {
+  enabled: true,
+  maxContracts: null // null = no per-strategy cap
+};
+
+const strategyOf = (item) =>
+  item.strategy || item.signalContext?.strategy || item.rawData?.strategy || null;
+
+export const strategyUtils = {
+  getLabel(id) {
+    return STRATEGIES.find(strategy => strategy.id === id)?.label || id;
+  },
+
+  /**
+   * Merge server strategy configs over the known strategy list
+   * Unknown strategies reported by the server are kept so nothing disappears
+   */
+  normalize(serverStrategies = []) {
+    const list = Array.isArray(serverStrategies) ? serverStrategies : serverStrategies.strategies || [];
+    const byId = Object.fromEntries(list.map(strategy => [strategy.id || strategy.name, strategy]));
+    const ids = [...STRATEGIES.map(strategy => strategy.id), ...Object.keys(byId).filter(id => !STRATEGIES.some(known => known.id === id))];
+
+    return ids.map(id => ({
+      ...DEFAULT_STRATEGY_CONFIG,
+      ...byId[id],
+      id,
+      label: this.getLabel(id)
+    }));
+  },
+
+  validateMaxContracts(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const max = Number(value);
+    if (!Number.isInteger(max) || max < 1) {
+      return 'Max contracts must be a whole number of at least 1';
+    }
+    return null;
+  },
+
+  /**
+   * Stats a strategy's config may not carry, derived from signals and open positions
+   * Returns { lastSignalAt, openContracts, openPositions, dayPnL }
+   */
+  deriveStats(id, { signals = [], positions = [] } = {}) {
+    const lastSignal = signals
+      .filter(signal => strategyOf(signal) === id)
+      .reduce((latest, signal) => !latest || new Date(signal.timestamp) > new Date(latest.timestamp) ? signal : latest, null);
+    const open = positions.filter(position => strategyOf(position) === id);
+
+    return {
+      lastSignalAt: lastSignal?.timestamp || null,
+      openPositions: open.length,
+      openContracts: open.reduce((sum, position) => sum + Math.abs(position.netPos || position.quantity || 0), 0),
+      dayPnL: open.reduce((sum, position) => sum + (position.unrealizedPnL || 0) + (position.realizedPnL || 0), 0)
+    };
+  }
+};
+
+export default strategyUtils;
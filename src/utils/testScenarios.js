@@ -0,0 +1,267 @@
+// Saved test scenarios for the TestTrading webhook simulator
+// Prices are stored as offsets from the market so a scenario replays at any price level
+import { contractUtils } from './contracts';
+
+const SCENARIOS_KEY = 'slingshot_test_scenarios';
+const EXPORT_VERSION = 1;
+
+export const SCENARIO_ACTIONS = ['place_limit', 'update_limit', 'cancel_limit', 'position_closed'];
+
+/**
+ * Scenario shape:
+ * { id, name, description, type: 'single' | 'sequence', strategy, side, symbol, quantity,
+ *   steps: [{ action, offsetPoints, stopPoints, targetPoints, delayMs }], createdAt, updatedAt }
+ *
+ * offsetPoints is the distance from market on the passive side - below market for buys,
+ * above for sells - so positive offsets rest and negative offsets cross the market.
+ * delayMs is the wait before the step runs (ignored for the first step).
+ */
+const createId = () => `scn_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const roundPoints = (points) => Math.round(points * 100) / 100;
+
+// Risk distances measured from a signal's absolute stop_loss / take_profit levels
+const riskFromLevels = (signal) => ({
+  stopPoints: signal.price && signal.stop_loss ? roundPoints(Math.abs(signal.price - signal.stop_loss)) : 0,
+  targetPoints: signal.price && signal.take_profit ? roundPoints(Math.abs(signal.take_profit - signal.price)) : 0
+});
+
+// Names identify scenarios on import, so they are kept unique (ignoring case and spacing)
+const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TEXT_FIELDS = ['name', 'description', 'strategy', 'side', 'symbol'];
+
+// Imported entries are untrusted - anything normalize() can't read is reported instead of thrown
+const getShapeError = (entry) => {
+  if (!isObject(entry)) return 'Scenario is not an object';
+  const badField = TEXT_FIELDS.find(field => entry[field] != null && typeof entry[field] !== 'string');
+  if (badField) return `${badField} must be text`;
+  if (entry.steps != null && !Array.isArray(entry.steps)) return 'steps must be a list';
+  const badStep = (entry.steps || []).findIndex(step => !isObject(step));
+  if (badStep !== -1) return `Step ${badStep + 1} is not an object`;
+  return null;
+};
+
+export const testScenarios = {
+  getAll() {
+    try {
+      const saved = localStorage.getItem(SCENARIOS_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+      console.log('Failed to parse saved scenarios:', e);
+      return [];
+    }
+  },
+
+  saveAll(scenarios) {
+    localStorage.setItem(SCENARIOS_KEY, JSON.stringify(scenarios));
+    return scenarios;
+  },
+
+  // Fill in defaults and coerce numbers - used for saved, captured and imported scenarios alike
+  normalize(scenario) {
+    const steps = (scenario.steps || []).map(step => ({
+      action: step.action || 'place_limit',
+      offsetPoints: toNumber(step.offsetPoints),
+      stopPoints: toNumber(step.stopPoints),
+      targetPoints: toNumber(step.targetPoints),
+      delayMs: Math.max(toNumber(step.delayMs), 0)
+    }));
+
+    return {
+      id: scenario.id || createId(),
+      name: (scenario.name || '').trim(),
+      description: scenario.description || '',
+      type: steps.length > 1 ? 'sequence' : 'single',
+      strategy: scenario.strategy || 'LS_EMA',
+      side: scenario.side === 'sell' ? 'sell' : 'buy',
+      symbol: (scenario.symbol || 'MNQ').toUpperCase(),
+      quantity: Math.max(toNumber(scenario.quantity, 1), 1),
+      steps,
+      createdAt: scenario.createdAt || new Date().toISOString(),
+      updatedAt: scenario.updatedAt || new Date().toISOString()
+    };
+  },
+
+  validate(scenario) {
+    if (!scenario.name) return 'Scenario name is required';
+    if (!scenario.steps?.length) return 'Scenario needs at least one step';
+    const badStep = scenario.steps.findIndex(step => !SCENARIO_ACTIONS.includes(step.action));
+    if (badStep !== -1) return `Step ${badStep + 1} has an unknown action: ${scenario.steps[badStep].action}`;
+    return null;
+  },
+
+  // Insert or replace by id, returns the new list
+  save(scenario) {
+    const normalized = this.normalize({ ...scenario, updatedAt: new Date().toISOString() });
+    const error = this.validate(normalized);
+    if (error) throw new Error(error);
+
+    const scenarios = this.getAll();
+    if (scenarios.some(existing => existing.id !== normalized.id && sameName(existing.name, normalized.name))) {
+      throw new Error(`A scenario named "${normalized.name}" already exists`);
+    }
+    const index = scenarios.findIndex(existing => existing.id === normalized.id);
+    if (index === -1) {
+      scenarios.push(normalized);
+    } else {
+      scenarios[index] = normalized;
+    }
+    return this.saveAll(scenarios);
+  },
+
+  remove(id) {
+    return this.saveAll(this.getAll().filter(scenario => scenario.id !== id));
+  },
+
+  duplicate(id) {
+    const original = this.getAll().find(scenario => scenario.id === id);
+    if (!original) throw new Error('Scenario not found');
+    const taken = this.getAll().map(scenario => scenario.name);
+    const isTaken = (candidate) => taken.some(existing => sameName(existing, candidate));
+    let name = `${original.name} (copy)`;
+    for (let n = 2; isTaken(name); n++) {
+      name = `${original.name} (copy ${n})`;
+    }
+    return this.save({ ...original, id: null, name, createdAt: null });
+  },
+
+  /**
+   * Capture the TestTrading form as a single-signal scenario
+   * marketPrice turns the form's absolute price into an offset - without it the offset is 0
+   * stopPoints/targetPoints come from points mode - omit them to measure the signal's own stop_loss/take_profit
+   */
+  fromSignal(signal, { name, marketPrice, stopPoints, targetPoints } = {}) {
+    const risk = stopPoints === undefined && targetPoints === undefined ? riskFromLevels(signal) : { stopPoints, targetPoints };
+    const direction = signal.side === 'buy' ? 1 : -1;
+    const offsetPoints = marketPrice && signal.price
+      ? Math.round((marketPrice - signal.price) * direction * 100) / 100
+      : 0;
+
+    return this.normalize({
+      name,
+      strategy: signal.strategy === 'Custom' ? signal.customStrategy : signal.strategy,
+      side: signal.side,
+      symbol: signal.symbol,
+      quantity: signal.quantity,
+      steps: [{ action: signal.action, offsetPoints, ...risk }]
+    });
+  },
+
+  // Capture a generated sequence (absolute prices) as a scenario
+  fromSequence(sequence, { name, marketPrice, stopPoints, targetPoints, delayMs } = {}) {
+    const first = sequence[0] || {};
+    const direction = first.side === 'sell' ? -1 : 1;
+
+    return this.normalize({
+      name,
+      strategy: first.strategy,
+      side: first.side,
+      symbol: first.symbol,
+      quantity: first.quantity,
+      steps: sequence.map((step, index) => ({
+        action: step.action,
+        offsetPoints: marketPrice && step.price ? Math.round((marketPrice - step.price) * direction * 100) / 100 : 0,
+        ...(stopPoints === undefined && targetPoints === undefined ? riskFromLevels(step) : { stopPoints, targetPoints }),
+        delayMs: index === 0 ? 0 : delayMs
+      }))
+    });
+  },
+
+  /**
+   * Turn a scenario into concrete steps for the sequence runner at the given market price
+   * update_limit steps carry the previous step's price as old_price
+   */
+  resolve(scenario, marketPrice) {
+    const direction = scenario.side === 'buy' ? 1 : -1;
+    let previousPrice = null;
+
+    return scenario.steps.map(step => {
+      const price = contractUtils.roundToTick(marketPrice - direction * step.offsetPoints, scenario.symbol);
+      const resolved = {
+        action: step.action,
+        side: scenario.side,
+        symbol: scenario.symbol,
+        quantity: scenario.quantity,
+        strategy: scenario.strategy,
+        price,
+        stop_loss: step.stopPoints ? contractUtils.roundToTick(price - direction * step.stopPoints, scenario.symbol) : 0,
+        take_profit: step.targetPoints ? contractUtils.roundToTick(price + direction * step.targetPoints, scenario.symbol) : 0,
+        delayMs: step.delayMs,
+        ...(step.action === 'update_limit' && { old_price: previousPrice ?? price })
+      };
+      if (step.action === 'place_limit' || step.action === 'update_limit') {
+        previousPrice = price;
+      }
+      return resolved;
+    });
+  },
+
+  toExportJSON(scenarios) {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      scenarios: scenarios.map(({ id, createdAt, updatedAt, ...portable }) => portable)
+    }, null, 2);
+  },
+
+  /**
+   * Parse an exported file - accepts the export envelope or a bare array
+   * Returns { scenarios, errors } so one bad entry doesn't block the rest
+   */
+  parseImport(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { scenarios: [], errors: [`Not valid JSON: ${e.message}`] };
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.scenarios;
+    if (!Array.isArray(list)) {
+      return { scenarios: [], errors: ['No scenarios found in file'] };
+    }
+
+    const scenarios = [];
+    const errors = [];
+    list.forEach((entry, index) => {
+      const shapeError = getShapeError(entry);
+      if (shapeError) {
+        errors.push(`#${index + 1}: ${shapeError}`);
+        return;
+      }
+      const scenario = this.normalize({ ...entry, id: null, createdAt: null, updatedAt: null });
+      const error = this.validate(scenario) ||
+        (scenarios.some(existing => sameName(existing.name, scenario.name)) ? 'Duplicate name in file - only the first is imported' : null);
+      if (error) {
+        errors.push(`#${index + 1} ${entry.name || ''}: ${error}`);
+      } else {
+        scenarios.push(scenario);
+      }
+    });
+    return { scenarios, errors };
+  },
+
+  // Add imported scenarios - a same-named scenario is replaced in place so re-importing the team set updates it
+  importAll(imported) {
+    const scenarios = this.getAll();
+    imported.forEach(scenario => {
+      const index = scenarios.findIndex(existing => sameName(existing.name, scenario.name));
+      if (index === -1) {
+        scenarios.push(scenario);
+      } else {
+        scenarios[index] = { ...scenario, id: scenarios[index].id, createdAt: scenarios[index].createdAt };
+      }
+    });
+    return this.saveAll(scenarios);
+  }
+};
+
+export default testScenarios;
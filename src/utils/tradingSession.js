@@ -0,0 +1,207 @@
+// CME Globex trading calendar for the Slingshot Dashboard
+// All session times are Eastern, so the browser's own timezone never matters
+import { CME_EQUITY_SESSION } from './contracts';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const SESSION_OPEN = toMinutes(CME_EQUITY_SESSION.open);   // 18:00 ET
+const SESSION_CLOSE = toMinutes(CME_EQUITY_SESSION.close); // 17:00 ET
+
+// Equity index futures holiday schedule (ET dates)
+// closed: no trading that day until the 18:00 reopen
+// early_close: trading halts at `close` until the 18:00 reopen
+// Check against the CME holiday calendar when extending
+const HOLIDAYS = {
+  '2025-01-01': { name: "New Year's Day", type: 'closed' },
+  '2025-01-20': { name: 'Martin Luther King Jr. Day', type: 'early_close', close: '13:00' },
+  '2025-02-17': { name: "Presidents' Day", type: 'early_close', close: '13:00' },
+  '2025-04-18': { name: 'Good Friday', type: 'closed' },
+  '2025-05-26': { name: 'Memorial Day', type: 'early_close', close: '13:00' },
+  '2025-06-19': { name: 'Juneteenth', type: 'early_close', close: '13:00' },
+  '2025-07-03': { name: 'Independence Day (eve)', type: 'early_close', close: '13:15' },
+  '2025-07-04': { name: 'Independence Day', type: 'early_close', close: '13:00' },
+  '2025-09-01': { name: 'Labor Day', type: 'early_close', close: '13:00' },
+  '2025-11-27': { name: 'Thanksgiving', type: 'early_close', close: '13:00' },
+  '2025-11-28': { name: 'Day after Thanksgiving', type: 'early_close', close: '13:15' },
+  '2025-12-24': { name: 'Christmas Eve', type: 'early_close', close: '13:15' },
+  '2025-12-25': { name: 'Christmas Day', type: 'closed' },
+
+  '2026-01-01': { name: "New Year's Day", type: 'closed' },
+  '2026-01-19': { name: 'Martin Luther King Jr. Day', type: 'early_close', close: '13:00' },
+  '2026-02-16': { name: "Presidents' Day", type: 'early_close', close: '13:00' },
+  '2026-04-03': { name: 'Good Friday', type: 'closed' },
+  '2026-05-25': { name: 'Memorial Day', type: 'early_close', close: '13:00' },
+  '2026-06-19': { name: 'Juneteenth', type: 'early_close', close: '13:00' },
+  '2026-07-03': { name: 'Independence Day (observed)', type: 'early_close', close: '13:00' },
+  '2026-09-07': { name: 'Labor Day', type: 'early_close', close: '13:00' },
+  '2026-11-26': { name: 'Thanksgiving', type: 'early_close', close: '13:00' },
+  '2026-11-27': { name: 'Day after Thanksgiving', type: 'early_close', close: '13:15' },
+  '2026-12-24': { name: 'Christmas Eve', type: 'early_close', close: '13:15' },
+  '2026-12-25': { name: 'Christmas Day', type: 'closed' },
+
+  '2027-01-01': { name: "New Year's Day", type: 'closed' },
+  '2027-01-18': { name: 'Martin Luther King Jr. Day', type: 'early_close', close: '13:00' },
+  '2027-02-15': { name: "Presidents' Day", type: 'early_close', close: '13:00' },
+  '2027-03-26': { name: 'Good Friday', type: 'closed' },
+  '2027-05-31': { name: 'Memorial Day', type: 'early_close', close: '13:00' },
+  '2027-06-18': { name: 'Juneteenth (observed)', type: 'early_close', close: '13:00' },
+  '2027-07-05': { name: 'Independence Day (observed)', type: 'early_close', close: '13:00' },
+  '2027-09-06': { name: 'Labor Day', type: 'early_close', close: '13:00' },
+  '2027-11-25': { name: 'Thanksgiving', type: 'early_close', close: '13:00' },
+  '2027-11-26': { name: 'Day after Thanksgiving', type: 'early_close', close: '13:15' },
+  '2027-12-23': { name: 'Christmas Eve (observed)', type: 'early_close', close: '13:15' },
+  '2027-12-24': { name: 'Christmas Day (observed)', type: 'closed' }
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const etFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CME_EQUITY_SESSION.timezone,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Session boundaries all fall on quarter hours
+const STEP_MS = 15 * 60 * 1000;
+// Longest closure we expect to search across (holiday weekend)
+const MAX_SEARCH_MS = 5 * 24 * 60 * 60 * 1000;
+
+// Shift a YYYY-MM-DD key by whole days
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+
+export const tradingSession = {
+  HOLIDAYS,
+
+  // Wall clock in Eastern time
+  toEastern(date = new Date()) {
+    const parts = Object.fromEntries(etFormatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: WEEKDAYS[parts.weekday],
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      time: `${parts.hour}:${parts.minute}`
+    };
+  },
+
+  getHoliday(dateKey) {
+    return HOLIDAYS[dateKey] || null;
+  },
+
+  /**
+   * Session state at a moment.
+   * Returns { isOpen, reason, holiday } where reason is one of
+   * open, weekend, maintenance, holiday, early_close
+   */
+  getState(date = new Date()) {
+    const { dateKey, weekday, minutes } = this.toEastern(date);
+    const holiday = this.getHoliday(dateKey);
+    const nextHoliday = this.getHoliday(addDays(dateKey, 1));
+
+    if (weekday === 6 || (weekday === 0 && minutes < SESSION_OPEN) || (weekday === 5 && minutes >= SESSION_CLOSE)) {
+      return { isOpen: false, reason: 'weekend', holiday: null };
+    }
+    if (holiday?.type === 'closed' && minutes < SESSION_OPEN) {
+      return { isOpen: false, reason: 'holiday', holiday };
+    }
+    // The evening session belongs to the next trade date - skip it if that day is closed
+    if (minutes >= SESSION_OPEN && nextHoliday?.type === 'closed') {
+      return { isOpen: false, reason: 'holiday', holiday: nextHoliday };
+    }
+    if (holiday?.type === 'early_close' && minutes >= toMinutes(holiday.close) && minutes < SESSION_OPEN) {
+      return { isOpen: false, reason: 'early_close', holiday };
+    }
+    if (minutes >= SESSION_CLOSE && minutes < SESSION_OPEN) {
+      return { isOpen: false, reason: 'maintenance', holiday: null };
+    }
+    // An open session's early close belongs to its trade date - the evening session is tomorrow's
+    const tradeHoliday = this.getHoliday(this.getTradeDate(date));
+    return { isOpen: true, reason: 'open', holiday: tradeHoliday?.type === 'early_close' ? tradeHoliday : null };
+  },
+
+  isOpen(date = new Date()) {
+    return this.getState(date).isOpen;
+  },
+
+  // Next moment the open/closed state flips, or null if none within the search window
+  getNextChange(date = new Date()) {
+    const isOpen = this.isOpen(date);
+    let probe = Math.floor(date.getTime() / STEP_MS) * STEP_MS + STEP_MS;
+    const limit = date.getTime() + MAX_SEARCH_MS;
+
+    while (probe <= limit) {
+      if (this.isOpen(new Date(probe)) !== isOpen) {
+        return new Date(probe);
+      }
+      probe += STEP_MS;
+    }
+    return null;
+  },
+
+  // Milliseconds until the session opens (0 when already open)
+  timeUntilOpen(date = new Date()) {
+    if (this.isOpen(date)) return 0;
+    const next = this.getNextChange(date);
+    return next ? next.getTime() - date.getTime() : null;
+  },
+
+  // Milliseconds until the session closes (0 when already closed)
+  timeUntilClose(date = new Date()) {
+    if (!this.isOpen(date)) return 0;
+    const next = this.getNextChange(date);
+    return next ? next.getTime() - date.getTime() : null;
+  },
+
+  // Milliseconds the market was open between two moments (looks back at most MAX_SEARCH_MS)
+  getOpenDuration(from, to = new Date()) {
+    let cursor = Math.max(from.getTime(), to.getTime() - MAX_SEARCH_MS);
+    let openMs = 0;
+
+    while (cursor < to.getTime()) {
+      const next = this.getNextChange(new Date(cursor));
+      const segmentEnd = Math.min(next ? next.getTime() : to.getTime(), to.getTime());
+      if (this.isOpen(new Date(cursor))) {
+        openMs += segmentEnd - cursor;
+      }
+      cursor = segmentEnd;
+    }
+    return openMs;
+  },
+
+  // CME trade date: the evening session counts toward the next business day
+  getTradeDate(date = new Date()) {
+    const { dateKey, minutes } = this.toEastern(date);
+    let tradeDate = minutes >= SESSION_OPEN ? addDays(dateKey, 1) : dateKey;
+
+    while ([0, 6].includes(weekdayOf(tradeDate)) || this.getHoliday(tradeDate)?.type === 'closed') {
+      tradeDate = addDays(tradeDate, 1);
+    }
+    return tradeDate;
+  },
+
+  formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    const totalMinutes = Math.ceil(ms / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+  }
+};
+
+export default tradingSession;
@@ -0,0 +1,146 @@
+// TradingView alert messages for the Slingshot webhook
+// Generates ready-to-paste alert JSON per strategy and action, and parses alerts back into signals
+import { ACTION_SCHEMAS, SIGNAL_ACTIONS, signalSchemas } from './signalSchemas';
+import { contractUtils } from './contracts';
+
+export const getWebhookUrl = () => `${process.env.REACT_APP_API_URL || 'http://localhost:3014'}/webhook`;
+
+// TradingView substitutes these when the alert fires - numeric ones are written unquoted
+export const TV_PLACEHOLDERS = {
+  ticker: { token: '{{ticker}}', numeric: false, sample: 'MNQ1!' },
+  close: { token: '{{close}}', numeric: true, sample: 21000.25 },
+  timenow: { token: '{{timenow}}', numeric: false, sample: '2026-01-05T15:30:00Z' },
+  orderAction: { token: '{{strategy.order.action}}', numeric: false, sample: 'buy' },
+  orderContracts: { token: '{{strategy.order.contracts}}', numeric: true, sample: 1 },
+  // Plot samples are points from the sample close for a buy, mirrored for a sell
+  stopPlot: { token: '{{plot("Stop Loss")}}', numeric: true, sampleOffset: -50 },
+  targetPlot: { token: '{{plot("Take Profit")}}', numeric: true, sampleOffset: 50 },
+  oldPricePlot: { token: '{{plot("Old Price")}}', numeric: true, sampleOffset: -4.75 }
+};
+
+// Fields that come from the chart rather than fixed alert settings
+const FIELD_PLACEHOLDERS = {
+  symbol: 'ticker',
+  price: 'close',
+  new_price: 'close',
+  old_price: 'oldPricePlot',
+  stop_loss: 'stopPlot',
+  take_profit: 'targetPlot',
+  timestamp: 'timenow'
+};
+
+const TRAILING_FIELDS = ['trailing_trigger', 'trailing_offset'];
+
+const marker = (key) => `__TV_${key}__`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const tradingViewAlerts = {
+  /**
+   * Alert message for one strategy and action
+   * side: 'buy' | 'sell' | 'strategy' (strategy alerts fill it from {{strategy.order.action}})
+   * Stop and target levels come from plots named "Stop Loss" and "Take Profit" on the chart
+   */
+  generate({ strategy, action, side = 'buy', quantity = 1, trailingTrigger, trailingOffset, includeTarget = false }) {
+    const schema = signalSchemas.getSchema(action, strategy);
+    if (!schema) throw new Error(`Unknown action: ${action}`);
+    const fields = new Set([...schema.required, 'webhook_type', 'strategy', 'timestamp', 'source']);
+
+    // Order fields the strategy does not require are still useful on new orders
+    if (action === 'place_limit' || action === 'update_limit') {
+      fields.add('stop_loss');
+      if (includeTarget || schema.required.includes('take_profit')) fields.add('take_profit');
+      if (trailingTrigger && trailingOffset) {
+        fields.add('trailing_trigger');
+        fields.add('trailing_offset');
+      }
+    }
+    if (ACTION_SCHEMAS[action].optional.includes('quantity') || schema.required.includes('quantity')) {
+      fields.add('quantity');
+    }
+
+    const values = {
+      webhook_type: 'trading_signal',
+      action,
+      side: side === 'strategy' ? marker('orderAction') : side,
+      quantity: side === 'strategy' ? marker('orderContracts') : quantity,
+      strategy,
+      trailing_trigger: trailingTrigger,
+      trailing_offset: trailingOffset,
+      source: 'tradingview',
+      ...Object.fromEntries(Object.entries(FIELD_PLACEHOLDERS).map(([field, key]) => [field, marker(key)]))
+    };
+
+    // Keep the usual field order: what, which side, where, then risk
+    const order = ['webhook_type', 'action', 'side', 'symbol', 'price', 'new_price', 'old_price', 'quantity',
+      'stop_loss', 'take_profit', 'trailing_trigger', 'trailing_offset', 'strategy', 'timestamp', 'source'];
+    const message = Object.fromEntries(order.filter(field => fields.has(field)).map(field => [field, values[field]]));
+
+    // Swap markers for placeholders - numeric ones lose their quotes so TradingView writes a number
+    return Object.entries(TV_PLACEHOLDERS).reduce((text, [key, placeholder]) => {
+      const quoted = `"${marker(key)}"`;
+      return text.split(quoted).join(placeholder.numeric ? placeholder.token : `"${placeholder.token}"`);
+    }, JSON.stringify(message, null, 2));
+  },
+
+  /**
+   * Problems that make every alert from these settings fail its strategy schema
+   * Returns a list of human readable messages, empty when the alert can pass
+   */
+  getIssues({ strategy, action, trailingTrigger, trailingOffset }) {
+    const schema = signalSchemas.getSchema(action, strategy);
+    if (!schema) return [`Unknown action: ${action}`];
+    const needsTrailing = schema.strategyRequired.some(field => TRAILING_FIELDS.includes(field));
+    return needsTrailing && !(trailingTrigger > 0 && trailingOffset > 0)
+      ? [`${strategy} ${action} requires trailing_trigger and trailing_offset - set both above 0 or every alert will be rejected`]
+      : [];
+  },
+
+  // One message per signal action for a strategy
+  generateAll(strategy, options = {}) {
+    return SIGNAL_ACTIONS.map(action => ({ action, message: this.generate({ ...options, strategy, action }) }));
+  },
+
+  /**
+   * Parse an alert message the way the webhook would receive it
+   * Placeholders are replaced with sample values (defaults in TV_PLACEHOLDERS) before parsing,
+   * with plot levels placed around the sample close on the side the alert trades
+   * Returns { payload, validation, error, unresolved }
+   */
+  parse(text, samples = {}) {
+    const substitute = (source, key, value) =>
+      source.replace(new RegExp(escapeRegExp(TV_PLACEHOLDERS[key].token), 'g'), String(value));
+    const plotKeys = Object.keys(TV_PLACEHOLDERS).filter(key => TV_PLACEHOLDERS[key].sampleOffset !== undefined);
+
+    let resolved = Object.keys(TV_PLACEHOLDERS)
+      .filter(key => !plotKeys.includes(key))
+      .reduce((source, key) => substitute(source, key, samples[key] ?? TV_PLACEHOLDERS[key].sample), text);
+
+    // Stop and target samples must sit on the alert's side of the close to pass the schema
+    const close = Number(samples.close ?? TV_PLACEHOLDERS.close.sample);
+    const ticker = samples.ticker ?? TV_PLACEHOLDERS.ticker.sample;
+    const side = resolved.match(/"side"\s*:\s*"([^"]*)"/)?.[1]?.toLowerCase();
+    const direction = side === 'sell' ? -1 : 1;
+    resolved = plotKeys.reduce((source, key) => substitute(source, key,
+      samples[key] ?? contractUtils.roundToTick(close + direction * TV_PLACEHOLDERS[key].sampleOffset, ticker)), resolved);
+    const unresolved = [...new Set(resolved.match(/\{\{[^}]+\}\}/g) || [])];
+
+    let payload;
+    try {
+      payload = JSON.parse(resolved);
+    } catch (e) {
+      return { payload: null, validation: null, error: `Not valid JSON after substituting placeholders: ${e.message}`, unresolved };
+    }
+
+    // Validate exactly what TradingView would post - normalisation the backend may or may not do is only a warning
+    const validation = signalSchemas.validate(payload);
+    const baseSymbol = typeof payload.symbol === 'string' ? contractUtils.getBaseSymbol(payload.symbol) : null;
+    if (baseSymbol && baseSymbol !== payload.symbol) {
+      validation.warnings.push({ field: 'symbol', message: `symbol "${payload.symbol}" is sent as-is - the backend has to map it to ${baseSymbol}` });
+    }
+
+    return { payload, validation, error: null, unresolved };
+  }
+};
+
+export default tradingViewAlerts;
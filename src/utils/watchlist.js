@@ -0,0 +1,55 @@
+// Quote watchlist helpers for the Slingshot Dashboard
+
+const STORAGE_KEY = 'slingshot_watchlist';
+
+export const DEFAULT_WATCHLIST = ['MNQ', 'NQ', 'MES', 'ES', 'BTC'];
+
+export const watchlistUtils = {
+  normalizeSymbol(symbol) {
+    return String(symbol || '').trim().toUpperCase();
+  },
+
+  // Drop blanks and duplicates while keeping the user's order
+  normalize(symbols) {
+    if (!Array.isArray(symbols)) return [...DEFAULT_WATCHLIST];
+    return symbols
+      .map(symbol => this.normalizeSymbol(symbol))
+      .filter((symbol, index, list) => symbol && list.indexOf(symbol) === index);
+  },
+
+  // Local copy is the fallback when the server has no watchlist endpoint
+  getCached() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? this.normalize(JSON.parse(saved)) : [...DEFAULT_WATCHLIST];
+    } catch (e) {
+      console.log('Failed to parse saved watchlist:', e);
+      return [...DEFAULT_WATCHLIST];
+    }
+  },
+
+  setCached(symbols) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(symbols));
+  },
+
+  add(symbols, symbol) {
+    return this.normalize([...symbols, symbol]);
+  },
+
+  remove(symbols, symbol) {
+    return symbols.filter(existing => existing !== symbol);
+  },
+
+  // Move a symbol up (-1) or down (+1) one slot
+  move(symbols, symbol, direction) {
+    const from = symbols.indexOf(symbol);
+    const to = from + direction;
+    if (from === -1 || to < 0 || to >= symbols.length) return symbols;
+
+    const updated = [...symbols];
+    [updated[from], updated[to]] = [updated[to], updated[from]];
+    return updated;
+  }
+};
+
+export default watchlistUtils;